@@ -0,0 +1,132 @@
+const OpenAI = require('openai');
+const { LocalEmbeddingProvider } = require('./EmbeddingProviders');
+
+// Chat models compose answers for engine.answer(). Every model exposes the
+// same shape:
+//   name  - provider identifier ('openai', 'local', ...)
+//   model - model identifier
+//   complete({ messages, question, sources }) - resolves to the reply text
+//
+// messages is the full chat prompt; question and sources ([{ number, text }])
+// are passed alongside so models that don't read prompts (like the local
+// one) can work from the same request. A reply of exactly NOT_FOUND means
+// the sources don't answer the question.
+
+const DEFAULT_OPENAI_CHAT_MODEL = 'gpt-4o-mini';
+const NOT_FOUND = 'NOT_FOUND';
+
+// OpenAI chat completions, or any server that speaks the same protocol
+// (e.g. a local inference server) when a baseURL is given
+class OpenAIChatModel {
+  constructor({ apiKey, baseURL, model = DEFAULT_OPENAI_CHAT_MODEL, temperature = 0 } = {}) {
+    this.name = baseURL ? 'openai-compatible' : 'openai';
+    this.model = model;
+    this.baseURL = baseURL || null;
+    this.temperature = temperature;
+    // Retries are handled by the engine with withRetry
+    this.client = new OpenAI({
+      apiKey: apiKey || (baseURL ? 'not-needed' : undefined),
+      baseURL: baseURL || undefined,
+      maxRetries: 0
+    });
+  }
+
+  async complete({ messages }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature: this.temperature
+    });
+    return response.choices[0].message.content || '';
+  }
+}
+
+// Words that carry no meaning of their own in a question
+const QUESTION_STOPWORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did', 'what', 'which',
+  'who', 'whom', 'when', 'where', 'why', 'how', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with',
+  'and', 'or', 'any', 'there', 'it', 'its', 'this', 'that', 'these', 'those', 'can', 'could', 'should',
+  'shall', 'must', 'will', 'would', 'we', 'our', 'us', 'i', 'me', 'my', 'you', 'your', 'about', 'from'
+]);
+
+// Offline, deterministic stand-in for a chat model: answers with the source
+// sentences that contain at least half of the question's content words,
+// each cited, or NOT_FOUND. Good enough to try `ask` without an API key and
+// to test the answer pipeline; it does not paraphrase or combine facts.
+class LocalChatModel {
+  constructor({ maxSentences = 3 } = {}) {
+    this.name = 'local';
+    this.model = 'extractive';
+    this.maxSentences = maxSentences;
+  }
+
+  static contentWords(text) {
+    return [...new Set(LocalEmbeddingProvider.tokenize(text).filter(word => !QUESTION_STOPWORDS.has(word)))];
+  }
+
+  async complete({ question, sources }) {
+    const questionWords = LocalChatModel.contentWords(question);
+    if (questionWords.length === 0) {
+      return NOT_FOUND;
+    }
+    const needed = Math.max(1, Math.ceil(questionWords.length / 2));
+
+    const candidates = [];
+    sources.forEach(source => {
+      const sentences = source.text
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(sentence => sentence.replace(/^#+\s*/, '').trim())
+        .filter(sentence => sentence.length > 0);
+      sentences.forEach((sentence, position) => {
+        const words = new Set(LocalEmbeddingProvider.tokenize(sentence));
+        const matched = questionWords.filter(word => words.has(word)).length;
+        if (matched >= needed) {
+          candidates.push({ sentence, number: source.number, matched, position });
+        }
+      });
+    });
+
+    if (candidates.length === 0) {
+      return NOT_FOUND;
+    }
+
+    return candidates
+      .sort((a, b) => b.matched - a.matched || a.number - b.number || a.position - b.position)
+      .slice(0, this.maxSentences)
+      .map(candidate => `${candidate.sentence.replace(/[.!?]?$/, '.')} [${candidate.number}]`)
+      .join(' ');
+  }
+}
+
+// Build a chat model from a plain config object:
+//   { provider: 'openai' | 'openai-compatible' | 'local', model, baseURL, apiKey }
+function createChatModel(config = {}) {
+  const provider = config.provider || (config.baseURL ? 'openai-compatible' : 'openai');
+
+  switch (provider) {
+    case 'openai':
+      if (!config.apiKey) {
+        throw new Error('An OpenAI API key is required for the "openai" chat provider');
+      }
+      return new OpenAIChatModel({ apiKey: config.apiKey, model: config.model });
+
+    case 'openai-compatible':
+      if (!config.baseURL) {
+        throw new Error('A base URL is required for the "openai-compatible" chat provider');
+      }
+      return new OpenAIChatModel({ apiKey: config.apiKey, baseURL: config.baseURL, model: config.model });
+
+    case 'local':
+      return new LocalChatModel();
+
+    default:
+      throw new Error(`Unknown chat provider: ${provider}`);
+  }
+}
+
+module.exports = {
+  NOT_FOUND,
+  OpenAIChatModel,
+  LocalChatModel,
+  createChatModel
+};
@@ -0,0 +1,117 @@
+const fsSync = require('fs');
+const path = require('path');
+
+// Watches a documents directory and hands batches of changed paths to a
+// callback once changes have settled for `debounceMs`. Saving a document
+// usually fires several events (temp file, rename, chmod), so paths are
+// collected into a set rather than handled one event at a time. Batches never
+// overlap: changes that arrive while one is being processed form the next.
+//
+// onBatch(paths) receives absolute paths that were created, modified or
+// deleted (files or directories); it is called with null when the watcher
+// can't tell what changed and the whole directory should be rescanned.
+//
+// Recursive watching uses fs.watch's recursive mode where the platform has
+// it; elsewhere the directory is polled with a full rescan every
+// `pollIntervalMs`.
+class DocumentWatcher {
+  constructor(directory, options = {}) {
+    this.directory = path.resolve(directory);
+    this.recursive = options.recursive || false;
+    this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : 1000;
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.ignore = options.ignore || (() => false);
+    this.onBatch = options.onBatch;
+    this.onError = options.onError || (() => {});
+
+    this.pending = new Set();
+    this.rescanPending = false;
+    this.timer = null;
+    this.processing = null;
+    this.watcher = null;
+    this.pollTimer = null;
+    this.closed = false;
+  }
+
+  // Returns 'watch' or 'poll', depending on how changes are detected
+  start() {
+    try {
+      this.watcher = fsSync.watch(this.directory, { recursive: this.recursive }, (eventType, fileName) => {
+        if (!fileName) {
+          this.rescanPending = true;
+          this.schedule();
+          return;
+        }
+        this.add(path.join(this.directory, fileName.toString()));
+      });
+      this.watcher.on('error', error => this.onError(error));
+      return 'watch';
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      this.pollTimer = setInterval(() => {
+        this.rescanPending = true;
+        this.schedule();
+      }, this.pollIntervalMs);
+      return 'poll';
+    }
+  }
+
+  add(filePath) {
+    if (this.ignore(filePath)) {
+      return;
+    }
+    this.pending.add(filePath);
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.closed) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  async flush() {
+    if (this.processing) {
+      // Picked up again when the running batch finishes
+      return;
+    }
+    if (this.pending.size === 0 && !this.rescanPending) {
+      return;
+    }
+
+    const batch = this.rescanPending ? null : [...this.pending].sort();
+    this.pending.clear();
+    this.rescanPending = false;
+
+    this.processing = (async () => {
+      try {
+        await this.onBatch(batch);
+      } catch (error) {
+        this.onError(error);
+      }
+    })();
+    await this.processing;
+    this.processing = null;
+
+    if (this.pending.size > 0 || this.rescanPending) {
+      this.schedule();
+    }
+  }
+
+  // Stop watching; resolves once a batch in progress has finished
+  async close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    clearInterval(this.pollTimer);
+    if (this.watcher) {
+      this.watcher.close();
+    }
+    if (this.processing) {
+      await this.processing;
+    }
+  }
+}
+
+module.exports = DocumentWatcher;
@@ -0,0 +1,123 @@
+const { withRetry, mapWithConcurrency } = require('./asyncHelpers');
+const { countTokens, splitByTokens } = require('./tokenizer');
+
+// Sends texts to an embedding provider as multi-input requests sized by a
+// token budget, with a bounded number of requests in flight and retries with
+// exponential backoff for rate limits and transient failures. Texts longer
+// than the provider's input limit are split and their vectors averaged.
+class EmbeddingBatcher {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.options = {
+      maxBatchTokens: 8000,
+      maxBatchSize: 256,
+      concurrency: 2,
+      maxRetries: 5,
+      baseDelayMs: 500,
+      maxDelayMs: 60000,
+      countTokens,
+      onRetry: null
+    };
+    this.configure(options);
+  }
+
+  configure(options = {}) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        this.options[key] = value;
+      }
+    });
+  }
+
+  // Group text indices into batches that stay within the token and size limits.
+  // A single text larger than the budget gets a batch of its own.
+  createBatches(texts) {
+    const { maxBatchTokens, maxBatchSize, countTokens } = this.options;
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    texts.forEach((text, index) => {
+      const tokens = countTokens(text);
+      if (current.length > 0 && (currentTokens + tokens > maxBatchTokens || current.length >= maxBatchSize)) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(index);
+      currentTokens += tokens;
+    });
+
+    if (current.length > 0) {
+      batches.push(current);
+    }
+
+    return batches;
+  }
+
+  async embedBatch(texts) {
+    const { maxRetries, baseDelayMs, maxDelayMs, onRetry } = this.options;
+
+    const vectors = await withRetry(() => this.provider.embed(texts), {
+      maxRetries,
+      baseDelayMs,
+      maxDelayMs,
+      onRetry
+    });
+
+    if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+      throw new Error(`Embedding provider returned ${vectors ? vectors.length : 0} vectors for ${texts.length} inputs`);
+    }
+
+    return vectors;
+  }
+
+  // Embed every text, resolving to vectors in input order
+  async embedAll(texts) {
+    if (texts.length === 0) {
+      return [];
+    }
+
+    // Expand texts over the input limit into several pieces
+    const maxInputTokens = this.provider.maxInputTokens || Infinity;
+    const pieces = [];
+    const owners = [];
+    texts.forEach((text, textIndex) => {
+      const parts = Number.isFinite(maxInputTokens) && this.options.countTokens(text) > maxInputTokens
+        ? splitByTokens(text, maxInputTokens).map(piece => piece.text)
+        : [text];
+      parts.forEach(part => {
+        pieces.push(part);
+        owners.push(textIndex);
+      });
+    });
+
+    const batches = this.createBatches(pieces);
+    const pieceVectors = new Array(pieces.length);
+
+    await mapWithConcurrency(batches, this.options.concurrency, async batch => {
+      const vectors = await this.embedBatch(batch.map(index => pieces[index]));
+      batch.forEach((pieceIndex, i) => {
+        pieceVectors[pieceIndex] = vectors[i];
+      });
+    });
+
+    if (pieces.length === texts.length) {
+      return pieceVectors;
+    }
+
+    // Mean-pool the pieces of split texts and re-normalize
+    const grouped = texts.map(() => []);
+    pieceVectors.forEach((vector, i) => grouped[owners[i]].push(vector));
+    return grouped.map(vectors => (vectors.length === 1 ? vectors[0] : EmbeddingBatcher.meanPool(vectors)));
+  }
+
+  static meanPool(vectors) {
+    const sum = new Array(vectors[0].length).fill(0);
+    vectors.forEach(vector => vector.forEach((value, i) => { sum[i] += value; }));
+    const norm = Math.sqrt(sum.reduce((total, value) => total + value * value, 0));
+    return norm > 0 ? sum.map(value => value / norm) : sum;
+  }
+}
+
+module.exports = EmbeddingBatcher;
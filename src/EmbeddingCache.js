@@ -0,0 +1,144 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// On-disk cache of embeddings keyed by (provider, model, normalized text), so
+// text that has been embedded before is never paid for twice. Lives in the
+// index directory and survives clearing the index.
+class EmbeddingCache {
+  constructor(indexPath, fileName = 'embedding-cache.json') {
+    this.cachePath = path.join(indexPath, fileName);
+    this.entries = null;
+    this.stats = { hits: 0, misses: 0 };
+    this.dirty = false;
+  }
+
+  static normalize(text) {
+    return text.trim().replace(/\s+/g, ' ');
+  }
+
+  static key(provider, model, text) {
+    return crypto
+      .createHash('sha256')
+      .update(`${provider}\n${model}\n${EmbeddingCache.normalize(text)}`)
+      .digest('hex');
+  }
+
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    try {
+      const content = await fs.readFile(this.cachePath, 'utf-8');
+      const data = JSON.parse(content);
+      this.entries = data.entries || {};
+      this.stats = { hits: 0, misses: 0, ...data.stats };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read embedding cache: ${error.message}`);
+      }
+      this.entries = {};
+      this.stats = { hits: 0, misses: 0 };
+    }
+
+    return this.entries;
+  }
+
+  async save() {
+    await this.load();
+    await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+    await fs.writeFile(this.cachePath, JSON.stringify({
+      version: 1,
+      stats: this.stats,
+      entries: this.entries
+    }));
+    this.dirty = false;
+  }
+
+  // Write to disk only if entries were added or removed since the last save
+  async flush() {
+    if (this.dirty) {
+      await this.save();
+    }
+  }
+
+  reset() {
+    this.entries = null;
+    this.stats = { hits: 0, misses: 0 };
+    this.dirty = false;
+  }
+
+  // Look up many texts at once; resolves to a vector or null for each.
+  // Pass countStats: false for lookups that shouldn't affect the hit rate.
+  // Hit counts are written with the next change to the entries, so lookups
+  // alone never rewrite the file.
+  async getMany(provider, model, texts, { countStats = true } = {}) {
+    const entries = await this.load();
+
+    return texts.map(text => {
+      const vector = entries[EmbeddingCache.key(provider, model, text)] || null;
+      if (countStats) {
+        this.stats[vector ? 'hits' : 'misses']++;
+      }
+      return vector;
+    });
+  }
+
+  async set(provider, model, text, vector) {
+    const entries = await this.load();
+    entries[EmbeddingCache.key(provider, model, text)] = vector;
+    this.dirty = true;
+  }
+
+  // Add entries from another cache without overwriting existing ones
+  async merge(otherEntries) {
+    const entries = await this.load();
+    Object.entries(otherEntries || {}).forEach(([key, vector]) => {
+      if (!entries[key]) {
+        entries[key] = vector;
+        this.dirty = true;
+      }
+    });
+  }
+
+  // Drop every entry whose key is not in keepKeys; returns the number removed
+  async prune(keepKeys) {
+    const entries = await this.load();
+    let removed = 0;
+
+    Object.keys(entries).forEach(key => {
+      if (!keepKeys.has(key)) {
+        delete entries[key];
+        removed++;
+      }
+    });
+
+    if (removed > 0) {
+      this.dirty = true;
+    }
+    return removed;
+  }
+
+  async getStats() {
+    const entries = await this.load();
+    const lookups = this.stats.hits + this.stats.misses;
+    let sizeBytes = 0;
+
+    try {
+      sizeBytes = (await fs.stat(this.cachePath)).size;
+    } catch (error) {
+      // Cache has not been written yet
+    }
+
+    return {
+      entries: Object.keys(entries).length,
+      sizeBytes,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+}
+
+module.exports = EmbeddingCache;
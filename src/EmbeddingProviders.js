@@ -0,0 +1,143 @@
+const OpenAI = require('openai');
+
+// Embedding providers turn a list of texts into a list of vectors.
+// Every provider exposes the same shape:
+//   name        - provider identifier recorded in the index ('openai', 'local', ...)
+//   model       - model identifier recorded in the index
+//   maxInputTokens - longest input the model accepts; longer texts are split
+//   embed(texts) - resolves to one vector per input text
+
+const DEFAULT_OPENAI_MODEL = 'text-embedding-3-small';
+const DEFAULT_LOCAL_DIMENSIONS = 512;
+const OPENAI_MAX_INPUT_TOKENS = 8191;
+
+// OpenAI embeddings API, or any server that speaks the same protocol
+// (e.g. a local inference server) when a baseURL is given
+class OpenAIEmbeddingProvider {
+  constructor({ apiKey, baseURL, model = DEFAULT_OPENAI_MODEL, dimensions } = {}) {
+    this.name = baseURL ? 'openai-compatible' : 'openai';
+    this.model = model;
+    this.baseURL = baseURL || null;
+    this.dimensions = dimensions || null;
+    this.maxInputTokens = OPENAI_MAX_INPUT_TOKENS;
+    // Retries are handled by EmbeddingBatcher so Retry-After and backoff
+    // settings apply uniformly across providers
+    this.client = new OpenAI({
+      apiKey: apiKey || (baseURL ? 'not-needed' : undefined),
+      baseURL: baseURL || undefined,
+      maxRetries: 0
+    });
+  }
+
+  async embed(texts) {
+    const request = {
+      model: this.model,
+      input: texts,
+      encoding_format: 'float'
+    };
+    if (this.dimensions) {
+      request.dimensions = this.dimensions;
+    }
+
+    const response = await this.client.embeddings.create(request);
+
+    // The API may return items out of order; restore input order
+    return response.data
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+// Fully in-process embedder: hashed bag of words and word bigrams with
+// log-scaled term frequencies. Deterministic and needs no network, which
+// makes it usable on air-gapped machines and in tests.
+class LocalEmbeddingProvider {
+  constructor({ dimensions = DEFAULT_LOCAL_DIMENSIONS } = {}) {
+    this.name = 'local';
+    this.dimensions = dimensions;
+    this.model = `hashed-bow-${dimensions}`;
+    this.maxInputTokens = Infinity;
+  }
+
+  // Lowercased words with a plural "s" stripped, so "passwords" matches "password"
+  static tokenize(text) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+(?:[-_.][\p{L}\p{N}]+)*/gu) || [];
+    return words.map(word => (word.length > 3 && /[^su]s$/.test(word) ? word.slice(0, -1) : word));
+  }
+
+  // 32-bit FNV-1a hash
+  static hash(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  embedOne(text) {
+    const tokens = LocalEmbeddingProvider.tokenize(text);
+    const features = new Map();
+
+    const addFeature = feature => features.set(feature, (features.get(feature) || 0) + 1);
+    tokens.forEach((token, i) => {
+      addFeature(token);
+      if (i > 0) {
+        addFeature(`${tokens[i - 1]} ${token}`);
+      }
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    features.forEach((count, feature) => {
+      const hash = LocalEmbeddingProvider.hash(feature);
+      const sign = (hash & 0x80000000) ? -1 : 1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+// Build a provider from a plain config object:
+//   { provider: 'openai' | 'openai-compatible' | 'local', model, baseURL, apiKey, dimensions }
+function createEmbeddingProvider(config = {}) {
+  const provider = config.provider || (config.baseURL ? 'openai-compatible' : 'openai');
+  const dimensions = config.dimensions ? parseInt(config.dimensions, 10) : undefined;
+
+  switch (provider) {
+    case 'openai':
+      if (!config.apiKey) {
+        throw new Error('An OpenAI API key is required for the "openai" embedding provider');
+      }
+      return new OpenAIEmbeddingProvider({ apiKey: config.apiKey, model: config.model, dimensions });
+
+    case 'openai-compatible':
+      if (!config.baseURL) {
+        throw new Error('A base URL is required for the "openai-compatible" embedding provider');
+      }
+      return new OpenAIEmbeddingProvider({
+        apiKey: config.apiKey,
+        baseURL: config.baseURL,
+        model: config.model,
+        dimensions
+      });
+
+    case 'local':
+      return new LocalEmbeddingProvider({ dimensions });
+
+    default:
+      throw new Error(`Unknown embedding provider: ${provider}`);
+  }
+}
+
+module.exports = {
+  OpenAIEmbeddingProvider,
+  LocalEmbeddingProvider,
+  createEmbeddingProvider
+};
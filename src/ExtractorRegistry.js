@@ -0,0 +1,91 @@
+const path = require('path');
+
+// Maps file extensions and MIME types to text extractors. An extractor is a
+// plain object:
+//
+//   {
+//     name: 'pptx',                      // also the default chunk type
+//     extensions: ['pptx'],
+//     mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+//     extract: async (filePath, options) => [{ text, slide: 1, part: 'slide1' }, ...]
+//   }
+//
+// extract resolves to one or more records. Besides text, a record may carry
+// provenance (sheet, row, slide, jsonPath, pageStarts, columns) and a `part`
+// naming it within the file when the file yields several records. options are
+// the engine's extraction options. A later registration for the same
+// extension or MIME type replaces the earlier one, and one under the same
+// name replaces that extractor entirely.
+class ExtractorRegistry {
+  constructor() {
+    this.extractors = [];
+    this.byExtension = new Map();
+    this.byMimeType = new Map();
+  }
+
+  // A registry holding the extractors for all built-in formats
+  static withBuiltins() {
+    const registry = new ExtractorRegistry();
+    require('./extractors').BUILTIN_EXTRACTORS.forEach(extractor => registry.register(extractor));
+    return registry;
+  }
+
+  static normalizeExtension(extension) {
+    return String(extension).trim().toLowerCase().replace(/^\./, '');
+  }
+
+  register(extractor) {
+    if (!extractor || typeof extractor.name !== 'string' || extractor.name.length === 0) {
+      throw new Error('Extractor needs a name');
+    }
+    if (typeof extractor.extract !== 'function') {
+      throw new Error(`Extractor "${extractor.name}" needs an extract(filePath, options) function`);
+    }
+    if (!Array.isArray(extractor.extensions) || extractor.extensions.length === 0) {
+      throw new Error(`Extractor "${extractor.name}" needs at least one file extension`);
+    }
+
+    const entry = {
+      ...extractor,
+      extensions: extractor.extensions.map(ExtractorRegistry.normalizeExtension),
+      mimeTypes: (extractor.mimeTypes || []).map(type => type.toLowerCase())
+    };
+
+    // Re-registering a name replaces the extractor, including its mappings
+    this.extractors = this.extractors.filter(existing => existing.name !== entry.name);
+    [this.byExtension, this.byMimeType].forEach(mapping => {
+      mapping.forEach((existing, key) => {
+        if (existing.name === entry.name) mapping.delete(key);
+      });
+    });
+    this.extractors.push(entry);
+    entry.extensions.forEach(extension => this.byExtension.set(extension, entry));
+    entry.mimeTypes.forEach(type => this.byMimeType.set(type, entry));
+
+    return entry;
+  }
+
+  getForExtension(extension) {
+    return this.byExtension.get(ExtractorRegistry.normalizeExtension(extension)) || null;
+  }
+
+  getForFile(filePath) {
+    return this.getForExtension(path.extname(filePath));
+  }
+
+  // Parameters such as "; charset=utf-8" are ignored
+  getForMimeType(mimeType) {
+    return this.byMimeType.get(String(mimeType).split(';')[0].trim().toLowerCase()) || null;
+  }
+
+  // Supported extensions, without dots
+  extensions() {
+    return [...this.byExtension.keys()];
+  }
+
+  list() {
+    return this.extractors.slice();
+  }
+}
+
+module.exports = ExtractorRegistry;
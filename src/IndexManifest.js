@@ -0,0 +1,146 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Tracks which files are in the index and what their content looked like when
+// they were indexed, so unchanged files can be skipped on the next run. Also
+// records which embedding provider and model produced the stored vectors, and
+// the document root that document paths and ids are relative to.
+//
+// Entries are keyed by the document's path relative to that root (see
+// documentIdentity.js), so an index and its documents can be moved together;
+// each entry also records the document's current absolute `path`.
+class IndexManifest {
+  constructor(indexPath, fileName = 'manifest.json') {
+    this.manifestPath = path.join(indexPath, fileName);
+    this.files = null;
+    this.embedding = null;
+    this.documentRoot = null;
+  }
+
+  // Load the manifest from disk (an absent manifest is an empty one)
+  async load() {
+    if (this.files) {
+      return this.files;
+    }
+
+    try {
+      const content = await fs.readFile(this.manifestPath, 'utf-8');
+      const data = JSON.parse(content);
+      this.files = IndexManifest.keyByRelativePath(data.files || {});
+      this.embedding = data.embedding || null;
+      this.documentRoot = data.documentRoot || null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read index manifest: ${error.message}`);
+      }
+      this.files = {};
+    }
+
+    return this.files;
+  }
+
+  async save() {
+    await this.load();
+    await fs.mkdir(path.dirname(this.manifestPath), { recursive: true });
+    await fs.writeFile(this.manifestPath, JSON.stringify({
+      version: 2,
+      updatedAt: new Date().toISOString(),
+      embedding: this.embedding,
+      documentRoot: this.documentRoot,
+      files: this.files
+    }, null, 2));
+  }
+
+  // Forget the in-memory copy (e.g. after the index folder was deleted or replaced)
+  reset() {
+    this.files = null;
+    this.embedding = null;
+    this.documentRoot = null;
+  }
+
+  // Provider, model and vector dimensions used to build the index
+  async getEmbeddingInfo() {
+    await this.load();
+    return this.embedding;
+  }
+
+  async setEmbeddingInfo(info) {
+    await this.load();
+    this.embedding = info;
+  }
+
+  async getDocumentRoot() {
+    await this.load();
+    return this.documentRoot;
+  }
+
+  async setDocumentRoot(root) {
+    await this.load();
+    this.documentRoot = root;
+  }
+
+  // Manifests written before version 2 were keyed by absolute path. Entries
+  // that know their relative path are re-keyed; older ones keep their key
+  // until the index is migrated.
+  static keyByRelativePath(files) {
+    const keyed = {};
+    Object.entries(files).forEach(([key, entry]) => {
+      keyed[entry.relativePath || key] = { ...entry, path: entry.path || key };
+    });
+    return keyed;
+  }
+
+  async get(relativePath) {
+    const files = await this.load();
+    return files[relativePath] || null;
+  }
+
+  // entry.path is the document's absolute path
+  async set(relativePath, entry) {
+    const files = await this.load();
+    files[relativePath] = { ...entry, relativePath, path: path.resolve(entry.path) };
+  }
+
+  async delete(relativePath) {
+    const files = await this.load();
+    delete files[relativePath];
+  }
+
+  // Replace all entries at once (used when migrating to a new document root)
+  async replaceAll(entries) {
+    await this.load();
+    this.files = {};
+    entries.forEach(entry => {
+      this.files[entry.relativePath] = { ...entry, path: path.resolve(entry.path) };
+    });
+  }
+
+  async list() {
+    const files = await this.load();
+    return Object.values(files);
+  }
+
+  // Size, modification time and content hash of a file on disk
+  static async fingerprint(filePath) {
+    const stats = await fs.stat(filePath);
+    const content = await fs.readFile(filePath);
+
+    return {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      hash: crypto.createHash('sha256').update(content).digest('hex')
+    };
+  }
+
+  // A file is unchanged if its size and mtime match; if only the mtime moved
+  // (e.g. after a checkout) the content hash decides.
+  static isUnchanged(entry, fingerprint) {
+    if (!entry) return false;
+    if (entry.size !== fingerprint.size) return false;
+    if (entry.mtimeMs === fingerprint.mtimeMs) return true;
+    return entry.hash === fingerprint.hash;
+  }
+}
+
+module.exports = IndexManifest;
@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Inverted index with BM25 scoring, kept next to the vector index so exact
+// terms (acronyms, requirement IDs) can be matched even when embeddings miss them.
+// Only per-chunk term frequencies are stored; postings are rebuilt on load.
+class KeywordIndex {
+  constructor(indexPath, fileName = 'keyword-index.json') {
+    this.indexPath = path.join(indexPath, fileName);
+    this.docs = null;
+    this.postings = null;
+    this.totalLength = 0;
+  }
+
+  // Lowercased terms; identifiers like REQ-221 or v2.3 stay whole
+  static tokenize(text) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+(?:[-_.][\p{L}\p{N}]+)*/gu) || [];
+    return words.filter(word => !STOPWORDS.has(word));
+  }
+
+  async exists() {
+    try {
+      await fs.access(this.indexPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async load() {
+    if (this.docs) {
+      return this.docs;
+    }
+
+    try {
+      const content = await fs.readFile(this.indexPath, 'utf-8');
+      this.docs = JSON.parse(content).docs || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read keyword index: ${error.message}`);
+      }
+      this.docs = {};
+    }
+
+    this.postings = new Map();
+    this.totalLength = 0;
+    Object.entries(this.docs).forEach(([id, doc]) => this.addPostings(id, doc));
+
+    return this.docs;
+  }
+
+  async save() {
+    await this.load();
+    await fs.mkdir(path.dirname(this.indexPath), { recursive: true });
+    await fs.writeFile(this.indexPath, JSON.stringify({ version: 1, docs: this.docs }));
+  }
+
+  reset() {
+    this.docs = null;
+    this.postings = null;
+    this.totalLength = 0;
+  }
+
+  addPostings(id, doc) {
+    Object.entries(doc.tf).forEach(([term, count]) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, count);
+    });
+    this.totalLength += doc.length;
+  }
+
+  async add(id, text) {
+    await this.load();
+    await this.remove(id);
+
+    const terms = KeywordIndex.tokenize(text);
+    const tf = {};
+    terms.forEach(term => {
+      tf[term] = (tf[term] || 0) + 1;
+    });
+
+    const doc = { length: terms.length, tf };
+    this.docs[id] = doc;
+    this.addPostings(id, doc);
+  }
+
+  async remove(id) {
+    await this.load();
+    const doc = this.docs[id];
+    if (!doc) return;
+
+    Object.keys(doc.tf).forEach(term => {
+      const posting = this.postings.get(term);
+      if (posting) {
+        posting.delete(id);
+        if (posting.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+    });
+    this.totalLength -= doc.length;
+    delete this.docs[id];
+  }
+
+  // Replace the whole index with the given { id, text } items
+  async rebuild(items) {
+    this.docs = {};
+    this.postings = new Map();
+    this.totalLength = 0;
+    for (const item of items) {
+      await this.add(item.id, item.text);
+    }
+  }
+
+  // BM25-ranked chunk ids for a query: [{ id, score, matchedTerms }].
+  // An optional filter(id) restricts which chunks can be returned.
+  async search(query, topK = 10, { k1 = 1.2, b = 0.75, filter = null } = {}) {
+    await this.load();
+
+    const docCount = Object.keys(this.docs).length;
+    if (docCount === 0) return [];
+
+    const avgLength = this.totalLength / docCount || 1;
+    const queryTerms = [...new Set(KeywordIndex.tokenize(query))];
+    const scores = new Map();
+
+    queryTerms.forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+      posting.forEach((count, id) => {
+        if (filter && !filter(id)) return;
+
+        const length = this.docs[id].length;
+        const termScore = idf * (count * (k1 + 1)) / (count + k1 * (1 - b + b * length / avgLength));
+        const entry = scores.get(id) || { id, score: 0, matchedTerms: [] };
+        entry.score += termScore;
+        entry.matchedTerms.push(term);
+        scores.set(id, entry);
+      });
+    });
+
+    return [...scores.values()]
+      .sort((x, y) => y.score - x.score)
+      .slice(0, topK);
+  }
+}
+
+module.exports = KeywordIndex;
@@ -1,25 +1,148 @@
 const { LocalIndex } = require('vectra');
-const OpenAI = require('openai');
 const fs = require('fs').promises;
 const path = require('path');
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
-const XLSX = require('xlsx');
+const { pageRangeForWords, formatPageRange } = require('./pdfExtraction');
+const ExtractorRegistry = require('./ExtractorRegistry');
+const TraceGraph = require('./TraceGraph');
+const { createIdExtractor, findDefinedIds } = require('./requirementIds');
+const { relativeDocumentPath, describeDocument, chunkIdFor } = require('./documentIdentity');
+const IndexManifest = require('./IndexManifest');
+const { createEmbeddingProvider } = require('./EmbeddingProviders');
+const { createChatModel } = require('./ChatModels');
+const { buildSources, buildMessages, parseReply } = require('./answering');
+const { detectDuplicates } = require('./duplicateDetection');
+const { clusterTopics } = require('./topicClustering');
+const { analyzeCoverage } = require('./coverageAnalysis');
+const { evaluateRetrieval } = require('./evaluation');
+const { withRetry, mapWithConcurrency } = require('./asyncHelpers');
+const EmbeddingBatcher = require('./EmbeddingBatcher');
+const EmbeddingCache = require('./EmbeddingCache');
+const KeywordIndex = require('./KeywordIndex');
+const { createMetadataFilter, isEmptyFilter, matchesPathPattern } = require('./filters');
+const { cosineSimilarity } = require('./vectorMath');
+const {
+  rankingScore,
+  applyMMR,
+  collapseAdjacentResults,
+  groupResultsByFile,
+  trimTrailingOverlap,
+  trimLeadingOverlap
+} = require('./resultProcessing');
+const {
+  chunkText,
+  splitIntoWindows,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP
+} = require('./chunking');
+
+const SEARCH_MODES = ['hybrid', 'vector', 'keyword'];
 
 class RequirementsSearchEngine {
-  constructor(indexPath = './requirements-index', openaiApiKey) {
+  // options.embeddingProvider is either a provider instance (anything with an
+  // embed(texts) method) or a config object for createEmbeddingProvider.
+  // options.batching is passed to EmbeddingBatcher (maxBatchTokens, concurrency, maxRetries, ...).
+  // options.chunking selects the chunking strategy and sizes (see setChunkingOptions).
+  // options.extraction holds format-specific settings (see setExtractionOptions).
+  // options.extractors is an ExtractorRegistry (defaults to the built-in formats).
+  // options.documentRoot is the directory document paths are relative to (see setDocumentRoot).
+  // options.chatModel is a chat model or its config (see ChatModels.js), used by answer().
+  constructor(indexPath = './requirements-index', openaiApiKey, options = {}) {
+    const { embeddingProvider, batching = {}, chunking = {}, extraction = {}, extractors, documentRoot = null, chatModel = null } = options;
+    
     this.indexPath = indexPath;
     this.index = new LocalIndex(indexPath);
-    this.openai = new OpenAI({ apiKey: openaiApiKey });
+    this.embeddingProvider = embeddingProvider && typeof embeddingProvider.embed === 'function'
+      ? embeddingProvider
+      : createEmbeddingProvider({ apiKey: openaiApiKey, ...embeddingProvider });
+    this.embeddingBatcher = new EmbeddingBatcher(this.embeddingProvider, {
+      onRetry: (error, attempt, delayMs) => this.logRetry(error, attempt, delayMs),
+      ...batching
+    });
+    this.manifest = new IndexManifest(indexPath);
+    this.embeddingCache = new EmbeddingCache(indexPath);
+    this.keywordIndex = new KeywordIndex(indexPath);
+    this.chunkingOptions = { strategy: 'structure', chunkSize: DEFAULT_CHUNK_SIZE, overlap: DEFAULT_CHUNK_OVERLAP };
+    this.setChunkingOptions(chunking);
+    this.extractionOptions = { headerRows: null, idPatterns: null };
+    this.setExtractionOptions(extraction);
+    this.extractors = extractors || ExtractorRegistry.withBuiltins();
+    this.documentRootOptions = { root: null, fallback: null };
+    this.setDocumentRoot(documentRoot);
+    this.openaiApiKey = openaiApiKey;
+    this.chatModelConfig = chatModel;
+    this.chatModel = null;
     this.isInitialized = false;
     this.debugMode = false;
   }
 
+  // Embedding settings recorded in an index, without opening the index itself
+  static async readEmbeddingInfo(indexPath) {
+    return new IndexManifest(indexPath).getEmbeddingInfo();
+  }
+
   // Enable/disable debug mode
   setDebugMode(enabled = true) {
     this.debugMode = enabled;
   }
 
+  // Adjust embedding request batching (maxBatchTokens, maxBatchSize, concurrency, maxRetries, ...)
+  setBatchOptions(options = {}) {
+    this.embeddingBatcher.configure(options);
+  }
+
+  // Choose how documents are split: { strategy: 'structure' | 'fixed', chunkSize, overlap } (sizes in tokens)
+  setChunkingOptions(options = {}) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        this.chunkingOptions[key] = value;
+      }
+    });
+  }
+
+  // Extraction settings: headerRows is the Excel header row ("2", "1-2" or
+  // "none"; null detects it per sheet), idPatterns the regular expressions
+  // for requirement IDs (null uses the REQ-104 style default)
+  setExtractionOptions(options = {}) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) {
+        this.extractionOptions[key] = value;
+      }
+    });
+    this.idExtractor = createIdExtractor(this.extractionOptions.idPatterns);
+  }
+
+  // Documents are identified by their path relative to the document root
+  // (see documentIdentity.js). The first indexing run records the root in the
+  // manifest; after that `root` must match it (change it with migrateIndex).
+  // `fallback` is used when neither is set (the working directory otherwise).
+  setDocumentRoot(root, fallback = null) {
+    this.documentRootOptions = {
+      root: root ? path.resolve(root) : null,
+      fallback: fallback ? path.resolve(fallback) : null
+    };
+  }
+
+  async resolveDocumentRoot() {
+    const recorded = await this.manifest.getDocumentRoot();
+    const { root, fallback } = this.documentRootOptions;
+    
+    if (recorded && root && recorded !== root) {
+      throw new Error(`The index uses document root ${recorded}; run "migrate --root ${root}" to change it`);
+    }
+    return recorded || root || fallback || process.cwd();
+  }
+
+  // A file's relative path and document id under the index's document root
+  async identifyDocument(filePath) {
+    return describeDocument(filePath, await this.resolveDocumentRoot());
+  }
+
+  logRetry(error, attempt, delayMs) {
+    if (this.debugMode) {
+      console.log(`Embedding request failed (${error.message}), retry ${attempt} in ${Math.round(delayMs)}ms`);
+    }
+  }
+
   async initialize() {
     if (!this.isInitialized) {
       try {
@@ -36,203 +159,760 @@ class RequirementsSearchEngine {
     }
   }
 
-  // Split text into chunks for better searchability
-  splitIntoChunks(text, chunkSize = 500, overlap = 50) {
-    const words = text.split(/\s+/);
-    const chunks = [];
-    
-    for (let i = 0; i < words.length; i += chunkSize - overlap) {
-      const chunk = words.slice(i, i + chunkSize).join(' ');
-      if (chunk.trim().length > 0) {
-        chunks.push({
-          text: chunk.trim(),
-          startIndex: i,
-          wordCount: Math.min(chunkSize, words.length - i)
-        });
-      }
-    }
-    
-    return chunks;
-  }
-
-  // Extract text from Excel files with proper sheet and row tracking
-  async extractTextFromExcel(filePath) {
-    const workbook = XLSX.readFile(filePath);
-    const results = [];
-    
-    workbook.SheetNames.forEach(sheetName => {
-      const worksheet = workbook.Sheets[sheetName];
-      if (!worksheet['!ref']) return; // Skip empty sheets
-      
-      const range = XLSX.utils.decode_range(worksheet['!ref']);
-      
-      for (let row = range.s.r; row <= range.e.r; row++) {
-        const rowData = [];
-        for (let col = range.s.c; col <= range.e.c; col++) {
-          const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-          const cell = worksheet[cellAddress];
-          if (cell && cell.v) {
-            rowData.push(String(cell.v));
-          }
-        }
-        
-        if (rowData.length > 0) {
-          const text = rowData.join(' | ');
-          results.push({
-            text,
-            sheet: sheetName,
-            row: row + 1,
-            rowRange: `${row + 1}:${row + 1}`
-          });
-        }
-      }
-    });
-    
-    return results;
+  // Split text into fixed token windows (the "fixed" chunking strategy)
+  splitIntoChunks(text, chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP) {
+    return splitIntoWindows(text, chunkSize, overlap);
   }
 
-  // Extract text from different file formats
+  // Extract text from a file with the extractor registered for its extension.
+  // Resolves to records of { text, fileName, type, ...provenance }.
   async extractTextFromFile(filePath) {
     const ext = path.extname(filePath).toLowerCase();
     const fileName = path.basename(filePath);
+    const extractor = this.extractors.getForFile(filePath);
+    
+    if (!extractor) {
+      throw new Error(`Unsupported file format: ${ext}`);
+    }
     
     try {
-      switch (ext) {
-        case '.pdf':
-          const pdfBuffer = await fs.readFile(filePath);
-          const pdfData = await pdfParse(pdfBuffer);
-          return [{ text: pdfData.text, fileName, type: 'pdf' }];
-          
-        case '.docx':
-          const docxBuffer = await fs.readFile(filePath);
-          const result = await mammoth.extractRawText({ buffer: docxBuffer });
-          return [{ text: result.value, fileName, type: 'docx' }];
-          
-        case '.xlsx':
-        case '.xls':
-          const excelData = await this.extractTextFromExcel(filePath);
-          return excelData.map(item => ({
-            ...item,
-            fileName,
-            type: 'excel'
-          }));
-          
-        case '.txt':
-        case '.md':
-          const textContent = await fs.readFile(filePath, 'utf-8');
-          return [{ text: textContent, fileName, type: 'text' }];
-          
-        default:
-          throw new Error(`Unsupported file format: ${ext}`);
+      const output = await extractor.extract(filePath, { ...this.extractionOptions });
+      const records = typeof output === 'string' ? [{ text: output }] : output;
+      if (!Array.isArray(records)) {
+        throw new Error(`Extractor "${extractor.name}" must return an array of records or a string`);
       }
+      return records.map(record => ({
+        ...record,
+        text: record.text || '',
+        fileName,
+        type: record.type || extractor.name
+      }));
     } catch (error) {
       console.error(`Error processing file ${filePath}:`, error);
       throw error;
     }
   }
 
-  // Generate embeddings using OpenAI
-  async generateEmbedding(text) {
+  // Generate embeddings using the configured provider
+  async generateEmbedding(text, options = {}) {
+    const [embedding] = await this.generateEmbeddings([text], options);
+    return embedding;
+  }
+
+  // Generate embeddings for many texts in batched, rate-limit aware requests.
+  // The embedding cache is consulted first; with updateCache: false (used for
+  // search queries) it is only read, so searching never rewrites the cache.
+  // New vectors are cached in memory until flushEmbeddingCache() writes them.
+  async generateEmbeddings(texts, options = {}) {
+    const { updateCache = true } = options;
+    
+    if (texts.length === 0) {
+      return [];
+    }
+    
     try {
       // Clean and normalize text before embedding
-      const cleanText = text.trim().replace(/\s+/g, ' ');
+      const cleanTexts = texts.map(text => EmbeddingCache.normalize(text));
+      const { name, model } = this.embeddingProvider;
+      
+      const vectors = await this.embeddingCache.getMany(name, model, cleanTexts, { countStats: updateCache });
+      const missing = cleanTexts
+        .map((text, i) => (vectors[i] ? null : i))
+        .filter(i => i !== null);
       
       if (this.debugMode) {
-        console.log(`Generating embedding for text (${cleanText.length} chars): ${cleanText.substring(0, 100)}...`);
+        const totalChars = cleanTexts.reduce((sum, text) => sum + text.length, 0);
+        console.log(`Generating ${cleanTexts.length} embeddings (${totalChars} chars, ${cleanTexts.length - missing.length} cached): ${cleanTexts[0].substring(0, 100)}...`);
       }
       
-      const response = await this.openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: cleanText,
-        encoding_format: 'float'
-      });
+      if (missing.length > 0) {
+        const generated = await this.embeddingBatcher.embedAll(missing.map(i => cleanTexts[i]));
+        for (let j = 0; j < missing.length; j++) {
+          vectors[missing[j]] = generated[j];
+          if (updateCache) {
+            await this.embeddingCache.set(name, model, cleanTexts[missing[j]], generated[j]);
+          }
+        }
+      }
       
-      return response.data[0].embedding;
+      return vectors;
     } catch (error) {
-      console.error('Error generating embedding:', error);
+      console.error('Error generating embedding:', error.message);
       throw error;
     }
   }
 
-  // Index a single document
-  async indexDocument(filePath) {
+  // Write embeddings cached since the last write to the cache file. Indexing
+  // runs call this once at the end rather than after every document.
+  async flushEmbeddingCache() {
+    await this.embeddingCache.flush();
+  }
+
+  // Drop cached embeddings that no chunk in the index refers to
+  async pruneEmbeddingCache() {
     await this.initialize();
     
+    const { name, model } = this.embeddingProvider;
+    const items = await this.index.listItems();
+    const keepKeys = new Set(items.map(item => EmbeddingCache.key(name, model, item.metadata.text)));
+    
+    const removed = await this.embeddingCache.prune(keepKeys);
+    await this.embeddingCache.flush();
+    
+    return { removed, ...(await this.embeddingCache.getStats()) };
+  }
+
+  // Refuse to mix vectors from different embedding models in one index.
+  // Called without dimensions to check provider/model before paying for
+  // embeddings, and with dimensions once a vector is available.
+  async assertEmbeddingCompatible(dimensions) {
+    const recorded = await this.manifest.getEmbeddingInfo();
+    const { name, model } = this.embeddingProvider;
+    
+    if (recorded) {
+      if (recorded.provider !== name || recorded.model !== model) {
+        throw new Error(
+          `Index at ${this.indexPath} was built with ${recorded.provider} embeddings (model ${recorded.model}), ` +
+          `but the current provider is ${name} (model ${model}). ` +
+          'Use the same embedding provider or rebuild the index with --clear.'
+        );
+      }
+      if (dimensions && recorded.dimensions && recorded.dimensions !== dimensions) {
+        throw new Error(
+          `Embedding dimension mismatch: index at ${this.indexPath} stores ${recorded.dimensions}-dimensional vectors, ` +
+          `but ${name} (model ${model}) produced ${dimensions}.`
+        );
+      }
+      return;
+    }
+    
+    // Indexes built before providers were recorded: compare against a stored vector
+    if (dimensions) {
+      const items = await this.index.listItems();
+      if (items.length > 0 && items[0].vector.length !== dimensions) {
+        throw new Error(
+          `Embedding dimension mismatch: index at ${this.indexPath} stores ${items[0].vector.length}-dimensional vectors, ` +
+          `but ${name} (model ${model}) produced ${dimensions}.`
+        );
+      }
+    }
+  }
+
+  // Index a single document, skipping it if unchanged since the last run.
+  // options.flushCache: false leaves new embeddings for a later
+  // flushEmbeddingCache() (when indexing many documents in one run)
+  async indexDocument(filePath, options = {}) {
+    await this.initialize();
+    
+    const { force = false, tags = {}, flushCache = true } = options;
+    const fileName = path.basename(filePath);
+    const documentRoot = await this.resolveDocumentRoot();
+    const { relativePath, documentId } = describeDocument(filePath, documentRoot);
+    const fingerprint = await IndexManifest.fingerprint(filePath);
+    const existingEntry = await this.manifest.get(relativePath);
+    
+    const chunking = { ...this.chunkingOptions, unit: 'tokens' };
+    const extraction = { ...this.extractionOptions };
+    const sameSettings = existingEntry
+      && JSON.stringify(existingEntry.chunking || null) === JSON.stringify(chunking)
+      && JSON.stringify(existingEntry.extraction || null) === JSON.stringify(extraction)
+      && JSON.stringify(existingEntry.tags || {}) === JSON.stringify(tags);
+    
+    if (!force && sameSettings && IndexManifest.isUnchanged(existingEntry, fingerprint)) {
+      if (this.debugMode) {
+        console.log(`Skipping unchanged document: ${filePath}`);
+      }
+      return { fileName, relativePath, documentId, chunksCreated: 0, status: 'unchanged' };
+    }
+    
+    await this.assertEmbeddingCompatible();
+    
     if (this.debugMode) {
       console.log(`\n=== Indexing Document: ${filePath} ===`);
     }
     
     const extractedData = await this.extractTextFromFile(filePath);
-    let totalChunks = 0;
+    const pending = [];
     
-    for (const data of extractedData) {
+    for (const [recordIndex, data] of extractedData.entries()) {
       if (this.debugMode) {
         console.log(`Processing ${data.type} content (${data.text.length} chars)`);
         if (data.sheet) {
           console.log(`  Sheet: ${data.sheet}, Row: ${data.row}`);
+        } else if (data.part) {
+          console.log(`  Part: ${data.part}`);
         }
       }
       
-      const chunks = this.splitIntoChunks(data.text);
+      const chunks = chunkText(data.text, chunking);
       
       if (this.debugMode) {
         console.log(`Split into ${chunks.length} chunks`);
       }
       
-      // Process chunks in batches to avoid rate limits
-      const batchSize = 5;
-      for (let i = 0; i < chunks.length; i += batchSize) {
-        const batch = chunks.slice(i, i + batchSize);
+      // Files that yield several records (rows, slides, items) name each one
+      const part = data.part || (data.sheet ? `${data.sheet}_row${data.row}` : null);
+      
+      chunks.forEach((chunk, chunkIndex) => {
+        const { pageStart, pageEnd } = pageRangeForWords(data.pageStarts, chunk.startIndex, chunk.wordCount);
+        const ids = this.idExtractor.extract(chunk.text);
+        const definedIds = findDefinedIds({ ...chunk, columns: data.columns }, this.idExtractor);
         
-        await Promise.all(batch.map(async (chunk, batchIndex) => {
-          const embedding = await this.generateEmbedding(chunk.text);
-          
-          const chunkId = data.sheet 
-            ? `${data.fileName}_${data.sheet}_row${data.row}_chunk${i + batchIndex}`
-            : `${data.fileName}_chunk_${i + batchIndex}`;
-            
-          if (this.debugMode) {
-            console.log(`  Indexing chunk ${chunkId} (${chunk.text.length} chars)`);
+        pending.push({
+          id: chunkIdFor(documentId, part, chunkIndex),
+          metadata: {
+            fileName: data.fileName,
+            filePath,
+            relativePath,
+            documentId,
+            chunkIndex,
+            text: chunk.text,
+            wordCount: chunk.wordCount,
+            tokenCount: chunk.tokenCount,
+            preview: chunk.text.substring(0, 150) + '...',
+            type: data.type,
+            sheet: data.sheet || null,
+            row: data.row || null,
+            rowRange: data.rowRange || null,
+            columns: data.columns || null,
+            pageStart,
+            pageEnd,
+            slide: data.slide || null,
+            jsonPath: data.jsonPath || null,
+            part,
+            recordIndex: part ? recordIndex : null,
+            headingPath: chunk.headingPath && chunk.headingPath.length > 0 ? chunk.headingPath.join(' > ') : null,
+            sectionNumber: chunk.sectionNumber || null,
+            requirementId: chunk.requirementId || null,
+            ids: ids.length > 0 ? ids : null,
+            definedIds: definedIds.length > 0 ? definedIds : null,
+            tags: Object.keys(tags).length > 0 ? tags : null,
+            // Add debugging info
+            originalTextLength: data.text.length,
+            chunkStartIndex: chunk.startIndex
           }
-            
-          await this.index.insertItem({
-            id: chunkId,
-            vector: embedding,
-            metadata: {
-              fileName: data.fileName,
-              filePath,
-              chunkIndex: i + batchIndex,
-              text: chunk.text,
-              wordCount: chunk.wordCount,
-              preview: chunk.text.substring(0, 150) + '...',
-              type: data.type,
-              sheet: data.sheet || null,
-              row: data.row || null,
-              rowRange: data.rowRange || null,
-              // Add debugging info
-              originalTextLength: data.text.length,
-              chunkStartIndex: chunk.startIndex
-            }
-          });
-        }));
-        
-        // Small delay to respect API rate limits
-        if (i + batchSize < chunks.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
+        });
+      });
+    }
+    
+    // Embed all chunks of the file in token-bounded batches
+    const vectors = await this.generateEmbeddings(pending.map(item => item.metadata.text));
+    const items = pending.map((item, i) => ({ ...item, vector: vectors[i] }));
+    
+    if (this.debugMode) {
+      items.forEach(item => {
+        console.log(`  Embedded chunk ${item.id} (${item.metadata.text.length} chars)`);
+      });
+    }
+    
+    if (items.length > 0) {
+      const dimensions = items[0].vector.length;
+      await this.assertEmbeddingCompatible(dimensions);
+      
+      if (!(await this.manifest.getDocumentRoot())) {
+        await this.manifest.setDocumentRoot(documentRoot);
+      }
+      if (!(await this.manifest.getEmbeddingInfo())) {
+        await this.manifest.setEmbeddingInfo({
+          provider: this.embeddingProvider.name,
+          model: this.embeddingProvider.model,
+          dimensions,
+          baseURL: this.embeddingProvider.baseURL || null
+        });
+      }
+    }
+    
+    await this.ensureKeywordIndex();
+    
+    // Swap the old chunks for the new ones in a single index write, so a
+    // failure part-way through leaves the previous version searchable
+    await this.index.beginUpdate();
+    let removedIds;
+    try {
+      removedIds = await this.deleteDocumentChunks(filePath, documentId, existingEntry);
+      for (const item of items) {
+        await this.index.insertItem(item);
+      }
+      await this.index.endUpdate();
+    } catch (error) {
+      this.index.cancelUpdate();
+      throw error;
+    }
+    
+    for (const id of removedIds) {
+      await this.keywordIndex.remove(id);
+    }
+    for (const item of items) {
+      await this.keywordIndex.add(item.id, item.metadata.text);
+    }
+    await this.keywordIndex.save();
+    
+    await this.manifest.set(relativePath, {
+      ...fingerprint,
+      path: filePath,
+      documentId,
+      chunking,
+      extraction,
+      tags,
+      chunkIds: items.map(item => item.id),
+      indexedAt: new Date().toISOString()
+    });
+    await this.manifest.save();
+    
+    if (flushCache) {
+      await this.flushEmbeddingCache();
+    }
+    
+    if (this.debugMode) {
+      console.log(`=== Completed indexing: ${items.length} chunks created ===\n`);
+    }
+    
+    return {
+      fileName,
+      relativePath,
+      documentId,
+      chunksCreated: items.length,
+      status: existingEntry ? 'updated' : 'added'
+    };
+  }
+
+  // Delete every chunk belonging to a document and return the deleted ids.
+  // Must be called inside an index update. Chunks from indexes built before
+  // document ids existed are found by file path.
+  async deleteDocumentChunks(filePath, documentId, entry) {
+    const resolvedPath = path.resolve(filePath);
+    const ids = new Set(entry ? entry.chunkIds : []);
+    
+    const allItems = await this.index.listItems();
+    allItems.forEach(item => {
+      const metadata = item.metadata;
+      const belongs = metadata.documentId
+        ? metadata.documentId === documentId
+        : metadata.filePath && path.resolve(metadata.filePath) === resolvedPath;
+      if (belongs) {
+        ids.add(item.id);
+      }
+    });
+    
+    for (const id of ids) {
+      await this.index.deleteItem(id);
+    }
+    
+    return [...ids];
+  }
+
+  // Remove a document and all of its chunks from the index
+  async removeDocument(filePath) {
+    await this.initialize();
+    
+    const { relativePath, documentId } = await this.identifyDocument(filePath);
+    const entry = await this.manifest.get(relativePath);
+    await this.ensureKeywordIndex();
+    
+    await this.index.beginUpdate();
+    let removedIds;
+    try {
+      removedIds = await this.deleteDocumentChunks(filePath, documentId, entry);
+      await this.index.endUpdate();
+    } catch (error) {
+      this.index.cancelUpdate();
+      throw error;
+    }
+    
+    for (const id of removedIds) {
+      await this.keywordIndex.remove(id);
+    }
+    await this.keywordIndex.save();
+    await this.manifest.delete(relativePath);
+    await this.manifest.save();
+    
+    const chunksRemoved = removedIds.length;
+    if (this.debugMode) {
+      console.log(`Removed ${chunksRemoved} chunks for ${filePath}`);
+    }
+    
+    return {
+      fileName: path.basename(filePath),
+      relativePath,
+      chunksRemoved
+    };
+  }
+
+  // Whether a file is recorded in the manifest
+  async isDocumentIndexed(filePath) {
+    await this.initialize();
+    const { relativePath } = await this.identifyDocument(filePath);
+    return Boolean(await this.manifest.get(relativePath));
+  }
+
+  // Remove documents under a directory that no longer exist on disk
+  async removeMissingDocuments(directory) {
+    await this.initialize();
+    
+    const root = path.resolve(directory) + path.sep;
+    const entries = await this.manifest.list();
+    const removed = [];
+    
+    for (const entry of entries) {
+      if (!entry.path.startsWith(root)) continue;
+      
+      try {
+        await fs.access(entry.path);
+      } catch (error) {
+        removed.push(await this.removeDocument(entry.path));
+      }
+    }
+    
+    return removed;
+  }
+
+  // Every indexed document with its type, chunk count, file size and when it
+  // was indexed. Documents indexed before the manifest existed have no size or
+  // date.
+  async listDocuments() {
+    await this.initialize();
+    
+    const items = await this.index.listItems();
+    const documents = new Map();
+    
+    items.forEach(item => {
+      const metadata = item.metadata;
+      const filePath = path.resolve(metadata.filePath || metadata.fileName);
+      const key = metadata.documentId || filePath;
+      if (!documents.has(key)) {
+        documents.set(key, {
+          path: filePath,
+          relativePath: metadata.relativePath || null,
+          documentId: metadata.documentId || null,
+          fileName: metadata.fileName,
+          type: metadata.type,
+          chunks: 0,
+          size: null,
+          indexedAt: null,
+          tags: metadata.tags || null
+        });
+      }
+      documents.get(key).chunks++;
+    });
+    
+    // Files that produced no chunks (e.g. empty) are only in the manifest
+    const entries = await this.manifest.list();
+    entries.forEach(entry => {
+      const key = entry.documentId || entry.path;
+      if (!documents.has(key)) {
+        const extractor = this.extractors.getForFile(entry.path);
+        documents.set(key, {
+          path: entry.path,
+          relativePath: entry.relativePath || null,
+          documentId: entry.documentId || null,
+          fileName: path.basename(entry.path),
+          type: extractor ? extractor.name : null,
+          chunks: 0,
+          size: null,
+          indexedAt: null,
+          tags: null
+        });
+      }
+      Object.assign(documents.get(key), {
+        size: entry.size,
+        indexedAt: entry.indexedAt || null,
+        tags: entry.tags && Object.keys(entry.tags).length > 0 ? entry.tags : null
+      });
+    });
+    
+    return [...documents.values()].sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  // Indexed documents whose path is `pattern` or matches it as a glob
+  // (absolute, relative to the working directory or to the document root)
+  async matchDocuments(pattern) {
+    const documents = await this.listDocuments();
+    return documents.filter(document => matchesPathPattern(document.path, pattern, document.relativePath));
+  }
+
+  // Remove every indexed document matching a path or glob, leaving the rest
+  // of the index untouched
+  async removeDocuments(pattern) {
+    const documents = await this.matchDocuments(pattern);
+    const removed = [];
+    
+    for (const document of documents) {
+      removed.push({ ...(await this.removeDocument(document.path)), path: document.path });
+    }
+    
+    return removed;
+  }
+
+  // Whether any chunk predates path-based document ids (or no root is recorded)
+  async needsMigration() {
+    await this.initialize();
+    
+    const items = await this.index.listItems();
+    if (items.length === 0) {
+      return false;
+    }
+    return !(await this.manifest.getDocumentRoot()) || items.some(item => !item.metadata.documentId);
+  }
+
+  // Upgrade an index to path-based document identity: every chunk gets its
+  // document's relative path and id, chunk ids are rebuilt from the document
+  // id (indexes built before used the bare file name), and the keyword index
+  // and manifest follow. With `root`, the document root is changed to it and
+  // every document is re-identified relative to the new root. When the
+  // documents were moved (the new root holds a document at its old relative
+  // path) the stored file paths are rebased onto the new root. Vectors are
+  // kept, so nothing is re-embedded.
+  async migrateIndex(options = {}) {
+    await this.initialize();
+    
+    const recorded = await this.manifest.getDocumentRoot();
+    const root = options.root
+      ? path.resolve(options.root)
+      : recorded || this.documentRootOptions.root || this.documentRootOptions.fallback || process.cwd();
+    
+    const locations = new Map(); // recorded file path -> current file path
+    const locate = async (recordedPath, recordedRelativePath) => {
+      const filePath = path.resolve(recordedPath);
+      if (!recorded || recorded === root) {
+        return filePath;
+      }
+      if (!locations.has(filePath)) {
+        const moved = path.resolve(root, recordedRelativePath || relativeDocumentPath(filePath, recorded));
+        let located = filePath;
+        try {
+          await fs.access(moved);
+          located = moved;
+        } catch (error) {
+          // Not moved: the same file, identified relative to the new root
+        }
+        locations.set(filePath, located);
+      }
+      return locations.get(filePath);
+    };
+    
+    const items = await this.index.listItems();
+    const renamed = new Map(); // old chunk id -> new chunk id
+    const updates = [];
+    
+    for (const item of items) {
+      const metadata = item.metadata;
+      const filePath = await locate(metadata.filePath || metadata.fileName, metadata.relativePath);
+      const { relativePath, documentId } = describeDocument(filePath, root);
+      const part = metadata.part || (metadata.sheet ? `${metadata.sheet}_row${metadata.row}` : null);
+      const id = chunkIdFor(documentId, part, metadata.chunkIndex);
+      
+      if (id !== item.id || metadata.filePath !== filePath
+        || metadata.relativePath !== relativePath || metadata.documentId !== documentId) {
+        renamed.set(item.id, id);
+        updates.push({
+          oldId: item.id,
+          item: { id, vector: item.vector, metadata: { ...metadata, filePath, relativePath, documentId } }
+        });
+      }
+    }
+    
+    if (updates.length > 0) {
+      await this.ensureKeywordIndex();
+      
+      // All deletes go first so a new id never collides with an old one
+      await this.index.beginUpdate();
+      try {
+        for (const update of updates) {
+          await this.index.deleteItem(update.oldId);
         }
+        for (const update of updates) {
+          await this.index.insertItem(update.item);
+        }
+        await this.index.endUpdate();
+      } catch (error) {
+        this.index.cancelUpdate();
+        throw error;
       }
       
-      totalChunks += chunks.length;
+      for (const update of updates) {
+        await this.keywordIndex.remove(update.oldId);
+        await this.keywordIndex.add(update.item.id, update.item.metadata.text);
+      }
+      await this.keywordIndex.save();
+    }
+    
+    const entries = [];
+    for (const entry of await this.manifest.list()) {
+      const filePath = await locate(entry.path, entry.relativePath);
+      entries.push({
+        ...entry,
+        ...describeDocument(filePath, root),
+        path: filePath,
+        chunkIds: (entry.chunkIds || []).map(id => renamed.get(id) || id)
+      });
+    }
+    await this.manifest.replaceAll(entries);
+    await this.manifest.setDocumentRoot(root);
+    await this.manifest.save();
+    
+    const documents = new Set(updates.map(update => update.item.metadata.filePath));
+    if (this.debugMode) {
+      console.log(`Migrated ${updates.length} chunks of ${documents.size} documents to document root ${root}`);
+    }
+    
+    return {
+      documentRoot: root,
+      previousDocumentRoot: recorded,
+      documentsMigrated: documents.size,
+      chunksMigrated: updates.length
+    };
+  }
+
+  // Make sure the keyword index exists; indexes built before it was introduced
+  // get one built from the stored chunk texts
+  async ensureKeywordIndex() {
+    if (await this.keywordIndex.exists()) {
+      return;
+    }
+    
+    const items = await this.index.listItems();
+    if (items.length === 0) {
+      return;
     }
     
     if (this.debugMode) {
-      console.log(`=== Completed indexing: ${totalChunks} chunks created ===\n`);
+      console.log(`Building keyword index from ${items.length} existing chunks`);
     }
+    await this.keywordIndex.rebuild(items.map(item => ({ id: item.id, text: item.metadata.text })));
+    await this.keywordIndex.save();
+  }
+
+  // Top-K vector search restricted to chunks whose metadata passes a predicate
+  async queryFilteredItems(vector, topK, predicate) {
+    const items = await this.index.listItems();
     
-    return { fileName: path.basename(filePath), chunksCreated: totalChunks };
+    return items
+      .filter(item => predicate(item.metadata))
+      .map(item => ({ item, score: cosineSimilarity(vector, item.vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  // Rank candidate chunks by vector similarity, BM25, or both fused with
+  // reciprocal rank fusion. hybridWeight is the share given to the vector ranking.
+  // score is the cosine similarity (vector and hybrid modes) or the BM25 score
+  // relative to the best match (keyword mode); hybrid candidates are ordered by
+  // fusedScore, which only compares candidates of the same query.
+  // options.filter (see filters.js) is applied before the top candidates are picked.
+  // options.queryEmbedding skips embedding the query (see searchMany).
+  async retrieveCandidates(query, candidateCount, options = {}) {
+    const {
+      mode = 'hybrid',
+      hybridWeight = 0.5,
+      rrfK = 60,
+      filter = null,
+      debug = this.debugMode,
+      showEmbeddingStats = false
+    } = options;
+    
+    const predicate = createMetadataFilter(filter);
+    let allowedIds = null;
+    if (predicate) {
+      const items = await this.index.listItems();
+      allowedIds = new Set(items.filter(item => predicate(item.metadata)).map(item => item.id));
+      
+      if (debug) {
+        console.log(`Filter ${JSON.stringify(filter)} matches ${allowedIds.size} of ${items.length} chunks`);
+      }
+    }
+    
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode: ${mode} (expected one of ${SEARCH_MODES.join(', ')})`);
+    }
+    
+    const candidates = new Map();
+    const candidateFor = item => {
+      if (!candidates.has(item.id)) {
+        candidates.set(item.id, { item, vectorScore: null, keywordScore: null, vectorRank: null, keywordRank: null });
+      }
+      return candidates.get(item.id);
+    };
+    
+    let queryEmbedding = null;
+    if (mode !== 'keyword') {
+      // Generate embedding for the search query
+      await this.assertEmbeddingCompatible();
+      queryEmbedding = options.queryEmbedding || await this.generateEmbedding(query, { updateCache: false });
+      await this.assertEmbeddingCompatible(queryEmbedding.length);
+      
+      if (debug && showEmbeddingStats) {
+        console.log(`Query embedding dimensions: ${queryEmbedding.length}`);
+        console.log(`Query embedding sample: [${queryEmbedding.slice(0, 5).join(', ')}...]`);
+      }
+      
+      // Perform vector similarity search
+      const vectorResults = predicate
+        ? await this.queryFilteredItems(queryEmbedding, candidateCount, predicate)
+        : await this.index.queryItems(queryEmbedding, candidateCount);
+      vectorResults.forEach((result, rank) => {
+        const candidate = candidateFor(result.item);
+        candidate.vectorScore = result.score;
+        candidate.vectorRank = rank + 1;
+      });
+      
+      if (debug) {
+        console.log(`Vector search returned ${vectorResults.length} raw results`);
+      }
+    }
+    
+    if (mode !== 'vector') {
+      await this.ensureKeywordIndex();
+      const keywordResults = await this.keywordIndex.search(query, candidateCount, {
+        filter: allowedIds ? id => allowedIds.has(id) : null
+      });
+      
+      for (let rank = 0; rank < keywordResults.length; rank++) {
+        const result = keywordResults[rank];
+        const item = candidates.has(result.id)
+          ? candidates.get(result.id).item
+          : await this.index.getItem(result.id);
+        if (!item) continue;
+        
+        const candidate = candidateFor(item);
+        candidate.keywordScore = result.score;
+        candidate.keywordRank = rank + 1;
+        
+        // Keyword-only hits still get a real similarity score
+        if (queryEmbedding && candidate.vectorScore === null) {
+          candidate.vectorScore = cosineSimilarity(queryEmbedding, item.vector);
+        }
+      }
+      
+      if (debug) {
+        console.log(`Keyword search returned ${keywordResults.length} raw results`);
+      }
+    }
+    
+    const maxKeywordScore = Math.max(0, ...[...candidates.values()].map(c => c.keywordScore || 0));
+    
+    const ranked = [...candidates.values()].map(candidate => {
+      if (mode === 'keyword') {
+        const score = maxKeywordScore > 0 ? candidate.keywordScore / maxKeywordScore : 0;
+        return { ...candidate, fusedScore: null, score };
+      }
+      
+      const fusedScore = mode === 'hybrid'
+        ? (candidate.vectorRank ? hybridWeight / (rrfK + candidate.vectorRank) : 0) +
+          (candidate.keywordRank ? (1 - hybridWeight) / (rrfK + candidate.keywordRank) : 0)
+        : null;
+      return { ...candidate, fusedScore, score: candidate.vectorScore };
+    });
+    
+    return ranked.sort((a, b) => rankingScore(b) - rankingScore(a));
   }
 
   // Enhanced search with debugging capabilities
+  // options.mode: 'hybrid' (default), 'vector' or 'keyword'
+  // options.filter: { type, path, sheet, tags, columns } restricting which chunks are searched
+  // options.collapse: merge adjacent/overlapping chunks of a file into one hit (default true)
+  // options.groupBy: 'file' to return one entry per document with its hits
+  // options.mmrLambda: re-rank with maximal marginal relevance (0-1, lower = more diverse)
+  // options.context: attach the N preceding/following chunks (or Excel rows) of each hit
   async search(query, topK = 5, options = {}) {
     await this.initialize();
     
@@ -240,30 +920,35 @@ class RequirementsSearchEngine {
       debug = this.debugMode,
       includeTextMatches = false,
       minScore = 0,
-      showEmbeddingStats = false
+      showEmbeddingStats = false,
+      mode = 'hybrid',
+      hybridWeight = 0.5,
+      filter = null,
+      collapse = true,
+      groupBy = null,
+      mmrLambda = null,
+      context = 0
     } = options;
     
     if (debug) {
-      console.log(`\n=== Search Debug: "${query}" ===`);
+      console.log(`\n=== Search Debug: "${query}" (${mode}) ===`);
     }
     
-    // Generate embedding for the search query
-    const queryEmbedding = await this.generateEmbedding(query);
-    
-    if (debug && showEmbeddingStats) {
-      console.log(`Query embedding dimensions: ${queryEmbedding.length}`);
-      console.log(`Query embedding sample: [${queryEmbedding.slice(0, 5).join(', ')}...]`);
-    }
-    
-    // Perform vector similarity search
-    const results = await this.index.queryItems(queryEmbedding, Math.max(topK * 3, 50)); // Get more for analysis
+    const rankedCandidates = await this.retrieveCandidates(query, Math.max(topK * 3, 50), { // Get more for analysis
+      mode,
+      hybridWeight,
+      filter,
+      debug,
+      showEmbeddingStats,
+      queryEmbedding: options.queryEmbedding
+    });
     
-    if (debug) {
-      console.log(`Vector search returned ${results.length} raw results`);
-    }
+    const candidates = mmrLambda !== null && mmrLambda !== undefined
+      ? applyMMR(rankedCandidates, mmrLambda)
+      : rankedCandidates;
     
     // Enhanced result processing with text matching analysis
-    const processedResults = results.map(result => {
+    const processedResults = candidates.map(result => {
       const metadata = result.item.metadata;
       const score = result.score;
       const relevancePercentage = Math.round(score * 100);
@@ -287,14 +972,35 @@ class RequirementsSearchEngine {
       const processedResult = {
         score,
         fileName: metadata.fileName,
+        relativePath: metadata.relativePath || null,
+        documentId: metadata.documentId || null,
         text: metadata.text,
         preview: metadata.preview,
         chunkIndex: metadata.chunkIndex,
+        wordStart: Number.isInteger(metadata.chunkStartIndex) ? metadata.chunkStartIndex : null,
+        wordCount: metadata.wordCount || null,
         relevancePercentage,
         type: metadata.type,
         sheet: metadata.sheet,
         row: metadata.row,
-        rowRange: metadata.rowRange
+        rowRange: metadata.rowRange,
+        columns: metadata.columns || null,
+        pageStart: metadata.pageStart || null,
+        pageEnd: metadata.pageEnd || null,
+        slide: metadata.slide || null,
+        jsonPath: metadata.jsonPath || null,
+        part: metadata.part || null,
+        recordIndex: metadata.recordIndex !== undefined ? metadata.recordIndex : null,
+        headingPath: metadata.headingPath || null,
+        requirementId: metadata.requirementId || null,
+        ids: metadata.ids || null,
+        definedIds: metadata.definedIds || null,
+        filePath: metadata.filePath,
+        tags: metadata.tags || null,
+        mode,
+        vectorScore: result.vectorScore,
+        keywordScore: result.keywordScore,
+        fusedScore: result.fusedScore
       };
       
       if (includeTextMatches) {
@@ -304,7 +1010,7 @@ class RequirementsSearchEngine {
       }
       
       if (debug) {
-        console.log(`Result ${metadata.fileName} (chunk ${metadata.chunkIndex}): ${relevancePercentage}% relevance`);
+        console.log(`Result ${metadata.relativePath || metadata.fileName} (chunk ${metadata.chunkIndex}): ${relevancePercentage}% relevance`);
         if (includeTextMatches) {
           console.log(`  Direct matches: ${hasDirectMatch ? textMatches.join(', ') : 'none'}`);
           console.log(`  Text: "${metadata.text.substring(0, 100)}..."`);
@@ -335,17 +1041,36 @@ class RequirementsSearchEngine {
           return b.textMatchScore - a.textMatchScore;
         }
         
-        // Finally by vector similarity
-        return b.score - a.score;
+        // Finally by the mode's ranking
+        return rankingScore(b) - rankingScore(a);
       });
     }
     
-    const finalResults = filteredResults.slice(0, topK);
+    // Merge neighbouring chunks of the same file, then optionally one entry per document
+    // (when grouping, every candidate may contribute hits to its document)
+    let rankedResults = collapse
+      ? collapseAdjacentResults(filteredResults, groupBy ? Infinity : topK)
+      : filteredResults;
+    if (debug && rankedResults.length !== filteredResults.length) {
+      console.log(`Collapsed ${filteredResults.length} results into ${rankedResults.length} hits`);
+    }
+    if (groupBy === 'file') {
+      rankedResults = groupResultsByFile(rankedResults);
+    } else if (groupBy) {
+      throw new Error(`Unknown groupBy value: ${groupBy} (expected "file")`);
+    }
+    
+    const finalResults = rankedResults.slice(0, topK);
+    
+    if (context > 0) {
+      const hits = finalResults.flatMap(result => result.hits || [result]);
+      await this.attachContext(hits, context);
+    }
     
     if (debug) {
       console.log(`=== Final Results (${finalResults.length}/${processedResults.length}) ===`);
       finalResults.forEach((result, i) => {
-        console.log(`${i + 1}. ${result.fileName} - ${result.relevancePercentage}%`);
+        console.log(`${i + 1}. ${result.relativePath || result.fileName} - ${result.relevancePercentage}%`);
         if (includeTextMatches && result.hasDirectMatch) {
           console.log(`   Text matches: ${result.textMatches.join(', ')}`);
         }
@@ -356,54 +1081,256 @@ class RequirementsSearchEngine {
     return finalResults;
   }
 
+  // Attach result.context = { before, after } holding the n chunks that precede
+  // and follow each result in its file. For files made of records (Excel and
+  // CSV rows, slides, JSON items) the neighbours are the n nearest records, in
+  // the same sheet for Excel. Words repeated by overlapping windows are
+  // trimmed so the passages read continuously.
+  async attachContext(results, n) {
+    const items = await this.index.listItems();
+    const byFile = new Map();
+    items.forEach(item => {
+      const key = item.metadata.filePath || item.metadata.fileName;
+      if (!byFile.has(key)) {
+        byFile.set(key, []);
+      }
+      byFile.get(key).push(item.metadata);
+    });
+    
+    const toPassage = metadata => ({
+      chunkIndex: metadata.chunkIndex,
+      row: metadata.row || null,
+      slide: metadata.slide || null,
+      pageStart: metadata.pageStart || null,
+      pageEnd: metadata.pageEnd || null,
+      text: metadata.text
+    });
+    
+    results.forEach(result => {
+      const siblings = byFile.get(result.filePath || result.fileName) || [];
+      let before;
+      let after;
+      
+      if (result.part || result.row) {
+        // Indexes built before records were numbered only have Excel rows
+        const order = metadata => (metadata.recordIndex !== null && metadata.recordIndex !== undefined
+          ? metadata.recordIndex
+          : metadata.row);
+        const records = siblings
+          .filter(metadata => (metadata.part || metadata.row) && (metadata.sheet || null) === (result.sheet || null))
+          .sort((a, b) => order(a) - order(b) || a.chunkIndex - b.chunkIndex);
+        const positions = [...new Set(records.map(order))];
+        const position = positions.indexOf(order(result));
+        const beforeRecords = new Set(positions.slice(Math.max(0, position - n), position));
+        const afterRecords = new Set(positions.slice(position + 1, position + 1 + n));
+        
+        before = records.filter(metadata => beforeRecords.has(order(metadata))).map(toPassage);
+        after = records.filter(metadata => afterRecords.has(order(metadata))).map(toPassage);
+      } else {
+        const chunks = siblings
+          .filter(metadata => !metadata.part && !metadata.row)
+          .sort((a, b) => a.chunkIndex - b.chunkIndex);
+        const indexes = result.mergedChunkIndexes || [result.chunkIndex];
+        const first = Math.min(...indexes);
+        const last = Math.max(...indexes);
+        
+        before = chunks.filter(metadata => metadata.chunkIndex < first).slice(-n).map(toPassage);
+        after = chunks.filter(metadata => metadata.chunkIndex > last).slice(0, n).map(toPassage);
+        
+        // Trim overlap against the next/previous passage, working outwards from the hit
+        for (let i = before.length - 1; i >= 0; i--) {
+          const next = i === before.length - 1 ? result.text : before[i + 1].originalText;
+          before[i].originalText = before[i].text;
+          before[i].text = trimTrailingOverlap(before[i].text, next);
+        }
+        for (let i = 0; i < after.length; i++) {
+          const previous = i === 0 ? result.text : after[i - 1].originalText;
+          after[i].originalText = after[i].text;
+          after[i].text = trimLeadingOverlap(previous, after[i].text);
+        }
+        [...before, ...after].forEach(passage => delete passage.originalText);
+      }
+      
+      result.context = { before, after };
+    });
+    
+    return results;
+  }
+
+  // Run many searches in one session: the query embeddings are generated up
+  // front in batched requests, then the searches run with at most
+  // `concurrency` in flight. queries are strings or { id, query, topK }.
+  // Resolves to [{ id, query, results }] in input order; a query that fails
+  // gets { error } instead of results rather than failing the batch.
+  // options.onProgress(done, total) is called as searches finish.
+  async searchMany(queries, topK = 5, options = {}) {
+    await this.initialize();
+    
+    const { concurrency = 4, onProgress = null, ...searchOptions } = options;
+    const entries = queries.map((entry, i) => (typeof entry === 'string'
+      ? { id: String(i + 1), query: entry, topK }
+      : { id: entry.id || String(i + 1), query: entry.query, topK: entry.topK || topK }));
+    
+    let embeddings = null;
+    if (searchOptions.mode !== 'keyword') {
+      await this.assertEmbeddingCompatible();
+      embeddings = await this.generateEmbeddings(entries.map(entry => entry.query), { updateCache: false });
+    }
+    
+    let done = 0;
+    return mapWithConcurrency(entries, concurrency, async (entry, i) => {
+      let outcome;
+      try {
+        const results = await this.search(entry.query, entry.topK, {
+          ...searchOptions,
+          queryEmbedding: embeddings ? embeddings[i] : undefined
+        });
+        outcome = { id: entry.id, query: entry.query, results };
+      } catch (error) {
+        outcome = { id: entry.id, query: entry.query, error: error.message };
+      }
+      done++;
+      if (onProgress) onProgress(done, entries.length);
+      return outcome;
+    });
+  }
+
+  // Retrieval quality over labeled queries (see evaluation.js): runs every
+  // judgment's query with the given search options and scores the top k
+  // results. Resolves to { k, metrics: { recall, mrr, ndcg }, queries, failures }.
+  async evaluate(judgments, options = {}) {
+    const { k = 10, ...searchOptions } = options;
+    const batch = await this.searchMany(
+      judgments.map(judgment => ({ id: judgment.id, query: judgment.query })),
+      k,
+      { ...searchOptions, groupBy: null }
+    );
+    return evaluateRetrieval(judgments, batch, k);
+  }
+
+  // A chat model, or its config, for answer()
+  setChatModel(chatModel) {
+    this.chatModelConfig = chatModel;
+    this.chatModel = null;
+  }
+
+  // The chat model for answer(), created on first use so search-only callers
+  // need no chat configuration
+  getChatModel() {
+    if (!this.chatModel) {
+      const config = this.chatModelConfig || {};
+      this.chatModel = typeof config.complete === 'function'
+        ? config
+        : createChatModel({ apiKey: this.openaiApiKey, ...config });
+    }
+    return this.chatModel;
+  }
+
+  // Answer a question from the indexed documents: retrieve the best chunks,
+  // have the chat model compose an answer from them alone, and return it with
+  // numbered citations. found is false when nothing was retrieved or the
+  // sources don't contain the answer.
+  // options: topK (sources to retrieve, default 6), mode, filter, minScore,
+  // maxSourceTokens (prompt budget for source text, default 3000)
+  async answer(question, options = {}) {
+    const {
+      topK = 6,
+      mode = 'hybrid',
+      filter = null,
+      minScore = 0,
+      maxSourceTokens = 3000
+    } = options;
+    
+    const chatModel = this.getChatModel();
+    const results = await this.search(question, topK, { mode, filter, minScore });
+    const sources = buildSources(results, maxSourceTokens);
+    const model = { provider: chatModel.name, model: chatModel.model };
+    
+    if (sources.length === 0) {
+      return { question, found: false, answer: null, citations: [], sources: [], model };
+    }
+    
+    const messages = buildMessages(question, sources);
+    const reply = await withRetry(() => chatModel.complete({ messages, question, sources }), {
+      maxRetries: this.embeddingBatcher.options.maxRetries,
+      onRetry: (error, attempt, delayMs) => {
+        if (this.debugMode) {
+          console.log(`Chat request failed (${error.message}), retry ${attempt} in ${Math.round(delayMs)}ms`);
+        }
+      }
+    });
+    
+    if (this.debugMode) {
+      console.log(`\n=== Answer (${model.provider}/${model.model}) ===\n${reply}\n`);
+    }
+    
+    const { found, answer, citations } = parseReply(reply, sources);
+    const describe = source => ({ number: source.number, location: source.location, ...source.result });
+    
+    return {
+      question,
+      found,
+      answer,
+      citations: citations.map(describe),
+      sources: sources.map(describe),
+      model
+    };
+  }
+
   // New method: Analyze search results for debugging
+  // options.quiet skips the console report (for callers such as the HTTP API)
   async analyzeSearch(query, options = {}) {
+    const { quiet = false, ...searchOptions } = options;
+    const log = quiet ? () => {} : console.log;
     const results = await this.search(query, 20, {
-      ...options,
-      debug: true,
+      ...searchOptions,
+      debug: !quiet,
       includeTextMatches: true,
-      showEmbeddingStats: true
+      showEmbeddingStats: !quiet
     });
     
     // Group results by file for analysis
     const fileGroups = {};
     results.forEach(result => {
-      if (!fileGroups[result.fileName]) {
-        fileGroups[result.fileName] = [];
+      const key = result.relativePath || result.fileName;
+      if (!fileGroups[key]) {
+        fileGroups[key] = [];
       }
-      fileGroups[result.fileName].push(result);
+      fileGroups[key].push(result);
     });
     
-    console.log('\n=== SEARCH ANALYSIS REPORT ===');
-    console.log(`Query: "${query}"`);
-    console.log(`Total results: ${results.length}`);
-    console.log(`Files represented: ${Object.keys(fileGroups).length}`);
+    log('\n=== SEARCH ANALYSIS REPORT ===');
+    log(`Query: "${query}"`);
+    log(`Total results: ${results.length}`);
+    log(`Files represented: ${Object.keys(fileGroups).length}`);
     
-    // Analyze text matches vs vector scores
+    // Analyze text matches vs scores (cosine similarity, except in keyword
+    // mode where score is BM25 relative to the best match)
+    const scoreLabel = searchOptions.mode === 'keyword' ? 'relative BM25 score' : 'vector score';
     const withTextMatches = results.filter(r => r.hasDirectMatch);
     const withoutTextMatches = results.filter(r => !r.hasDirectMatch);
     
-    console.log(`\nResults with direct text matches: ${withTextMatches.length}`);
-    console.log(`Results without direct text matches: ${withoutTextMatches.length}`);
+    log(`\nResults with direct text matches: ${withTextMatches.length}`);
+    log(`Results without direct text matches: ${withoutTextMatches.length}`);
     
     if (withTextMatches.length > 0) {
       const avgScoreWithMatches = withTextMatches.reduce((sum, r) => sum + r.score, 0) / withTextMatches.length;
-      console.log(`Average vector score with text matches: ${(avgScoreWithMatches * 100).toFixed(1)}%`);
+      log(`Average ${scoreLabel} with text matches: ${(avgScoreWithMatches * 100).toFixed(1)}%`);
     }
     
     if (withoutTextMatches.length > 0) {
       const avgScoreWithoutMatches = withoutTextMatches.reduce((sum, r) => sum + r.score, 0) / withoutTextMatches.length;
-      console.log(`Average vector score without text matches: ${(avgScoreWithoutMatches * 100).toFixed(1)}%`);
+      log(`Average ${scoreLabel} without text matches: ${(avgScoreWithoutMatches * 100).toFixed(1)}%`);
     }
     
-    console.log('\n=== FILE ANALYSIS ===');
+    log('\n=== FILE ANALYSIS ===');
     Object.entries(fileGroups).forEach(([fileName, fileResults]) => {
       const hasMatches = fileResults.some(r => r.hasDirectMatch);
       const maxScore = Math.max(...fileResults.map(r => r.score));
-      console.log(`${fileName}: ${fileResults.length} chunks, max score: ${(maxScore * 100).toFixed(1)}%, has matches: ${hasMatches}`);
+      log(`${fileName}: ${fileResults.length} chunks, max ${scoreLabel}: ${(maxScore * 100).toFixed(1)}%, has matches: ${hasMatches}`);
     });
     
-    console.log('=== END ANALYSIS ===\n');
+    log('=== END ANALYSIS ===\n');
     
     return {
       query,
@@ -417,9 +1344,12 @@ class RequirementsSearchEngine {
   }
 
   // New method: Find all chunks containing specific text
-  async findExactText(searchText, caseSensitive = false) {
+  // options.quiet skips the console listing
+  async findExactText(searchText, caseSensitive = false, options = {}) {
     await this.initialize();
     
+    const log = options.quiet ? () => {} : console.log;
+    
     const allItems = await this.index.listItems();
     const matches = [];
     
@@ -430,46 +1360,166 @@ class RequirementsSearchEngine {
       if (text.includes(search)) {
         matches.push({
           fileName: item.metadata.fileName,
+          relativePath: item.metadata.relativePath || null,
+          documentId: item.metadata.documentId || null,
+          filePath: item.metadata.filePath,
           chunkIndex: item.metadata.chunkIndex,
           text: item.metadata.text,
           preview: item.metadata.preview,
           type: item.metadata.type,
           sheet: item.metadata.sheet,
           row: item.metadata.row,
+          slide: item.metadata.slide || null,
+          jsonPath: item.metadata.jsonPath || null,
+          pageStart: item.metadata.pageStart || null,
+          pageEnd: item.metadata.pageEnd || null,
+          headingPath: item.metadata.headingPath || null,
           id: item.id
         });
       }
     });
     
-    console.log(`\n=== EXACT TEXT SEARCH: "${searchText}" ===`);
-    console.log(`Found ${matches.length} chunks containing the text`);
+    log(`\n=== EXACT TEXT SEARCH: "${searchText}" ===`);
+    log(`Found ${matches.length} chunks containing the text`);
     
     matches.forEach((match, i) => {
-      console.log(`${i + 1}. ${match.fileName} (chunk ${match.chunkIndex})`);
+      log(`${i + 1}. ${match.relativePath || match.fileName} (chunk ${match.chunkIndex})`);
       if (match.sheet) {
-        console.log(`   Sheet: ${match.sheet}, Row: ${match.row}`);
+        log(`   Sheet: ${match.sheet}, Row: ${match.row}`);
+      } else if (match.row) {
+        log(`   Row: ${match.row}`);
+      }
+      if (match.slide) {
+        log(`   Slide: ${match.slide}`);
+      }
+      if (match.jsonPath) {
+        log(`   Path: ${match.jsonPath}`);
+      }
+      if (match.pageStart) {
+        log(`   Page: ${formatPageRange(match.pageStart, match.pageEnd)}`);
       }
-      console.log(`   Text: "${match.text.substring(0, 200)}..."`);
+      if (match.headingPath) {
+        log(`   Section: ${match.headingPath}`);
+      }
+      log(`   Text: "${match.text.substring(0, 200)}..."`);
     });
     
-    console.log('=== END EXACT TEXT SEARCH ===\n');
+    log('=== END EXACT TEXT SEARCH ===\n');
     
     return matches;
   }
 
+  // Near-duplicate chunks across documents, paired and clustered, with word
+  // diffs and conflicting differences (see duplicateDetection.js). Uses the
+  // stored vectors, so nothing is embedded.
+  // options: threshold (cosine similarity, default 0.9), filter (as for
+  // search), sameFile (also compare chunks of one document), conflictsOnly
+  async findDuplicates(options = {}) {
+    await this.initialize();
+    
+    const { filter = null, ...detectionOptions } = options;
+    const predicate = createMetadataFilter(filter);
+    const items = (await this.index.listItems()).filter(item => !predicate || predicate(item.metadata));
+    
+    if (this.debugMode) {
+      console.log(`Comparing ${items.length} chunks for duplicates`);
+    }
+    
+    return detectDuplicates(items, { ...detectionOptions, idExtractor: this.idExtractor });
+  }
+
+  // Topic overview: chunks grouped by k-means on their stored vectors, each
+  // topic labelled with its distinctive keywords (see topicClustering.js)
+  async getTopics(options = {}) {
+    await this.initialize();
+    
+    const { filter = null, ...clusteringOptions } = options;
+    const predicate = createMetadataFilter(filter);
+    const items = (await this.index.listItems()).filter(item => !predicate || predicate(item.metadata));
+    
+    if (this.debugMode) {
+      console.log(`Clustering ${items.length} chunks into topics`);
+    }
+    
+    return clusterTopics(items, clusteringOptions);
+  }
+
+  // Requirement coverage: each chunk matching options.source (a filter, e.g.
+  // { path: 'requirements/**' }) is matched against the chunks matching
+  // options.target (the test documents); see coverageAnalysis.js
+  async checkCoverage(options = {}) {
+    await this.initialize();
+    
+    const { source = null, target = null, ...coverageOptions } = options;
+    if (isEmptyFilter(source) || isEmptyFilter(target)) {
+      throw new Error('Coverage needs both a source (requirements) and a target (tests) filter');
+    }
+    
+    const items = (await this.index.listItems()).map(item => this.withRequirementIds(item));
+    const sourcePredicate = createMetadataFilter(source);
+    const targetPredicate = createMetadataFilter(target);
+    const sourceItems = items.filter(item => sourcePredicate(item.metadata));
+    const targetItems = items.filter(item => targetPredicate(item.metadata));
+    
+    if (this.debugMode) {
+      console.log(`Matching ${sourceItems.length} requirement chunks against ${targetItems.length} test chunks`);
+    }
+    
+    return analyzeCoverage(sourceItems, targetItems, coverageOptions);
+  }
+
+  // Chunks indexed before IDs were extracted have them derived from their text
+  withRequirementIds(item) {
+    if (item.metadata.ids !== undefined) {
+      return item;
+    }
+    const metadata = item.metadata;
+    const definedIds = findDefinedIds({
+      requirementId: metadata.requirementId,
+      headingPath: metadata.headingPath ? metadata.headingPath.split(' > ') : null,
+      columns: metadata.columns
+    }, this.idExtractor);
+    return { ...item, metadata: { ...metadata, ids: this.idExtractor.extract(metadata.text), definedIds } };
+  }
+
+  // Traceability graph of requirement IDs across all indexed chunks
+  async getTraceGraph() {
+    await this.initialize();
+    
+    const items = await this.index.listItems();
+    return TraceGraph.fromItems(items.map(item => this.withRequirementIds(item)));
+  }
+
+  // Where a requirement ID is defined, the chunks that mention it, the IDs it
+  // links to and from, and the graph of IDs within `depth` links
+  async trace(id, options = {}) {
+    const { depth = 1 } = options;
+    const graph = await this.getTraceGraph();
+    return graph.trace(id, depth);
+  }
+
   // Get statistics about the indexed documents
   async getStats() {
     await this.initialize();
     
     try {
       const items = await this.index.listItems();
-      const fileNames = [...new Set(items.map(item => item.metadata.fileName))];
+      // One entry per file, named by its relative path (or by file name for
+      // chunks indexed before relative paths were recorded)
+      const documents = new Map();
+      items.forEach(item => {
+        const metadata = item.metadata;
+        documents.set(path.resolve(metadata.filePath || metadata.fileName), metadata.relativePath || metadata.fileName);
+      });
       
       return {
         totalChunks: items.length,
-        totalDocuments: fileNames.length,
-        documents: fileNames,
-        indexPath: this.indexPath
+        totalDocuments: documents.size,
+        documents: [...documents.values()],
+        indexPath: this.indexPath,
+        documentRoot: await this.manifest.getDocumentRoot(),
+        embedding: await this.manifest.getEmbeddingInfo(),
+        cache: await this.embeddingCache.getStats()
       };
     } catch (error) {
       // If index doesn't exist or is empty
@@ -477,22 +1527,34 @@ class RequirementsSearchEngine {
         totalChunks: 0,
         totalDocuments: 0,
         documents: [],
-        indexPath: this.indexPath
+        indexPath: this.indexPath,
+        documentRoot: null,
+        embedding: null,
+        cache: null
       };
     }
   }
 
   // Clear the entire index
   async clearIndex() {
+    // Keep cached embeddings so re-indexing after a clear doesn't pay for them again
+    const cachedEntries = await this.embeddingCache.load().catch(() => null);
+    
     try {
       await this.index.deleteIndex();
       this.isInitialized = false;
+      this.manifest.reset();
+      this.keywordIndex.reset();
     } catch (error) {
       // Index might not exist
       if (!error.message.includes('does not exist')) {
         throw error;
       }
     }
+    
+    if (cachedEntries && Object.keys(cachedEntries).length > 0) {
+      await this.embeddingCache.save();
+    }
   }
 
   // Backup index
@@ -519,14 +1581,22 @@ class RequirementsSearchEngine {
     try {
       // Clear current index
       await this.clearIndex();
+      const cachedEntries = this.embeddingCache.entries;
       
       // Copy backup to index location
       await fs.copy(backupPath, this.indexPath);
       
       // Reinitialize
       this.isInitialized = false;
+      this.manifest.reset();
+      this.keywordIndex.reset();
       await this.initialize();
       
+      // Keep embeddings cached before the restore alongside the backup's own
+      this.embeddingCache.reset();
+      await this.embeddingCache.merge(cachedEntries);
+      await this.embeddingCache.flush();
+      
       return await this.getStats();
     } catch (error) {
       throw new Error(`Restore failed: ${error.message}`);
@@ -534,4 +1604,5 @@ class RequirementsSearchEngine {
   }
 }
 
-module.exports = RequirementsSearchEngine;
\ No newline at end of file
+module.exports = RequirementsSearchEngine;
+module.exports.SEARCH_MODES = SEARCH_MODES;
\ No newline at end of file
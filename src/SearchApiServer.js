@@ -0,0 +1,334 @@
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { schemas, validate, buildOpenApiDocument } = require('./apiSchema');
+
+// Request bodies larger than this are rejected; search requests are tiny
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Whether target is root or inside it
+const isInside = (root, target) => target === root || target.startsWith(root + path.sep);
+
+// The real path of a file that may not exist (yet or any more): the real path
+// of its nearest existing ancestor with the missing rest appended
+async function realpathAllowingMissing(target) {
+  try {
+    return await fs.realpath(target);
+  } catch (error) {
+    const parent = path.dirname(target);
+    if (!['ENOENT', 'ENOTDIR'].includes(error.code) || parent === target) {
+      throw error;
+    }
+    return path.join(await realpathAllowingMissing(parent), path.basename(target));
+  }
+}
+
+// An error with the HTTP status and code to answer with
+class ApiError extends Error {
+  constructor(status, code, message, details = undefined) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// JSON HTTP API over a RequirementsSearchEngine. Built on Node's http module;
+// `handler` is a plain (req, res) function so it can also be mounted in
+// another server or driven by supertest.
+//
+// options.apiKey: require this key (X-API-Key header or "Authorization: Bearer")
+//   on every route except /health and /openapi.json
+// options.corsOrigins: origins allowed to call the API from a browser
+//   (['*'] for any); none by default
+// options.docsRoot: directory that POST/DELETE /documents paths must be inside
+class SearchApiServer {
+  constructor(searchEngine, options = {}) {
+    this.searchEngine = searchEngine;
+    this.apiKey = options.apiKey || null;
+    this.corsOrigins = options.corsOrigins || [];
+    this.docsRoot = path.resolve(options.docsRoot || process.cwd());
+    this.version = options.version || '1.0.0';
+    this.server = null;
+
+    // Indexing and removal rewrite the index files, so they run one at a time
+    this.writeQueue = Promise.resolve();
+
+    this.routes = [
+      { method: 'GET', path: '/health', public: true, handle: () => ({ status: 'ok' }) },
+      { method: 'GET', path: '/openapi.json', public: true, handle: () => this.openApiDocument() },
+      { method: 'POST', path: '/search', schema: schemas.SearchRequest, handle: body => this.search(body) },
+      { method: 'POST', path: '/find-text', schema: schemas.FindTextRequest, handle: body => this.findText(body) },
+      { method: 'POST', path: '/analyze', schema: schemas.AnalyzeRequest, handle: body => this.analyze(body) },
+      { method: 'GET', path: '/stats', handle: () => this.searchEngine.getStats() },
+      { method: 'GET', path: /^\/trace\/([^/]+)$/, handle: (body, request) => this.trace(request) },
+      { method: 'POST', path: '/documents', schema: schemas.IndexDocumentRequest, handle: body => this.indexDocument(body) },
+      { method: 'DELETE', path: '/documents', handle: (body, request) => this.removeDocument(request) }
+    ];
+
+    this.handler = this.handle.bind(this);
+  }
+
+  openApiDocument() {
+    return buildOpenApiDocument({ version: this.version, authRequired: Boolean(this.apiKey) });
+  }
+
+  async search(body) {
+    const { query, topK = 5, ...searchOptions } = body;
+    const results = await this.searchEngine.search(query, topK, { ...searchOptions, debug: false });
+    return { query, results };
+  }
+
+  async findText(body) {
+    const { text, caseSensitive = false } = body;
+    const matches = await this.searchEngine.findExactText(text, caseSensitive, { quiet: true });
+    return { text, caseSensitive, matches };
+  }
+
+  async analyze(body) {
+    const { query, ...searchOptions } = body;
+    return this.searchEngine.analyzeSearch(query, { ...searchOptions, quiet: true });
+  }
+
+  async trace(request) {
+    const depth = request.query.get('depth') === null ? 1 : Number(request.query.get('depth'));
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new ApiError(400, 'invalid_request', 'Invalid request', ['query.depth: must be a positive integer']);
+    }
+    return this.searchEngine.trace(decodeURIComponent(request.params[0]), { depth });
+  }
+
+  // A documents path from a request, resolved against (and kept inside)
+  // docsRoot. Symlinks are followed before the check, so a link inside the
+  // root can't expose a file outside it.
+  async resolveDocumentPath(requestedPath) {
+    const resolved = path.resolve(this.docsRoot, requestedPath);
+    const [realRoot, realTarget] = await Promise.all([
+      fs.realpath(this.docsRoot),
+      realpathAllowingMissing(resolved)
+    ]);
+    if (!isInside(this.docsRoot, resolved) || !isInside(realRoot, realTarget)) {
+      throw new ApiError(403, 'forbidden_path', `Path is outside the documents root: ${requestedPath}`);
+    }
+    return resolved;
+  }
+
+  async indexDocument(body) {
+    const filePath = await this.resolveDocumentPath(body.path);
+
+    try {
+      const stats = await fs.stat(filePath);
+      if (!stats.isFile()) {
+        throw new ApiError(400, 'invalid_request', `Not a file: ${body.path}`);
+      }
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(404, 'not_found', `File not found: ${body.path}`);
+    }
+
+    if (this.searchEngine.extractors && !this.searchEngine.extractors.getForFile(filePath)) {
+      throw new ApiError(415, 'unsupported_type', `No extractor for ${path.extname(filePath) || 'files without an extension'}`);
+    }
+
+    const result = await this.enqueueWrite(() => this.searchEngine.indexDocument(filePath, {
+      force: body.force || false,
+      tags: body.tags || {}
+    }));
+    return { path: filePath, ...result };
+  }
+
+  async removeDocument(request) {
+    const requestedPath = request.query.get('path');
+    if (!requestedPath) {
+      throw new ApiError(400, 'invalid_request', 'Invalid request', ['query.path: is required']);
+    }
+    const filePath = await this.resolveDocumentPath(requestedPath);
+
+    const result = await this.enqueueWrite(() => this.searchEngine.removeDocument(filePath));
+    if (result.chunksRemoved === 0) {
+      throw new ApiError(404, 'not_found', `Document is not indexed: ${requestedPath}`);
+    }
+    return { path: filePath, ...result };
+  }
+
+  enqueueWrite(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // CORS headers for the request's origin, if it is allowed
+  applyCors(req, res) {
+    const origin = req.headers.origin;
+    if (!origin || this.corsOrigins.length === 0) {
+      return;
+    }
+
+    if (this.corsOrigins.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (this.corsOrigins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+    } else {
+      return;
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Access-Control-Max-Age', '600');
+  }
+
+  isAuthorized(req) {
+    if (!this.apiKey) {
+      return true;
+    }
+
+    const authorization = req.headers.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    const provided = req.headers['x-api-key'] || (bearer ? bearer[1].trim() : '');
+
+    const expected = Buffer.from(this.apiKey);
+    const actual = Buffer.from(String(provided));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const tooLarge = () => new ApiError(413, 'payload_too_large', `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+
+      if (parseInt(req.headers['content-length'] || '0', 10) > MAX_BODY_BYTES) {
+        reject(tooLarge());
+        req.resume();
+        return;
+      }
+
+      // The rest of an oversized body is read and dropped so the error
+      // response still reaches the client
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (size > MAX_BODY_BYTES) return;
+        const raw = Buffer.concat(chunks).toString('utf-8');
+        if (raw.trim().length === 0) {
+          resolve({});
+          return;
+        }
+        try {
+          resolve(JSON.parse(raw));
+        } catch (error) {
+          reject(new ApiError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  findRoute(method, pathname) {
+    const matches = this.routes
+      .map(route => {
+        if (typeof route.path === 'string') {
+          return route.path === pathname ? { route, params: [] } : null;
+        }
+        const match = pathname.match(route.path);
+        return match ? { route, params: match.slice(1) } : null;
+      })
+      .filter(Boolean);
+
+    if (matches.length === 0) {
+      throw new ApiError(404, 'not_found', `No route for ${pathname}`);
+    }
+    const match = matches.find(candidate => candidate.route.method === method);
+    if (!match) {
+      throw new ApiError(405, 'method_not_allowed', `${method} is not allowed on ${pathname}`);
+    }
+    return match;
+  }
+
+  sendJson(res, status, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  async handle(req, res) {
+    this.applyCors(req, res);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const { route, params } = this.findRoute(req.method, url.pathname);
+
+      if (!route.public && !this.isAuthorized(req)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        throw new ApiError(401, 'unauthorized', 'Missing or invalid API key');
+      }
+
+      let body = {};
+      if (req.method === 'POST') {
+        const contentType = req.headers['content-type'] || '';
+        if (!contentType.toLowerCase().startsWith('application/json')) {
+          throw new ApiError(415, 'unsupported_media_type', 'Request body must be application/json');
+        }
+        body = await this.readBody(req);
+      }
+
+      if (route.schema) {
+        const problems = validate(route.schema, body);
+        if (problems.length > 0) {
+          throw new ApiError(400, 'invalid_request', 'Invalid request', problems);
+        }
+      }
+
+      const result = await route.handle(body, { query: url.searchParams, params });
+      this.sendJson(res, 200, result);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        this.sendJson(res, error.status, {
+          error: { code: error.code, message: error.message, ...(error.details ? { details: error.details } : {}) }
+        });
+        return;
+      }
+
+      // The detail can reveal paths and internals, so it only goes to the log
+      console.error(`${req.method} ${req.url} failed:`, error);
+      this.sendJson(res, 500, { error: { code: 'internal_error', message: 'Internal server error' } });
+    }
+  }
+
+  listen(port = 3000, host = '127.0.0.1') {
+    this.server = http.createServer(this.handler);
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = SearchApiServer;
+module.exports.ApiError = ApiError;
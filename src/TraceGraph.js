@@ -0,0 +1,151 @@
+// Traceability between requirement IDs, built from indexed chunks. A chunk
+// that defines an ID (a requirement section, a test case row) and mentions
+// other IDs links them: the defined ID references each mentioned one, e.g. a
+// TC-88 row naming REQ-104 gives the edge TC-88 -> REQ-104.
+class TraceGraph {
+  constructor() {
+    this.definitions = new Map(); // id -> [chunk ref]
+    this.mentions = new Map(); // id -> [chunk ref], chunks that mention but don't define it
+    this.edges = new Map(); // from id -> Map(to id -> [chunk ids])
+  }
+
+  // items: [{ id, metadata }] as stored in the vector index; metadata.ids and
+  // metadata.definedIds come from indexing
+  static fromItems(items) {
+    const graph = new TraceGraph();
+    items.forEach(item => graph.addChunk(TraceGraph.chunkRef(item), item.metadata.ids || [], item.metadata.definedIds || []));
+    return graph;
+  }
+
+  // The provenance fields of a chunk needed to point a reader at it
+  static chunkRef(item) {
+    const metadata = item.metadata;
+    return {
+      chunkId: item.id,
+      fileName: metadata.fileName,
+      relativePath: metadata.relativePath || null,
+      filePath: metadata.filePath || null,
+      chunkIndex: metadata.chunkIndex,
+      type: metadata.type,
+      sheet: metadata.sheet || null,
+      row: metadata.row || null,
+      slide: metadata.slide || null,
+      jsonPath: metadata.jsonPath || null,
+      pageStart: metadata.pageStart || null,
+      pageEnd: metadata.pageEnd || null,
+      headingPath: metadata.headingPath || null,
+      definedIds: metadata.definedIds || [],
+      preview: metadata.preview
+    };
+  }
+
+  addChunk(ref, ids, definedIds) {
+    const push = (map, key, value) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(value);
+    };
+
+    definedIds.forEach(id => push(this.definitions, id, ref));
+    ids.filter(id => !definedIds.includes(id)).forEach(id => push(this.mentions, id, ref));
+
+    definedIds.forEach(from => {
+      ids.filter(to => to !== from && !definedIds.includes(to)).forEach(to => {
+        if (!this.edges.has(from)) this.edges.set(from, new Map());
+        const targets = this.edges.get(from);
+        if (!targets.has(to)) targets.set(to, []);
+        targets.get(to).push(ref.chunkId);
+      });
+    });
+  }
+
+  has(id) {
+    return this.definitions.has(id) || this.mentions.has(id);
+  }
+
+  ids() {
+    return [...new Set([...this.definitions.keys(), ...this.mentions.keys()])].sort();
+  }
+
+  outgoing(id) {
+    return [...(this.edges.get(id) || new Map()).entries()].map(([to, via]) => ({ id: to, via }));
+  }
+
+  incoming(id) {
+    const sources = [];
+    this.edges.forEach((targets, from) => {
+      if (targets.has(id)) {
+        sources.push({ id: from, via: targets.get(id) });
+      }
+    });
+    return sources;
+  }
+
+  // Where an ID is defined and referenced, its direct links, and the subgraph
+  // of IDs within `depth` links of it (in either direction)
+  trace(id, depth = 1) {
+    const target = id.toUpperCase();
+    const visited = new Map([[target, 0]]);
+    const queue = [target];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      const distance = visited.get(current);
+      if (distance >= depth) continue;
+
+      [...this.outgoing(current), ...this.incoming(current)].forEach(link => {
+        if (!visited.has(link.id)) {
+          visited.set(link.id, distance + 1);
+          queue.push(link.id);
+        }
+      });
+    }
+
+    const nodes = [...visited.entries()].map(([nodeId, distance]) => ({
+      id: nodeId,
+      distance,
+      defined: this.definitions.has(nodeId),
+      definedIn: [...new Set((this.definitions.get(nodeId) || []).map(ref => ref.relativePath || ref.fileName))]
+    }));
+
+    const edges = [];
+    visited.forEach((distance, from) => {
+      this.outgoing(from)
+        .filter(link => visited.has(link.id))
+        .forEach(link => edges.push({ from, to: link.id, via: link.via }));
+    });
+
+    return {
+      id: target,
+      found: this.has(target),
+      definitions: this.definitions.get(target) || [],
+      mentions: this.mentions.get(target) || [],
+      linksTo: this.outgoing(target),
+      linkedFrom: this.incoming(target),
+      graph: { nodes, edges }
+    };
+  }
+
+  // Graphviz DOT for a { nodes, edges } graph
+  static toDot({ nodes, edges }, name = 'trace') {
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const quote = value => `"${escape(value)}"`;
+    const lines = [`digraph ${quote(name)} {`, '  rankdir=LR;', '  node [shape=box];'];
+
+    // Undefined IDs (only ever mentioned) are dashed
+    nodes.forEach(node => {
+      const label = [node.id, ...(node.definedIn.length > 0 ? [node.definedIn.join(', ')] : [])]
+        .map(escape)
+        .join('\\n');
+      const style = node.defined ? '' : ', style=dashed';
+      lines.push(`  ${quote(node.id)} [label="${label}"${style}];`);
+    });
+    edges.forEach(edge => {
+      lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)};`);
+    });
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+}
+
+module.exports = TraceGraph;
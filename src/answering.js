@@ -0,0 +1,91 @@
+const { countTokens, splitByTokens } = require('./tokenizer');
+const { describeSource } = require('./resultProcessing');
+const { NOT_FOUND } = require('./ChatModels');
+
+// Prompt building and reply parsing for engine.answer(). Retrieved chunks are
+// numbered sources; the model must answer from them alone, cite them as [n]
+// and reply NOT_FOUND when they don't contain the answer.
+
+const SYSTEM_PROMPT = [
+  'You answer questions about business requirements using only the numbered sources provided.',
+  'Rules:',
+  '- Use only facts stated in the sources. Do not add outside knowledge or assumptions.',
+  '- Cite the source of every statement with its number in square brackets, e.g. [2] or [1, 3].',
+  '- Be concise; quote requirement IDs and exact values (limits, durations, rules) as written.',
+  `- If the sources do not contain the answer, reply with exactly ${NOT_FOUND} and nothing else.`
+].join('\n');
+
+// Number the results as sources, keeping their combined text within
+// maxTokens (the best-ranked sources come first and are kept whole if possible)
+function buildSources(results, maxTokens = 3000) {
+  const sources = [];
+  let remaining = maxTokens;
+
+  for (const result of results) {
+    if (remaining <= 0) break;
+
+    let text = result.text;
+    const tokens = countTokens(text);
+    if (tokens > remaining) {
+      text = `${splitByTokens(text, remaining)[0].text} …`;
+    }
+    remaining -= Math.min(tokens, remaining);
+
+    sources.push({
+      number: sources.length + 1,
+      location: describeSource(result),
+      text,
+      result
+    });
+  }
+
+  return sources;
+}
+
+function buildMessages(question, sources) {
+  const sourceText = sources
+    .map(source => `[${source.number}] ${source.location}\n${source.text}`)
+    .join('\n\n');
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `Sources:\n\n${sourceText}\n\nQuestion: ${question}` }
+  ];
+}
+
+// Cited source numbers in order of first use ("[2]", "[1, 3]" and "[1][4]")
+function citedNumbers(answer) {
+  const numbers = [];
+  for (const match of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    match[1].split(',').map(n => parseInt(n, 10)).forEach(n => {
+      if (!numbers.includes(n)) numbers.push(n);
+    });
+  }
+  return numbers;
+}
+
+function isNotFound(reply) {
+  return reply.trim().replace(/[.\s]+$/, '').toUpperCase().startsWith(NOT_FOUND);
+}
+
+// { found, answer, citations } from the model's reply. Citations of source
+// numbers that weren't given are dropped.
+function parseReply(reply, sources) {
+  const text = (reply || '').trim();
+  if (text.length === 0 || isNotFound(text)) {
+    return { found: false, answer: null, citations: [] };
+  }
+
+  const citations = citedNumbers(text)
+    .map(number => sources.find(source => source.number === number))
+    .filter(Boolean);
+
+  return { found: true, answer: text, citations };
+}
+
+module.exports = {
+  SYSTEM_PROMPT,
+  buildSources,
+  buildMessages,
+  parseReply
+};
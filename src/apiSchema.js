@@ -0,0 +1,248 @@
+const { SEARCH_MODES } = require('./RequirementsSearchEngine');
+
+// Request/response schemas for the HTTP API. The same JSON Schema objects
+// validate incoming requests and make up the OpenAPI description, so the
+// two can't drift apart. validate() supports the subset of JSON Schema used
+// here: type, properties, required, additionalProperties, items, enum,
+// minimum, maximum, minLength and nullable.
+
+const stringOrList = {
+  oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }]
+};
+
+const filterSchema = {
+  type: 'object',
+  description: 'Metadata filter; every given field must match',
+  additionalProperties: false,
+  properties: {
+    type: { ...stringOrList, description: 'Document types, e.g. "excel" or ["pdf", "docx"]' },
+    path: { ...stringOrList, description: 'Path globs, e.g. "specs/billing/**"' },
+    sheet: { ...stringOrList, description: 'Excel sheet names' },
+    tags: { type: 'object', additionalProperties: { type: 'string' }, description: 'Tags set at index time' },
+    columns: { type: 'object', additionalProperties: { type: 'string' }, description: 'Excel/CSV/JSON column values, case-insensitive' }
+  }
+};
+
+const schemas = {
+  SearchRequest: {
+    type: 'object',
+    required: ['query'],
+    additionalProperties: false,
+    properties: {
+      query: { type: 'string', minLength: 1 },
+      topK: { type: 'integer', minimum: 1, maximum: 100, default: 5 },
+      mode: { type: 'string', enum: SEARCH_MODES, default: 'hybrid' },
+      hybridWeight: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+      minScore: { type: 'number', minimum: 0, maximum: 1, default: 0, description: 'Minimum cosine similarity (keyword mode: BM25 relative to the best match)' },
+      filter: filterSchema,
+      collapse: { type: 'boolean', default: true },
+      groupBy: { type: 'string', enum: ['file'], nullable: true },
+      mmrLambda: { type: 'number', minimum: 0, maximum: 1, nullable: true },
+      context: { type: 'integer', minimum: 0, maximum: 20, default: 0 },
+      includeTextMatches: { type: 'boolean', default: false }
+    }
+  },
+  FindTextRequest: {
+    type: 'object',
+    required: ['text'],
+    additionalProperties: false,
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      caseSensitive: { type: 'boolean', default: false }
+    }
+  },
+  AnalyzeRequest: {
+    type: 'object',
+    required: ['query'],
+    additionalProperties: false,
+    properties: {
+      query: { type: 'string', minLength: 1 },
+      mode: { type: 'string', enum: SEARCH_MODES },
+      filter: filterSchema
+    }
+  },
+  IndexDocumentRequest: {
+    type: 'object',
+    required: ['path'],
+    additionalProperties: false,
+    properties: {
+      path: { type: 'string', minLength: 1, description: 'File path on the server, inside the documents root' },
+      force: { type: 'boolean', default: false },
+      tags: { type: 'object', additionalProperties: { type: 'string' } }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          code: { type: 'string' },
+          message: { type: 'string' },
+          details: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer');
+
+// Problems with value against schema, as "field: message" strings
+function validate(schema, value, field = 'body') {
+  if (value === null && schema.nullable) {
+    return [];
+  }
+
+  if (schema.oneOf) {
+    const ok = schema.oneOf.some(option => validate(option, value, field).length === 0);
+    return ok ? [] : [`${field}: does not match any allowed form`];
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${field}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${field}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${field}: must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${field}: must be at most ${schema.maximum}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+    errors.push(`${field}: must not be empty`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${field}[${i}]`)));
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push(`${field}.${name}: is required`);
+      }
+    });
+    Object.entries(value).forEach(([name, fieldValue]) => {
+      const propertySchema = (schema.properties || {})[name];
+      if (propertySchema) {
+        errors.push(...validate(propertySchema, fieldValue, `${field}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${field}.${name}: unknown field`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, fieldValue, `${field}.${name}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+const jsonBody = name => ({
+  required: true,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } }
+});
+
+const jsonResponse = (description, schema = { type: 'object' }) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const errorResponses = {
+  400: jsonResponse('Invalid request', { $ref: '#/components/schemas/Error' }),
+  401: jsonResponse('Missing or wrong API key', { $ref: '#/components/schemas/Error' }),
+  500: jsonResponse('Server error', { $ref: '#/components/schemas/Error' })
+};
+
+// OpenAPI 3 description of the API served by SearchApiServer
+function buildOpenApiDocument({ version = '1.0.0', authRequired = false } = {}) {
+  const security = authRequired ? [{ apiKey: [] }, { bearer: [] }] : [];
+
+  const operation = (summary, extra = {}) => ({
+    summary,
+    security,
+    ...extra,
+    responses: { ...(extra.responses || {}), ...errorResponses }
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Requirements Search API',
+      version,
+      description: 'Natural language search over indexed business requirements documents'
+    },
+    paths: {
+      '/health': {
+        get: { summary: 'Liveness check', security: [], responses: { 200: jsonResponse('Server is up') } }
+      },
+      '/search': {
+        post: operation('Search indexed documents', {
+          requestBody: jsonBody('SearchRequest'),
+          responses: { 200: jsonResponse('Ranked results', { type: 'object', properties: { results: { type: 'array', items: { type: 'object' } } } }) }
+        })
+      },
+      '/find-text': {
+        post: operation('Find chunks containing exact text', {
+          requestBody: jsonBody('FindTextRequest'),
+          responses: { 200: jsonResponse('Matching chunks') }
+        })
+      },
+      '/analyze': {
+        post: operation('Search analysis with per-file breakdown', {
+          requestBody: jsonBody('AnalyzeRequest'),
+          responses: { 200: jsonResponse('Analysis report') }
+        })
+      },
+      '/stats': {
+        get: operation('Index statistics', { responses: { 200: jsonResponse('Statistics') } })
+      },
+      '/trace/{id}': {
+        get: operation('Where a requirement ID is defined and referenced', {
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+            { name: 'depth', in: 'query', required: false, schema: { type: 'integer', minimum: 1, default: 1 } }
+          ],
+          responses: { 200: jsonResponse('Trace result') }
+        })
+      },
+      '/documents': {
+        post: operation('Index (or re-index) a document', {
+          requestBody: jsonBody('IndexDocumentRequest'),
+          responses: { 200: jsonResponse('Indexing result') }
+        }),
+        delete: operation('Remove a document from the index', {
+          parameters: [
+            { name: 'path', in: 'query', required: true, schema: { type: 'string' } }
+          ],
+          responses: { 200: jsonResponse('Removal result') }
+        })
+      }
+    },
+    components: {
+      schemas,
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  schemas,
+  validate,
+  buildOpenApiDocument
+};
@@ -0,0 +1,98 @@
+// Retry and concurrency helpers for calls to remote embedding/completion APIs
+
+const RETRYABLE_STATUS_CODES = new Set([408, 409, 429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND']);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate limits, server errors and dropped connections are worth retrying;
+// bad requests and authentication failures are not
+function isRetryableError(error) {
+  if (!error) return false;
+  if (error.status) return RETRYABLE_STATUS_CODES.has(error.status);
+  if (error.code && RETRYABLE_ERROR_CODES.has(error.code)) return true;
+  return error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError';
+}
+
+// Delay requested by the server via retry-after-ms / Retry-After (seconds or HTTP date)
+function getRetryAfterMs(error) {
+  const headers = error && error.headers;
+  if (!headers) return null;
+
+  const header = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(header('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = header('retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter, unless the server told us how long to wait
+function getRetryDelayMs(error, attempt, { baseDelayMs = 500, maxDelayMs = 60000 } = {}) {
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, maxDelayMs);
+  }
+  const exponential = baseDelayMs * Math.pow(2, attempt);
+  const jitter = Math.random() * baseDelayMs;
+  return Math.min(exponential + jitter, maxDelayMs);
+}
+
+// Run fn, retrying retryable failures up to maxRetries times.
+// onRetry(error, attempt, delayMs) is called before each wait.
+async function withRetry(fn, options = {}) {
+  const {
+    maxRetries = 5,
+    shouldRetry = isRetryableError,
+    onRetry = null
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !shouldRetry(error)) {
+        throw error;
+      }
+      const delayMs = getRetryDelayMs(error, attempt, options);
+      if (onRetry) {
+        onRetry(error, attempt + 1, delayMs);
+      }
+      await sleep(delayMs);
+    }
+  }
+}
+
+// Run an async task for every item with at most `concurrency` in flight,
+// resolving to the results in input order
+async function mapWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  sleep,
+  isRetryableError,
+  getRetryAfterMs,
+  getRetryDelayMs,
+  withRetry,
+  mapWithConcurrency
+};
@@ -0,0 +1,141 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const { describeSource, toCsv } = require('./resultProcessing');
+
+// Query files and result files for `search --queries-file`.
+//
+// Query files hold one query per line (.txt, blank lines and # comments
+// skipped), one per row (.csv, from a "query" column if the header has one,
+// with optional "id" and "top_k" columns, otherwise the first column), or one
+// JSON object per line (.jsonl: { "query": ..., "id": ..., "topK": ... }).
+// Every query becomes { id, query, topK }; id defaults to the query's
+// position and topK to null (use the command's --num-results).
+
+const QUERY_FILE_FORMATS = { '.txt': 'txt', '.csv': 'csv', '.jsonl': 'jsonl', '.ndjson': 'jsonl' };
+
+function queryFileFormat(filePath) {
+  const format = QUERY_FILE_FORMATS[path.extname(filePath).toLowerCase()];
+  if (!format) {
+    throw new Error(`Unsupported queries file ${filePath} (use .txt, .csv or .jsonl)`);
+  }
+  return format;
+}
+
+const parseTopK = (value, where) => {
+  if (value === undefined || value === null || value === '') return null;
+  const topK = parseInt(value, 10);
+  if (!(topK > 0)) {
+    throw new Error(`${where}: top_k must be a positive number`);
+  }
+  return topK;
+};
+
+function parseTextQueries(content) {
+  return content.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'))
+    .map(query => ({ id: null, query, topK: null }));
+}
+
+function parseCsvQueries(content) {
+  const workbook = XLSX.read(content, { type: 'string', raw: true });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: false }) : [];
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => String(cell).trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const queryColumn = header.indexOf('query');
+  if (queryColumn === -1) {
+    return rows
+      .map(row => String(row[0]).trim())
+      .filter(query => query.length > 0)
+      .map(query => ({ id: null, query, topK: null }));
+  }
+
+  const idColumn = header.indexOf('id');
+  const topKColumn = header.findIndex(name => name === 'top_k' || name === 'topk');
+  return rows.slice(1)
+    .map((row, i) => ({
+      id: idColumn !== -1 && String(row[idColumn]).trim() ? String(row[idColumn]).trim() : null,
+      query: String(row[queryColumn]).trim(),
+      topK: topKColumn !== -1 ? parseTopK(row[topKColumn], `Row ${i + 2}`) : null
+    }))
+    .filter(entry => entry.query.length > 0);
+}
+
+function parseJsonlQueries(content) {
+  const queries = [];
+  content.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim().length === 0) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${i + 1}: invalid JSON (${error.message})`);
+    }
+    if (typeof entry === 'string') entry = { query: entry };
+    if (!entry || typeof entry.query !== 'string' || entry.query.trim().length === 0) {
+      throw new Error(`Line ${i + 1}: expected an object with a "query" string`);
+    }
+    queries.push({
+      id: entry.id !== undefined && entry.id !== null ? String(entry.id) : null,
+      query: entry.query.trim(),
+      topK: parseTopK(entry.topK !== undefined ? entry.topK : entry.top_k, `Line ${i + 1}`)
+    });
+  });
+  return queries;
+}
+
+// Queries from a file's content, with ids filled in from their position
+function parseQueries(content, format) {
+  const parsers = { txt: parseTextQueries, csv: parseCsvQueries, jsonl: parseJsonlQueries };
+  if (!parsers[format]) {
+    throw new Error(`Unknown queries format: ${format}`);
+  }
+  return parsers[format](content).map((entry, i) => ({ ...entry, id: entry.id || String(i + 1) }));
+}
+
+// One flat record per result (or per query without results) as
+// { query_id, query, rank, file, location, score, error }
+function batchResultRows(batch) {
+  const rows = [];
+  batch.forEach(({ id, query, results, error }) => {
+    if (error || results.length === 0) {
+      rows.push({ query_id: id, query, rank: null, file: null, location: null, score: null, error: error || null });
+      return;
+    }
+    results.forEach((result, i) => {
+      rows.push({
+        query_id: id,
+        query,
+        rank: i + 1,
+        file: result.relativePath || result.fileName,
+        location: describeSource(result),
+        score: result.score,
+        error: null
+      });
+    });
+  });
+  return rows;
+}
+
+const ROW_FIELDS = ['query_id', 'query', 'rank', 'file', 'location', 'score', 'error'];
+
+function batchResultsToJsonl(batch) {
+  return batchResultRows(batch).map(row => JSON.stringify(row)).join('\n');
+}
+
+function batchResultsToCsv(batch) {
+  const rows = batchResultRows(batch).map(row => ROW_FIELDS.map(field => (
+    field === 'score' && row.score !== null ? row.score.toFixed(4) : row[field]
+  )));
+  return toCsv([ROW_FIELDS, ...rows]);
+}
+
+module.exports = {
+  queryFileFormat,
+  parseQueries,
+  batchResultsToJsonl,
+  batchResultsToCsv
+};
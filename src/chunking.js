@@ -0,0 +1,203 @@
+const { countTokens, splitByTokens } = require('./tokenizer');
+
+// Chunking strategies used when indexing documents. Sizes are in tokens.
+//
+//   fixed     - overlapping windows of N tokens, ignoring document structure
+//   structure - one chunk per section (Markdown/DOCX heading, numbered section
+//               such as 3.2.1, or requirement ID such as REQ-104), carrying the
+//               heading path; only oversized sections fall back to windows
+
+const CHUNK_STRATEGIES = ['structure', 'fixed'];
+const DEFAULT_CHUNK_SIZE = 512;
+const DEFAULT_CHUNK_OVERLAP = 64;
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+// "3.2.1 Password Policy" - short, starts with a capital, no sentence punctuation at the end
+const NUMBERED_HEADING = /^(\d+(?:\.\d+){0,5})\.?\s+([A-Z][^.:;!?]{0,100})$/;
+// "REQ-104 The system shall...", "[US-2231] As a user...", "- TC-88: Verify..."
+const REQUIREMENT_LINE = /^\s*(?:[-*•]\s*)?\[?([A-Z][A-Z0-9]{1,9}-\d+(?:\.\d+)*)\]?(?=[\s:.)-])/;
+
+// Overlapping windows of at most chunkSize tokens, broken between words
+function splitIntoWindows(text, chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP) {
+  return splitByTokens(text, chunkSize, overlap);
+}
+
+// Classify a single line as a heading, a requirement start, or plain text
+function classifyLine(line) {
+  const trimmed = line.trim();
+
+  const markdown = trimmed.match(MARKDOWN_HEADING);
+  if (markdown) {
+    const title = markdown[2].trim();
+    const number = title.match(/^(\d+(?:\.\d+)*)\.?\s/);
+    return {
+      kind: 'heading',
+      level: markdown[1].length,
+      title,
+      sectionNumber: number ? number[1] : undefined
+    };
+  }
+
+  const numbered = trimmed.match(NUMBERED_HEADING);
+  if (numbered && numbered[2].split(/\s+/).length <= 12) {
+    return {
+      kind: 'heading',
+      level: numbered[1].split('.').length,
+      title: `${numbered[1]} ${numbered[2].trim()}`,
+      sectionNumber: numbered[1]
+    };
+  }
+
+  const requirement = trimmed.match(REQUIREMENT_LINE);
+  if (requirement) {
+    return { kind: 'requirement', requirementId: requirement[1] };
+  }
+
+  return { kind: 'text' };
+}
+
+// Split text into sections at headings and requirement IDs. Each section
+// records the path of headings above it.
+function splitIntoSections(text) {
+  const sections = [];
+  const headingStack = [];
+  let current = null;
+  let wordOffset = 0;
+
+  const startSection = (extra = {}) => {
+    if (current && current.lines.some(line => line.trim().length > 0)) {
+      sections.push(current);
+    }
+    current = {
+      lines: [],
+      startIndex: wordOffset,
+      headingPath: headingStack.map(heading => heading.title),
+      sectionNumber: [...headingStack].reverse().map(h => h.sectionNumber).find(Boolean) || null,
+      requirementId: null,
+      ...extra
+    };
+  };
+
+  startSection();
+
+  text.split(/\r?\n/).forEach(line => {
+    const info = classifyLine(line);
+
+    if (info.kind === 'heading') {
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= info.level) {
+        headingStack.pop();
+      }
+      headingStack.push(info);
+      startSection();
+    } else if (info.kind === 'requirement') {
+      startSection({ requirementId: info.requirementId });
+    }
+
+    current.lines.push(line);
+    wordOffset += line.split(/\s+/).filter(word => word.length > 0).length;
+  });
+
+  startSection();
+
+  // A heading immediately followed by another heading carries no text of its
+  // own; its title is already part of the next section's heading path
+  return sections.filter(section => {
+    const body = section.lines.filter(line => line.trim().length > 0);
+    return !(body.length === 1 && classifyLine(body[0]).kind === 'heading');
+  });
+}
+
+// One chunk per section; sections longer than chunkSize tokens are windowed
+function splitIntoStructuredChunks(text, chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP) {
+  const chunks = [];
+
+  splitIntoSections(text).forEach(section => {
+    const sectionText = section.lines.join('\n').trim();
+    const wordCount = sectionText.split(/\s+/).filter(word => word.length > 0).length;
+    const tokenCount = countTokens(sectionText);
+    const meta = {
+      headingPath: section.headingPath,
+      sectionNumber: section.sectionNumber,
+      requirementId: section.requirementId
+    };
+
+    if (tokenCount <= chunkSize) {
+      chunks.push({ text: sectionText, startIndex: section.startIndex, wordCount, tokenCount, ...meta });
+      return;
+    }
+
+    splitIntoWindows(sectionText, chunkSize, overlap).forEach(window => {
+      chunks.push({ ...window, startIndex: section.startIndex + window.startIndex, ...meta });
+    });
+  });
+
+  return chunks;
+}
+
+function chunkText(text, { strategy = 'structure', chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) {
+  if (!(chunkSize > 0)) {
+    throw new Error(`Chunk size must be a positive number of tokens, got ${chunkSize}`);
+  }
+  if (!(overlap >= 0) || overlap >= chunkSize) {
+    throw new Error(`Chunk overlap must be at least 0 and smaller than the chunk size, got ${overlap}`);
+  }
+
+  switch (strategy) {
+    case 'fixed':
+      return splitIntoWindows(text, chunkSize, overlap);
+    case 'structure':
+      return splitIntoStructuredChunks(text, chunkSize, overlap);
+    default:
+      throw new Error(`Unknown chunking strategy: ${strategy} (expected one of ${CHUNK_STRATEGIES.join(', ')})`);
+  }
+}
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…', bull: '•',
+  middot: '·', euro: '€', pound: '£', copy: '©', reg: '®', trade: '™', deg: '°', times: '×'
+};
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    const decoded = HTML_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+// Convert HTML (e.g. mammoth's DOCX output) to plain text with Markdown-style
+// heading markers, so heading styles survive into structure-aware chunking
+function htmlToStructuredText(html) {
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) =>
+      `\n\n${'#'.repeat(Number(level))} ${content.replace(/<[^>]+>/g, '').trim()}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(td|th)>/gi, ' | ')
+    .replace(/<\/(p|li|tr|div|table|ul|ol|blockquote)>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeHtmlEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').replace(/\s*\|\s*$/, '').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  CHUNK_STRATEGIES,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+  chunkText,
+  splitIntoWindows,
+  splitIntoSections,
+  splitIntoStructuredChunks,
+  htmlToStructuredText,
+  decodeHtmlEntities
+};
@@ -8,11 +8,41 @@ const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
 const RequirementsSearchEngine = require('./RequirementsSearchEngine');
+const { SEARCH_MODES } = RequirementsSearchEngine;
+const { withRetry, isRetryableError } = require('./asyncHelpers');
+const { CHUNK_STRATEGIES, DEFAULT_CHUNK_SIZE, DEFAULT_CHUNK_OVERLAP } = require('./chunking');
+const { parseTags } = require('./filters');
+const { parseHeaderRows } = require('./excelExtraction');
+const { formatPageRange } = require('./pdfExtraction');
+const KeywordIndex = require('./KeywordIndex');
+const ExtractorRegistry = require('./ExtractorRegistry');
+const { loadConfig, loadPlugins, DEFAULT_CONFIG_FILE } = require('./plugins');
+const { compileIdPatterns } = require('./requirementIds');
+const TraceGraph = require('./TraceGraph');
+const SearchApiServer = require('./SearchApiServer');
+const DocumentWatcher = require('./DocumentWatcher');
+const { duplicatesToCsv } = require('./duplicateDetection');
+const {
+  DEFAULT_COVERED_THRESHOLD,
+  DEFAULT_WEAK_THRESHOLD,
+  coverageToCsv,
+  coverageToMarkdown
+} = require('./coverageAnalysis');
+const { queryFileFormat, parseQueries, batchResultsToJsonl, batchResultsToCsv } = require('./batchSearch');
+const { parseJudgments, compareEvaluations } = require('./evaluation');
+
+// File types `index` scans when --file-types is not given
+const DEFAULT_FILE_TYPES = ['pdf', 'docx', 'xlsx', 'xls', 'txt', 'md'];
+
+// Collect repeatable options (e.g. --tag a=1 --tag b=2) into an array
+const collect = (value, previous) => previous.concat([value]);
 
 class RequirementsCLI {
   constructor() {
     this.program = new Command();
     this.searchEngine = null;
+    this.extractors = ExtractorRegistry.withBuiltins();
+    this.config = null;
     this.setupCommands();
   }
 
@@ -20,7 +50,12 @@ class RequirementsCLI {
     this.program
       .name('requirements-search')
       .description('Natural language search tool for business requirements documents')
-      .version('1.0.0');
+      .version('1.0.0')
+      .option('--config <path>', `Config file (default: ${DEFAULT_CONFIG_FILE} if present)`)
+      .option('--embedding-provider <name>', 'Embedding provider: openai, openai-compatible or local')
+      .option('--embedding-model <model>', 'Embedding model name')
+      .option('--embedding-base-url <url>', 'Base URL of an OpenAI-compatible embeddings server')
+      .option('--embedding-dimensions <number>', 'Vector dimensions (local provider, or models that support shortening)');
 
     // Index command
     this.program
@@ -29,9 +64,24 @@ class RequirementsCLI {
       .option('-d, --directory <path>', 'Directory to scan for documents', './docs')
       .option('-r, --recursive', 'Scan subdirectories recursively', false)
       .option('-i, --index-path <path>', 'Path for vector index storage', './requirements-index')
-      .option('-f, --file-types <types>', 'Comma-separated file extensions', 'pdf,docx,xlsx,xls,txt,md')
+      .option('-f, --file-types <types>', `Comma-separated file extensions (default: ${DEFAULT_FILE_TYPES.join(',')} and plugin formats)`)
+      .option('--plugin <module>', 'Load an extractor plugin (path or package name, repeatable)', collect, [])
+      .option('--id-pattern <regex>', 'Regular expression for requirement IDs (repeatable, default: REQ-104 style)', collect, [])
+      .option('--root <path>', 'Document root that document paths and ids are relative to (default: recorded in the index, else --directory)')
       .option('--clear', 'Clear existing index before indexing', false)
+      .option('--force', 'Re-index files even if they are unchanged', false)
+      .option('--tag <key=value>', 'Tag every indexed chunk (repeatable)', collect, [])
+      .option('--chunk-strategy <strategy>', `Chunking strategy (${CHUNK_STRATEGIES.join(', ')})`, 'structure')
+      .option('--chunk-size <number>', 'Maximum chunk size in tokens', String(DEFAULT_CHUNK_SIZE))
+      .option('--chunk-overlap <number>', 'Overlap between windows of oversized sections, in tokens', String(DEFAULT_CHUNK_OVERLAP))
+      .option('--header-row <rows>', 'Excel header row: a row number, a range like 1-2, or "none" (default: detect per sheet)')
+      .option('--batch-tokens <number>', 'Approximate token budget per embeddings request', '8000')
+      .option('--concurrency <number>', 'Maximum embeddings requests in flight', '2')
+      .option('--max-retries <number>', 'Retries per embeddings request on rate limits or network errors', '5')
+      .option('--file-retries <number>', 'Times to retry a file whose indexing failed', '2')
       .option('--dry-run', 'Show files that would be indexed without processing', false)
+      .option('--watch', 'Keep running and re-index files as they change', false)
+      .option('--debounce <ms>', 'With --watch, wait for changes to settle this long before indexing', '1000')
       .option('-y, --yes', 'Skip confirmation prompts', false)
       .option('--debug', 'Enable debug mode during indexing', false)
       .action(this.indexCommand.bind(this));
@@ -40,15 +90,51 @@ class RequirementsCLI {
     this.program
       .command('search')
       .description('Search indexed documents')
-      .argument('<query>', 'Search query')
+      .argument('[query]', 'Search query')
       .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
       .option('-n, --num-results <number>', 'Number of results to return', '5')
+      .option('--queries-file <file>', 'Run every query in a .txt, .csv or .jsonl file in one session')
+      .option('-o, --output <file>', 'With --queries-file: write the results to a .jsonl or .csv file')
+      .option('--output-format <format>', 'With --queries-file: jsonl or csv (default: from --output, else jsonl)')
+      .option('--concurrency <number>', 'With --queries-file: searches to run at once', '4')
       .option('-j, --json', 'Output results in JSON format', false)
       .option('--debug', 'Enable debug mode for search', false)
       .option('--text-matches', 'Include direct text matching analysis', false)
-      .option('--min-score <number>', 'Minimum relevance score (0-1)', '0')
+      .option('--min-score <number>', 'Minimum relevance score (0-1): cosine similarity, or BM25 relative to the best match in keyword mode', '0')
+      .option('-m, --mode <mode>', `Search mode (${SEARCH_MODES.join(', ')})`, 'hybrid')
+      .option('--hybrid-weight <number>', 'Weight of the vector ranking in hybrid mode (0-1)', '0.5')
+      .option('-t, --type <types>', 'Only search these document types (e.g. excel, pdf, docx, text)')
+      .option('-p, --path <glob>', 'Only search files matching this path glob (e.g. "specs/billing/**")')
+      .option('--sheet <name>', 'Only search this Excel sheet')
+      .option('--tag <key=value>', 'Only search chunks with this tag (repeatable)', collect, [])
+      .option('-w, --where <column=value>', 'Only search Excel rows whose column has this value (repeatable)', collect, [])
+      .option('--no-collapse', 'Keep overlapping/adjacent chunks of a file as separate results')
+      .option('--group-by <field>', 'Group results by document (use "file")')
+      .option('--mmr [lambda]', 'Diversify results with maximal marginal relevance (0-1, lower = more diverse)')
+      .option('-c, --context <number>', 'Show N preceding/following chunks (or Excel rows) around each hit', '0')
       .action(this.searchCommand.bind(this));
 
+    // Question answering
+    this.program
+      .command('ask')
+      .description('Answer a question from the indexed documents, with cited sources')
+      .argument('<question>', 'Question, e.g. "What are the password complexity rules?"')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .option('-n, --num-sources <number>', 'Number of passages to retrieve as sources', '6')
+      .option('-m, --mode <mode>', `Search mode (${SEARCH_MODES.join(', ')})`, 'hybrid')
+      .option('-t, --type <types>', 'Only use these document types (e.g. excel, pdf, docx, text)')
+      .option('-p, --path <glob>', 'Only use files matching this path glob (e.g. "specs/billing/**")')
+      .option('--sheet <name>', 'Only use this Excel sheet')
+      .option('--tag <key=value>', 'Only use chunks with this tag (repeatable)', collect, [])
+      .option('-w, --where <column=value>', 'Only use Excel rows whose column has this value (repeatable)', collect, [])
+      .option('--chat-provider <name>', 'Chat model provider: openai, openai-compatible or local')
+      .option('--chat-model <model>', 'Chat model name')
+      .option('--chat-base-url <url>', 'Base URL of an OpenAI-compatible chat server')
+      .option('--sources', 'List every retrieved source, not just the cited ones', false)
+      .option('-j, --json', 'Output the answer in JSON format', false)
+      .option('--debug', 'Show retrieval details and the raw model reply', false)
+      .action(this.askCommand.bind(this));
+
     // Enhanced search analysis command
     this.program
       .command('analyze')
@@ -72,8 +158,116 @@ class RequirementsCLI {
       .description('Start interactive search session')
       .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
       .option('--debug', 'Enable debug mode in interactive session', false)
+      .option('-m, --mode <mode>', `Search mode (${SEARCH_MODES.join(', ')})`, 'hybrid')
+      .option('--hybrid-weight <number>', 'Weight of the vector ranking in hybrid mode (0-1)', '0.5')
+      .option('-t, --type <types>', 'Only search these document types (e.g. excel, pdf, docx, text)')
+      .option('-p, --path <glob>', 'Only search files matching this path glob (e.g. "specs/billing/**")')
+      .option('--sheet <name>', 'Only search this Excel sheet')
+      .option('--tag <key=value>', 'Only search chunks with this tag (repeatable)', collect, [])
+      .option('-w, --where <column=value>', 'Only search Excel rows whose column has this value (repeatable)', collect, [])
+      .option('--no-collapse', 'Keep overlapping/adjacent chunks of a file as separate results')
+      .option('--group-by <field>', 'Group results by document (use "file")')
+      .option('--mmr [lambda]', 'Diversify results with maximal marginal relevance (0-1, lower = more diverse)')
+      .option('-c, --context <number>', 'Show N preceding/following chunks (or Excel rows) around each hit', '0')
       .action(this.interactiveCommand.bind(this));
 
+    // Near-duplicate and conflicting requirements
+    this.program
+      .command('duplicates')
+      .description('Find near-duplicate and conflicting passages across documents')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .option('--threshold <number>', 'Minimum similarity (0-1) for two passages to count as duplicates', '0.9')
+      .option('-t, --type <types>', 'Only compare these document types (e.g. excel, pdf, docx, text)')
+      .option('-p, --path <glob>', 'Only compare files matching this path glob (e.g. "specs/**")')
+      .option('--sheet <name>', 'Only compare this Excel sheet')
+      .option('--tag <key=value>', 'Only compare chunks with this tag (repeatable)', collect, [])
+      .option('-w, --where <column=value>', 'Only compare Excel rows whose column has this value (repeatable)', collect, [])
+      .option('--same-file', 'Also compare passages within the same document', false)
+      .option('--conflicts-only', 'Only report pairs whose numbers, negations or modal verbs differ', false)
+      .option('-n, --limit <number>', 'Clusters to show in text output', '20')
+      .option('--format <format>', 'Output format: text, json or csv', 'text')
+      .option('-o, --output <file>', 'Write the JSON or CSV report to a file')
+      .action(this.duplicatesCommand.bind(this));
+
+    // Topic overview of the index
+    this.program
+      .command('topics')
+      .description('Group indexed passages into topics labelled with their distinctive keywords')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .option('-k, --topics <number>', 'Number of topics (default: about the square root of half the chunk count)')
+      .option('--keywords <number>', 'Keywords per topic', '8')
+      .option('--examples <number>', 'Representative passages to show per topic', '1')
+      .option('-t, --type <types>', 'Only cluster these document types (e.g. excel, pdf, docx, text)')
+      .option('-p, --path <glob>', 'Only cluster files matching this path glob (e.g. "specs/**")')
+      .option('--sheet <name>', 'Only cluster this Excel sheet')
+      .option('--tag <key=value>', 'Only cluster chunks with this tag (repeatable)', collect, [])
+      .option('-w, --where <column=value>', 'Only cluster Excel rows whose column has this value (repeatable)', collect, [])
+      .option('-j, --json', 'Output the topics as JSON', false)
+      .action(this.topicsCommand.bind(this));
+
+    // Requirement coverage by test documents
+    this.program
+      .command('coverage')
+      .description('Check which requirements have matching test cases')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .option('-r, --requirements <glob>', 'Requirement files (path glob, e.g. "specs/**")')
+      .option('--requirements-type <types>', 'Requirement document types (e.g. pdf,docx)')
+      .option('--requirements-sheet <name>', 'Excel sheet holding the requirements')
+      .option('-T, --tests <glob>', 'Test case files (path glob, e.g. "qa/**")')
+      .option('--tests-type <types>', 'Test document types (e.g. excel,docx)')
+      .option('--tests-sheet <name>', 'Excel sheet holding the test cases')
+      .option('--covered <number>', 'Similarity (0-1) at which a requirement counts as covered', String(DEFAULT_COVERED_THRESHOLD))
+      .option('--weak <number>', 'Similarity (0-1) at which a requirement counts as weakly covered', String(DEFAULT_WEAK_THRESHOLD))
+      .option('-n, --matches <number>', 'Best matching tests to report per requirement', '3')
+      .option('--format <format>', 'Output format: text, markdown, csv or json', 'text')
+      .option('-o, --output <file>', 'Write the report to a file')
+      .action(this.coverageCommand.bind(this));
+
+    // Retrieval quality evaluation
+    this.program
+      .command('eval')
+      .description('Measure search quality (recall@k, MRR, nDCG) against labeled queries')
+      .argument('<judgments>', 'Judgments file (.jsonl or .json) of queries with their expected files, ids or chunks')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .option('-k, --k <number>', 'Number of results to score per query', '10')
+      .option('-m, --mode <mode>', `Search mode (${SEARCH_MODES.join(', ')})`, 'hybrid')
+      .option('--hybrid-weight <number>', 'Weight of the vector ranking in hybrid mode (0-1)', '0.5')
+      .option('--min-score <number>', 'Minimum relevance score (0-1): cosine similarity, or BM25 relative to the best match in keyword mode', '0')
+      .option('--no-collapse', 'Keep overlapping/adjacent chunks of a file as separate results')
+      .option('--mmr [lambda]', 'Diversify results with maximal marginal relevance (0-1, lower = more diverse)')
+      .option('-t, --type <types>', 'Only search these document types (e.g. excel, pdf, docx, text)')
+      .option('-p, --path <glob>', 'Only search files matching this path glob (e.g. "specs/billing/**")')
+      .option('--compare-index <path>', 'Also evaluate another index with the same settings and compare')
+      .option('--compare-config <file>', 'Also evaluate with the search settings in this JSON file and compare')
+      .option('--concurrency <number>', 'Searches to run at once', '4')
+      .option('-j, --json', 'Output the evaluation as JSON', false)
+      .action(this.evalCommand.bind(this));
+
+    // Traceability of requirement IDs
+    this.program
+      .command('trace')
+      .description('Show where a requirement ID is defined and referenced, and the IDs linked to it')
+      .argument('<id>', 'Requirement ID, e.g. REQ-104')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .option('--depth <number>', 'How many links away to follow for the graph', '1')
+      .option('--format <format>', 'Output format: text, json or dot', 'text')
+      .option('-o, --output <file>', 'Write the JSON or DOT output to a file')
+      .action(this.traceCommand.bind(this));
+
+    // HTTP API
+    this.program
+      .command('serve')
+      .description('Serve search, indexing and statistics over a JSON HTTP API')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .option('--port <number>', 'Port to listen on', '3000')
+      .option('--host <host>', 'Interface to listen on', '127.0.0.1')
+      .option('--api-key <key>', 'Require this API key (default: SEARCH_API_KEY environment variable)')
+      .option('--cors-origin <origins>', 'Comma-separated origins allowed to call the API from a browser, or "*"')
+      .option('--docs-root <path>', 'Directory that documents indexed over the API must be inside', '.')
+      .option('--plugin <module>', 'Load an extractor plugin (path or package name, repeatable)', collect, [])
+      .option('--debug', 'Log engine debug output', false)
+      .action(this.serveCommand.bind(this));
+
     // Status command
     this.program
       .command('status')
@@ -81,6 +275,44 @@ class RequirementsCLI {
       .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
       .action(this.statusCommand.bind(this));
 
+    // List indexed documents
+    this.program
+      .command('list')
+      .description('List indexed documents with their type, chunk count, size and indexing date')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .option('-p, --path <glob>', 'Only list documents matching this path glob')
+      .option('-j, --json', 'Output the list in JSON format', false)
+      .action(this.listCommand.bind(this));
+
+    // Remove documents from the index
+    this.program
+      .command('remove')
+      .description('Remove documents matching a file path or glob from the index')
+      .argument('<file>', 'File path or glob, e.g. docs/old-spec.docx or "docs/archive/**"')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .option('--dry-run', 'Show matching documents without removing them', false)
+      .option('-y, --yes', 'Skip confirmation prompt', false)
+      .action(this.removeCommand.bind(this));
+
+    // Upgrade an index to path-based document ids, or change its document root
+    this.program
+      .command('migrate')
+      .description('Upgrade an index to path-based document ids, or move it to a new document root')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .option('--root <path>', 'New document root (default: the recorded one, else the working directory)')
+      .action(this.migrateCommand.bind(this));
+
+    // Embedding cache maintenance
+    const cacheCommand = this.program
+      .command('cache')
+      .description('Manage the embedding cache');
+
+    cacheCommand
+      .command('prune')
+      .description('Remove cached embeddings no longer referenced by any chunk')
+      .option('-i, --index-path <path>', 'Path to vector index', './requirements-index')
+      .action(this.cachePruneCommand.bind(this));
+
     // Clear command
     this.program
       .command('clear')
@@ -116,15 +348,53 @@ class RequirementsCLI {
       .action(this.debugCommand.bind(this));
   }
 
+  // Resolve embedding settings: command-line flags, then environment variables,
+  // then whatever the index was built with, then OpenAI defaults
+  async resolveEmbeddingConfig(indexPath) {
+    const globalOptions = this.program.opts();
+    const recorded = await RequirementsSearchEngine.readEmbeddingInfo(indexPath).catch(() => null);
+    
+    const provider = globalOptions.embeddingProvider
+      || process.env.EMBEDDING_PROVIDER
+      || (recorded && recorded.provider)
+      || 'openai';
+    const sameAsRecorded = recorded && recorded.provider === provider;
+    
+    return {
+      provider,
+      model: globalOptions.embeddingModel
+        || process.env.EMBEDDING_MODEL
+        || (sameAsRecorded && provider !== 'local' ? recorded.model : undefined),
+      baseURL: globalOptions.embeddingBaseUrl
+        || process.env.EMBEDDING_BASE_URL
+        || (sameAsRecorded ? recorded.baseURL : undefined),
+      dimensions: globalOptions.embeddingDimensions
+        || process.env.EMBEDDING_DIMENSIONS
+        || (sameAsRecorded && provider === 'local' ? recorded.dimensions : undefined),
+      apiKey: process.env.OPENAI_API_KEY
+    };
+  }
+
   async initializeSearchEngine(indexPath, debug = false) {
     if (!this.searchEngine || this.searchEngine.indexPath !== indexPath) {
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey) {
+      const embeddingConfig = await this.resolveEmbeddingConfig(indexPath);
+      if (embeddingConfig.provider === 'openai' && !embeddingConfig.apiKey) {
         console.log(chalk.red('❌ OPENAI_API_KEY environment variable is required'));
         console.log(chalk.yellow('Set it with: export OPENAI_API_KEY="your-api-key"'));
+        console.log(chalk.yellow('Or use an offline model with: --embedding-provider local'));
         process.exit(1);
       }
-      this.searchEngine = new RequirementsSearchEngine(indexPath, apiKey);
+      
+      try {
+        this.searchEngine = new RequirementsSearchEngine(indexPath, embeddingConfig.apiKey, {
+          embeddingProvider: embeddingConfig,
+          extractors: this.extractors
+        });
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+      }
+      
       if (debug) {
         this.searchEngine.setDebugMode(true);
       }
@@ -132,6 +402,81 @@ class RequirementsCLI {
     return this.searchEngine;
   }
 
+  // Build a search filter from --type, --path, --sheet, --tag and --where options
+  buildSearchFilter(options) {
+    try {
+      return {
+        type: options.type,
+        path: options.path,
+        sheet: options.sheet,
+        tags: parseTags(options.tag),
+        columns: parseTags(options.where)
+      };
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  }
+
+  // Result shaping options shared by search and interactive
+  buildRankingOptions(options) {
+    let mmrLambda = null;
+    if (options.mmr !== undefined) {
+      mmrLambda = options.mmr === true ? 0.7 : parseFloat(options.mmr);
+      if (Number.isNaN(mmrLambda) || mmrLambda < 0 || mmrLambda > 1) {
+        console.log(chalk.red('❌ --mmr lambda must be between 0 and 1'));
+        process.exit(1);
+      }
+    }
+
+    if (options.groupBy && options.groupBy !== 'file') {
+      console.log(chalk.red(`❌ Unsupported --group-by value "${options.groupBy}" (use "file")`));
+      process.exit(1);
+    }
+
+    const context = parseInt(options.context || '0');
+    if (Number.isNaN(context) || context < 0) {
+      console.log(chalk.red('❌ --context must be a non-negative number'));
+      process.exit(1);
+    }
+
+    return {
+      collapse: options.collapse,
+      groupBy: options.groupBy || null,
+      mmrLambda,
+      context
+    };
+  }
+
+  // Project settings from --config or the default config file, read once
+  async loadProjectConfig() {
+    if (!this.config) {
+      try {
+        this.config = await loadConfig(this.program.opts().config || null);
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+      }
+    }
+    return this.config;
+  }
+
+  // Register extractor plugins from the config file and --plugin options
+  async loadExtractorPlugins(plugins = [], debug = false) {
+    const config = await this.loadProjectConfig();
+    try {
+      const loaded = await loadPlugins(this.extractors, { config, plugins });
+      if (debug) {
+        loaded.forEach(plugin => {
+          console.log(chalk.gray(`🔌 Plugin ${plugin.specifier}: ${plugin.extractors.join(', ') || 'no new extractors'}`));
+        });
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  }
+
   async findDocuments(directory, recursive, fileTypes) {
     const extensions = fileTypes.split(',').map(ext => ext.trim().toLowerCase());
     const patterns = extensions.map(ext => 
@@ -181,31 +526,57 @@ class RequirementsCLI {
       process.exit(1);
     }
 
+    const builtInExtensions = this.extractors.extensions();
+    await this.loadExtractorPlugins(options.plugin, options.debug);
+    // Formats added by plugins are indexed by default; other built-in ones need --file-types
+    const pluginExtensions = this.extractors.extensions().filter(ext => !builtInExtensions.includes(ext));
+    options.fileTypes = options.fileTypes || [...DEFAULT_FILE_TYPES, ...pluginExtensions].join(',');
+
+    const unsupported = options.fileTypes.split(',')
+      .map(ext => ext.trim())
+      .filter(ext => ext.length > 0 && !this.extractors.getForExtension(ext));
+    if (unsupported.length > 0) {
+      console.log(chalk.red(`❌ No extractor for file type(s): ${unsupported.join(', ')}`));
+      console.log(chalk.gray(`   Supported types: ${this.extractors.extensions().join(', ')}`));
+      process.exit(1);
+    }
+
     // Find documents
     const spinner = ora('🔍 Scanning for documents...').start();
-    const files = await this.findDocuments(options.directory, options.recursive, options.fileTypes);
+    const indexDirectory = path.resolve(options.indexPath) + path.sep;
+    const files = (await this.findDocuments(options.directory, options.recursive, options.fileTypes))
+      // The index's own JSON files are never documents
+      .filter(file => !path.resolve(file).startsWith(indexDirectory));
     spinner.stop();
 
     if (files.length === 0) {
       console.log(chalk.yellow(`⚠️  No documents found in ${options.directory}`));
       console.log(chalk.gray(`   Supported types: ${options.fileTypes}`));
       console.log(chalk.gray(`   Recursive: ${options.recursive ? 'Yes' : 'No'}`));
-      return;
+      if (!options.watch || options.dryRun) {
+        return;
+      }
+    } else {
+      console.log(chalk.green(`📄 Found ${files.length} documents:`));
+      files.forEach(file => {
+        const relativePath = path.relative(process.cwd(), file);
+        console.log(chalk.gray(`   ${relativePath}`));
+      });
     }
 
-    console.log(chalk.green(`📄 Found ${files.length} documents:`));
-    files.forEach(file => {
-      const relativePath = path.relative(process.cwd(), file);
-      console.log(chalk.gray(`   ${relativePath}`));
-    });
-
     if (options.dryRun) {
       console.log(chalk.blue('\n🔍 Dry run complete - no files were indexed'));
       return;
     }
 
+    const debounceMs = parseInt(options.debounce);
+    if (options.watch && !(debounceMs >= 0)) {
+      console.log(chalk.red('❌ --debounce must be a number of milliseconds'));
+      process.exit(1);
+    }
+
     // Confirm before processing
-    if (!options.yes) {
+    if (!options.yes && files.length > 0) {
       const { proceed } = await inquirer.prompt([{
         type: 'confirm',
         name: 'proceed',
@@ -219,8 +590,45 @@ class RequirementsCLI {
       }
     }
 
+    let tags;
+    let headerRows;
+    const config = await this.loadProjectConfig();
+    const idPatterns = options.idPattern.length > 0 ? options.idPattern : (config.idPatterns || null);
+    try {
+      tags = parseTags(options.tag);
+      headerRows = parseHeaderRows(options.headerRow);
+      compileIdPatterns(idPatterns);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+
+    if (!CHUNK_STRATEGIES.includes(options.chunkStrategy)) {
+      console.log(chalk.red(`❌ Unknown chunk strategy "${options.chunkStrategy}" (use ${CHUNK_STRATEGIES.join(' or ')})`));
+      process.exit(1);
+    }
+
+    const chunkSize = parseInt(options.chunkSize);
+    const chunkOverlap = parseInt(options.chunkOverlap);
+    if (!(chunkSize > 0) || !(chunkOverlap >= 0) || chunkOverlap >= chunkSize) {
+      console.log(chalk.red('❌ --chunk-size must be positive and --chunk-overlap smaller than it'));
+      process.exit(1);
+    }
+
     // Initialize search engine
     const searchEngine = await this.initializeSearchEngine(options.indexPath, options.debug);
+    searchEngine.setChunkingOptions({
+      strategy: options.chunkStrategy,
+      chunkSize,
+      overlap: chunkOverlap
+    });
+    searchEngine.setExtractionOptions({ headerRows, idPatterns });
+    searchEngine.setDocumentRoot(options.root || config.documentRoot, options.directory);
+    searchEngine.setBatchOptions({
+      maxBatchTokens: parseInt(options.batchTokens),
+      concurrency: parseInt(options.concurrency),
+      maxRetries: parseInt(options.maxRetries)
+    });
 
     // Clear index if requested
     if (options.clear) {
@@ -234,10 +642,20 @@ class RequirementsCLI {
       }
     }
 
+    if (!options.clear) {
+      await this.migrateIfNeeded(searchEngine);
+    }
+    try {
+      await searchEngine.resolveDocumentRoot();
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+
     // Index documents
     console.log(chalk.blue('\n🔄 Starting indexing process...\n'));
     
-    let successCount = 0;
+    const counts = { added: 0, updated: 0, unchanged: 0, removed: 0 };
     let errorCount = 0;
     let totalChunks = 0;
 
@@ -253,15 +671,25 @@ class RequirementsCLI {
       }
       
       try {
-        const result = await searchEngine.indexDocument(file);
+        const result = await this.indexFileWithRetry(searchEngine, file, options, tags, attempt => {
+          const retryMessage = `${progress} Retrying ${relativePath} (attempt ${attempt + 1})...`;
+          if (!options.debug) {
+            fileSpinner.text = retryMessage;
+          } else {
+            console.log(retryMessage);
+          }
+        });
+        const message = result.status === 'unchanged'
+          ? `${progress} ⏭️  ${relativePath} (unchanged)`
+          : `${progress} ✅ ${relativePath} (${result.chunksCreated} chunks, ${result.status})`;
         
         if (!options.debug) {
-          fileSpinner.succeed(`${progress} ✅ ${relativePath} (${result.chunksCreated} chunks)`);
+          fileSpinner.succeed(message);
         } else {
-          console.log(`${progress} ✅ ${relativePath} (${result.chunksCreated} chunks)`);
+          console.log(message);
         }
         
-        successCount++;
+        counts[result.status]++;
         totalChunks += result.chunksCreated;
       } catch (error) {
         if (!options.debug) {
@@ -274,17 +702,192 @@ class RequirementsCLI {
       }
     }
 
+    await this.flushEmbeddingCache(searchEngine);
+
+    // Drop documents that were deleted from the directory since the last run
+    try {
+      const removed = await searchEngine.removeMissingDocuments(options.directory);
+      removed.forEach(result => {
+        console.log(chalk.gray(`   🗑️  Removed ${result.relativePath || result.fileName} (${result.chunksRemoved} chunks)`));
+      });
+      counts.removed = removed.length;
+    } catch (error) {
+      console.log(chalk.red(`   Error removing deleted documents: ${error.message}`));
+    }
+
     // Summary
     console.log(chalk.blue('\n📊 Indexing Summary:'));
-    console.log(chalk.green(`   ✅ Successfully indexed: ${successCount} files`));
+    console.log(chalk.green(`   ➕ Added: ${counts.added} files`));
+    console.log(chalk.green(`   🔄 Updated: ${counts.updated} files`));
+    console.log(chalk.gray(`   ⏭️  Unchanged: ${counts.unchanged} files`));
+    console.log(chalk.gray(`   🗑️  Removed: ${counts.removed} files`));
     console.log(chalk.green(`   📄 Total chunks created: ${totalChunks}`));
     if (errorCount > 0) {
       console.log(chalk.red(`   ❌ Failed to index: ${errorCount} files`));
     }
     console.log(chalk.gray(`   📍 Index location: ${options.indexPath}`));
+
+    if (options.watch) {
+      await this.watchDirectory(searchEngine, options, { tags, debounceMs, indexDirectory });
+    }
+  }
+
+  // Retry the whole file so one transient failure doesn't lose it from a long run.
+  // New embeddings are cached in memory; callers write them with flushEmbeddingCache.
+  indexFileWithRetry(searchEngine, file, options, tags, onRetry = () => {}) {
+    return withRetry(attempt => {
+      if (attempt > 0) {
+        onRetry(attempt);
+      }
+      return searchEngine.indexDocument(file, { force: options.force, tags, flushCache: false });
+    }, {
+      maxRetries: parseInt(options.fileRetries),
+      shouldRetry: isRetryableError,
+      baseDelayMs: 2000
+    });
+  }
+
+  // Write the embeddings cached during a run; a failure only costs re-embedding later
+  async flushEmbeddingCache(searchEngine) {
+    try {
+      await searchEngine.flushEmbeddingCache();
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not save the embedding cache: ${error.message}`));
+    }
+  }
+
+  // index --watch: keep the index in sync with the directory until interrupted
+  async watchDirectory(searchEngine, options, { tags, debounceMs, indexDirectory }) {
+    const extensions = options.fileTypes.split(',').map(ext => '.' + ext.trim().toLowerCase());
+    const baseName = file => path.basename(file);
+    // Office lock files (~$spec.docx, .~lock.spec.odt#) and the index itself
+    const isIgnored = file => (path.resolve(file) + path.sep).startsWith(indexDirectory)
+      || baseName(file).startsWith('~$')
+      || baseName(file).startsWith('.~lock.');
+    const isDocument = file => !isIgnored(file) && extensions.includes(path.extname(file).toLowerCase());
+
+    const counts = { added: 0, updated: 0, removed: 0, failed: 0 };
+    const timestamp = () => chalk.gray(`[${new Date().toLocaleTimeString()}]`);
+    const relative = file => path.relative(process.cwd(), file) || file;
+
+    const indexFile = async file => {
+      try {
+        const result = await this.indexFileWithRetry(searchEngine, file, { ...options, force: false }, tags, attempt => {
+          console.log(`${timestamp()} ${chalk.yellow(`🔁 Retrying ${relative(file)} (attempt ${attempt + 1})`)}`);
+        });
+        if (result.status === 'unchanged') {
+          if (options.debug) {
+            console.log(`${timestamp()} ${chalk.gray(`⏭️  ${relative(file)} (unchanged)`)}`);
+          }
+          return;
+        }
+        counts[result.status]++;
+        console.log(`${timestamp()} ${chalk.green(`✅ ${relative(file)} (${result.chunksCreated} chunks, ${result.status})`)}`);
+      } catch (error) {
+        counts.failed++;
+        console.log(`${timestamp()} ${chalk.red(`❌ ${relative(file)}: ${error.message}`)}`);
+      }
+    };
+
+    const removeFile = async file => {
+      try {
+        const removed = await searchEngine.isDocumentIndexed(file)
+          ? [await searchEngine.removeDocument(file)]
+          // A deleted directory takes every document below it
+          : await searchEngine.removeMissingDocuments(file);
+        removed.forEach(result => {
+          counts.removed++;
+          console.log(`${timestamp()} ${chalk.gray(`🗑️  Removed ${result.relativePath || result.fileName} (${result.chunksRemoved} chunks)`)}`);
+        });
+      } catch (error) {
+        counts.failed++;
+        console.log(`${timestamp()} ${chalk.red(`❌ Removing ${relative(file)}: ${error.message}`)}`);
+      }
+    };
+
+    const rescan = async () => {
+      const files = (await this.findDocuments(options.directory, options.recursive, options.fileTypes)).filter(isDocument);
+      for (const file of files) {
+        await indexFile(file);
+      }
+      await removeFile(path.resolve(options.directory));
+    };
+
+    const onBatch = async changedPaths => {
+      if (changedPaths === null) {
+        await rescan();
+        await this.flushEmbeddingCache(searchEngine);
+        return;
+      }
+
+      for (const changedPath of changedPaths) {
+        const stats = await fs.stat(changedPath).catch(() => null);
+        if (!stats) {
+          await removeFile(changedPath);
+        } else if (stats.isFile()) {
+          if (isDocument(changedPath)) {
+            await indexFile(changedPath);
+          }
+        } else if (stats.isDirectory() && options.recursive) {
+          // A directory moved or copied in
+          const files = (await this.findDocuments(changedPath, true, options.fileTypes)).filter(isDocument);
+          for (const file of files) {
+            await indexFile(file);
+          }
+        }
+      }
+      await this.flushEmbeddingCache(searchEngine);
+    };
+
+    const watcher = new DocumentWatcher(options.directory, {
+      recursive: options.recursive,
+      debounceMs,
+      ignore: isIgnored,
+      onBatch,
+      onError: error => console.log(`${timestamp()} ${chalk.red(`❌ Watch error: ${error.message}`)}`)
+    });
+
+    let mode;
+    try {
+      mode = watcher.start();
+    } catch (error) {
+      console.log(chalk.red(`❌ Cannot watch ${options.directory}: ${error.message}`));
+      process.exit(1);
+    }
+
+    console.log(chalk.blue(`\n👀 Watching ${options.directory}${options.recursive ? ' (recursive)' : ''} for changes. Press Ctrl+C to stop.`));
+    if (mode === 'poll') {
+      console.log(chalk.gray('   Recursive file watching is not available here; rescanning every 5 seconds'));
+    }
+
+    const stop = async () => {
+      await watcher.close();
+      console.log(chalk.blue('\n📊 Watch Summary:'));
+      console.log(chalk.green(`   ➕ Added: ${counts.added} files`));
+      console.log(chalk.green(`   🔄 Updated: ${counts.updated} files`));
+      console.log(chalk.gray(`   🗑️  Removed: ${counts.removed} files`));
+      if (counts.failed > 0) {
+        console.log(chalk.red(`   ❌ Failed: ${counts.failed} updates`));
+      }
+      process.exit(0);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
   }
 
   async searchCommand(query, options) {
+    if (options.queriesFile) {
+      if (query) {
+        console.log(chalk.red('❌ Give either a query or --queries-file, not both'));
+        process.exit(1);
+      }
+      return this.batchSearchCommand(options);
+    }
+    if (!query) {
+      console.log(chalk.red('❌ Missing search query (or --queries-file)'));
+      process.exit(1);
+    }
+    
     const searchEngine = await this.initializeSearchEngine(options.indexPath, options.debug);
     
     try {
@@ -309,7 +912,11 @@ class RequirementsCLI {
       const searchOptions = {
         debug: options.debug,
         includeTextMatches: options.textMatches,
-        minScore: parseFloat(options.minScore)
+        minScore: parseFloat(options.minScore),
+        mode: options.mode,
+        hybridWeight: parseFloat(options.hybridWeight),
+        filter: this.buildSearchFilter(options),
+        ...this.buildRankingOptions(options)
       };
       
       const results = await searchEngine.search(query, parseInt(options.numResults), searchOptions);
@@ -323,7 +930,7 @@ class RequirementsCLI {
         return;
       }
 
-      this.displaySearchResults(query, results, options.textMatches);
+      this.displaySearchResults(query, results, options.textMatches, searchOptions.context > 0);
     } catch (error) {
       if (!options.debug) {
         spinner.fail('❌ Search failed');
@@ -333,6 +940,157 @@ class RequirementsCLI {
     }
   }
 
+  // search --queries-file: all queries in one session, results as JSON Lines or CSV
+  async batchSearchCommand(options) {
+    const outputFormat = options.outputFormat
+      || (options.output && path.extname(options.output).toLowerCase() === '.csv' ? 'csv' : 'jsonl');
+    if (!['jsonl', 'csv'].includes(outputFormat)) {
+      console.log(chalk.red(`❌ Unknown output format "${outputFormat}" (use jsonl or csv)`));
+      process.exit(1);
+    }
+    if (options.groupBy) {
+      console.log(chalk.red('❌ --group-by is not supported with --queries-file'));
+      process.exit(1);
+    }
+    
+    let queries;
+    try {
+      const content = await fs.readFile(options.queriesFile, 'utf-8');
+      queries = parseQueries(content, queryFileFormat(options.queriesFile));
+    } catch (error) {
+      console.log(chalk.red(`❌ Could not read ${options.queriesFile}: ${error.message}`));
+      process.exit(1);
+    }
+    if (queries.length === 0) {
+      console.log(chalk.red(`❌ No queries in ${options.queriesFile}`));
+      process.exit(1);
+    }
+    
+    const searchEngine = await this.initializeSearchEngine(options.indexPath, options.debug);
+    const stats = await searchEngine.getStats();
+    if (stats.totalChunks === 0) {
+      console.log(chalk.red('❌ No documents in index. Run "requirements-search index" first.'));
+      process.exit(1);
+    }
+    
+    // Progress goes to stderr so results can be piped from stdout
+    const spinner = options.debug ? null : ora({ text: `🔍 Running ${queries.length} queries...`, stream: process.stderr }).start();
+    const startTime = Date.now();
+    
+    let batch;
+    try {
+      batch = await searchEngine.searchMany(queries, parseInt(options.numResults) || 5, {
+        concurrency: Math.max(1, parseInt(options.concurrency) || 1),
+        debug: options.debug,
+        minScore: parseFloat(options.minScore),
+        mode: options.mode,
+        hybridWeight: parseFloat(options.hybridWeight),
+        filter: this.buildSearchFilter(options),
+        ...this.buildRankingOptions(options),
+        onProgress: (done, total) => {
+          if (spinner) spinner.text = `🔍 Running queries... ${done}/${total}`;
+        }
+      });
+    } catch (error) {
+      if (spinner) spinner.fail('❌ Batch search failed');
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+    
+    const failed = batch.filter(entry => entry.error);
+    const empty = batch.filter(entry => !entry.error && entry.results.length === 0);
+    const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+    const summary = `${batch.length} queries in ${seconds}s` +
+      (empty.length > 0 ? `, ${empty.length} without results` : '') +
+      (failed.length > 0 ? `, ${failed.length} failed` : '');
+    
+    const output = outputFormat === 'csv' ? batchResultsToCsv(batch) : batchResultsToJsonl(batch);
+    if (options.output) {
+      await fs.writeFile(options.output, output + '\n');
+    } else {
+      console.log(output);
+    }
+    
+    if (spinner) {
+      const message = `${summary}${options.output ? ` → ${options.output}` : ''}`;
+      if (failed.length > 0) spinner.warn(`⚠️  ${message}`);
+      else spinner.succeed(`✅ ${message}`);
+    }
+    failed.forEach(entry => console.error(chalk.red(`   ${entry.id}: ${entry.error}`)));
+  }
+
+  // Chat model settings: command-line flags, then environment variables
+  resolveChatConfig(options) {
+    return {
+      provider: options.chatProvider || process.env.CHAT_PROVIDER || undefined,
+      model: options.chatModel || process.env.CHAT_MODEL || undefined,
+      baseURL: options.chatBaseUrl || process.env.CHAT_BASE_URL || undefined
+    };
+  }
+
+  async askCommand(question, options) {
+    const topK = parseInt(options.numSources);
+    if (!(topK >= 1)) {
+      console.log(chalk.red('❌ --num-sources must be at least 1'));
+      process.exit(1);
+    }
+    
+    const searchEngine = await this.initializeSearchEngine(options.indexPath, options.debug);
+    searchEngine.setChatModel(this.resolveChatConfig(options));
+    try {
+      searchEngine.getChatModel();
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      console.log(chalk.yellow('Or try the offline extractive model with: --chat-provider local'));
+      process.exit(1);
+    }
+    
+    const spinner = options.debug || options.json ? null : ora(`💬 Answering: "${question}"`).start();
+    let result;
+    try {
+      result = await searchEngine.answer(question, {
+        topK,
+        mode: options.mode,
+        filter: this.buildSearchFilter(options)
+      });
+      if (spinner) spinner.stop();
+    } catch (error) {
+      if (spinner) spinner.fail('❌ Failed to answer');
+      console.log(chalk.red(error.message));
+      process.exit(1);
+    }
+    
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    
+    console.log(chalk.blue(`\n💬 ${question}\n`));
+    
+    if (!result.found) {
+      console.log(chalk.yellow('🤷 Not found in the indexed documents'));
+      if (result.sources.length > 0) {
+        console.log(chalk.gray('\n   Closest passages considered:'));
+        result.sources.slice(0, 3).forEach(source => {
+          console.log(chalk.gray(`   [${source.number}] ${source.location} (${source.relevancePercentage}% relevant)`));
+        });
+      }
+      return;
+    }
+    
+    console.log(result.answer.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, match => chalk.cyan(match)));
+    
+    const listed = options.sources ? result.sources : result.citations;
+    console.log(chalk.blue(`\n📚 ${options.sources ? 'Sources' : 'Cited sources'}:`));
+    if (listed.length === 0) {
+      console.log(chalk.yellow('   ⚠️  The answer cites no sources; check it against the documents'));
+    }
+    listed.forEach(source => {
+      console.log(chalk.gray(`   [${source.number}] ${source.location} (${source.relevancePercentage}% relevant)`));
+    });
+    console.log(chalk.gray(`\n   Answered by ${result.model.provider} / ${result.model.model}`));
+  }
+
   async analyzeCommand(query, options) {
     console.log(chalk.blue(`🔍 Analyzing search for: "${query}"\n`));
     
@@ -408,10 +1166,16 @@ class RequirementsCLI {
       process.exit(1);
     }
 
-    await this.interactiveSearch(searchEngine, options.debug);
+    await this.interactiveSearch(searchEngine, options.debug, {
+      mode: options.mode,
+      hybridWeight: parseFloat(options.hybridWeight),
+      filter: this.buildSearchFilter(options),
+      ...this.buildRankingOptions(options)
+    });
   }
 
-  async interactiveSearch(searchEngine, debug = false) {
+  async interactiveSearch(searchEngine, debug = false, searchOptions = {}) {
+    const showContext = searchOptions.context > 0;
     while (true) {
       const { query, action } = await inquirer.prompt([
         {
@@ -442,16 +1206,17 @@ class RequirementsCLI {
       try {
         switch (action) {
           case 'search':
-            const results = await searchEngine.search(query, 5, { debug });
-            this.displaySearchResults(query, results);
+            const results = await searchEngine.search(query, 5, { ...searchOptions, debug });
+            this.displaySearchResults(query, results, false, showContext);
             break;
             
           case 'analyze':
             const analyzeResults = await searchEngine.search(query, 10, { 
+              ...searchOptions,
               debug: true, 
               includeTextMatches: true 
             });
-            this.displaySearchResults(query, analyzeResults, true);
+            this.displaySearchResults(query, analyzeResults, true, showContext);
             break;
             
           case 'exact':
@@ -470,7 +1235,7 @@ class RequirementsCLI {
     }
   }
 
-  displaySearchResults(query, results, showTextMatches = false) {
+  displaySearchResults(query, results, showTextMatches = false, showContext = false) {
     console.log(chalk.blue(`\n🔍 Search Results for: "${query}"\n`));
     
     if (results.length === 0) {
@@ -479,35 +1244,730 @@ class RequirementsCLI {
     }
 
     results.forEach((result, index) => {
-      console.log(chalk.green(`${index + 1}. ${result.fileName} (${result.relevancePercentage}% relevant)`));
-      
-      if (result.sheet) {
-        console.log(chalk.gray(`   📊 Sheet: ${result.sheet}, Row: ${result.row}`));
-      }
-      
-      if (showTextMatches && result.hasDirectMatch) {
-        console.log(chalk.cyan(`   🎯 Text matches: ${result.textMatches.join(', ')}`));
-      } else if (showTextMatches && !result.hasDirectMatch) {
-        console.log(chalk.yellow(`   ⚠️  No direct text matches found`));
+      if (result.hits) {
+        // Grouped by document
+        const best = Math.round(result.documentScore * 100);
+        console.log(chalk.green(`${index + 1}. ${result.relativePath || result.fileName} (best ${best}% relevant, ${result.hits.length} hits)`));
+        result.hits.forEach(hit => {
+          this.displayResultDetails(hit, showTextMatches, '      ', showContext ? query : null);
+        });
+        console.log(); // Add spacing between results
+        return;
       }
       
-      console.log(chalk.gray(`   📄 ${result.preview}`));
+      console.log(chalk.green(`${index + 1}. ${result.relativePath || result.fileName} (${result.relevancePercentage}% relevant)`));
+      this.displayResultDetails(result, showTextMatches, '   ', showContext ? query : null);
       console.log(); // Add spacing between results
     });
   }
 
-  async statusCommand(options) {
-    const searchEngine = await this.initializeSearchEngine(options.indexPath);
+  // contextQuery: when set, print the full passage with its surrounding
+  // context instead of the preview, highlighting the query terms
+  displayResultDetails(result, showTextMatches, indent, contextQuery = null) {
+    if (result.sheet) {
+      console.log(chalk.gray(`${indent}📊 Sheet: ${result.sheet}, Row: ${result.row}`));
+    } else if (result.row) {
+      console.log(chalk.gray(`${indent}📊 Row: ${result.row}`));
+    }
     
-    try {
-      const stats = await searchEngine.getStats();
-      
-      console.log(chalk.blue('📊 Index Status\n'));
-      console.log(chalk.green(`📍 Index Location: ${stats.indexPath}`));
-      console.log(chalk.green(`📚 Total Documents: ${stats.totalDocuments}`));
-      console.log(chalk.green(`📄 Total Chunks: ${stats.totalChunks}`));
-      
-      if (stats.documents.length > 0) {
+    if (result.slide) {
+      console.log(chalk.gray(`${indent}🖼️  Slide: ${result.slide}`));
+    }
+    
+    if (result.jsonPath) {
+      console.log(chalk.gray(`${indent}🧭 Path: ${result.jsonPath}`));
+    }
+    
+    if (result.pageStart) {
+      const label = result.pageEnd && result.pageEnd !== result.pageStart ? 'Pages' : 'Page';
+      console.log(chalk.gray(`${indent}📃 ${label}: ${formatPageRange(result.pageStart, result.pageEnd)}`));
+    }
+    
+    if (result.headingPath) {
+      console.log(chalk.gray(`${indent}📑 Section: ${result.headingPath}`));
+    }
+    
+    if (result.mergedChunkIndexes) {
+      console.log(chalk.gray(`${indent}🔗 Merged chunks: ${result.mergedChunkIndexes.join(', ')}`));
+    }
+    
+    if (result.mode === 'hybrid') {
+      const vectorScore = result.vectorScore !== null ? `${Math.round(result.vectorScore * 100)}%` : 'n/a';
+      const keywordScore = result.keywordScore !== null ? result.keywordScore.toFixed(2) : 'no match';
+      console.log(chalk.gray(`${indent}⚖️  Vector: ${vectorScore}, Keyword (BM25): ${keywordScore}`));
+    }
+    
+    if (showTextMatches && result.hasDirectMatch) {
+      console.log(chalk.cyan(`${indent}🎯 Text matches: ${result.textMatches.join(', ')}`));
+    } else if (showTextMatches && !result.hasDirectMatch) {
+      console.log(chalk.yellow(`${indent}⚠️  No direct text matches found`));
+    }
+    
+    if (contextQuery && result.context) {
+      const indentText = text => text.split('\n').map(line => `${indent}   ${line}`).join('\n');
+      result.context.before.forEach(passage => {
+        console.log(chalk.dim(indentText(this.highlightTerms(passage.text, contextQuery))));
+      });
+      console.log(`${indent}📄 ` + this.highlightTerms(result.text, contextQuery).split('\n').join(`\n${indent}   `));
+      result.context.after.forEach(passage => {
+        console.log(chalk.dim(indentText(this.highlightTerms(passage.text, contextQuery))));
+      });
+      return;
+    }
+    
+    if (result.columns && Object.keys(result.columns).length > 0) {
+      this.displayColumns(result.columns, indent);
+      // Records whose text is more than their columns (e.g. from plugins) also get the preview
+      const columnText = Object.entries(result.columns).map(([name, value]) => `${name}: ${value}`).join('\n');
+      if (result.text === columnText) {
+        return;
+      }
+    }
+    
+    console.log(chalk.gray(`${indent}📄 ${result.preview}`));
+  }
+
+  // Print an Excel record as a two-column table of header names and values
+  displayColumns(columns, indent) {
+    const entries = Object.entries(columns);
+    const width = Math.max(...entries.map(([name]) => name.length));
+    entries.forEach(([name, value]) => {
+      const shown = value.length > 100 ? `${value.substring(0, 100)}...` : value;
+      console.log(`${indent}${chalk.cyan(name.padEnd(width))} │ ${shown}`);
+    });
+  }
+
+  // Highlight the words of a query inside a passage
+  highlightTerms(text, query) {
+    const terms = KeywordIndex.tokenize(query)
+      .filter(term => term.length > 1)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (terms.length === 0) {
+      return text;
+    }
+    const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+    return text.replace(pattern, match => chalk.bold.yellow(match));
+  }
+
+  async duplicatesCommand(options) {
+    const formats = ['text', 'json', 'csv'];
+    if (!formats.includes(options.format)) {
+      console.log(chalk.red(`❌ Unknown format "${options.format}" (use ${formats.join(', ')})`));
+      process.exit(1);
+    }
+    const threshold = parseFloat(options.threshold);
+    if (!(threshold > 0 && threshold <= 1)) {
+      console.log(chalk.red('❌ --threshold must be between 0 and 1'));
+      process.exit(1);
+    }
+    
+    const config = await this.loadProjectConfig();
+    const searchEngine = await this.initializeSearchEngine(options.indexPath);
+    const spinner = options.format === 'text' || options.output ? ora('🔎 Comparing passages...').start() : null;
+    
+    let report;
+    try {
+      searchEngine.setExtractionOptions({ idPatterns: config.idPatterns || null });
+      report = await searchEngine.findDuplicates({
+        threshold,
+        filter: this.buildSearchFilter(options),
+        sameFile: options.sameFile,
+        conflictsOnly: options.conflictsOnly
+      });
+      if (spinner) spinner.stop();
+    } catch (error) {
+      if (spinner) spinner.fail('❌ Duplicate detection failed');
+      console.log(chalk.red(error.message));
+      process.exit(1);
+    }
+    
+    if (options.format !== 'text') {
+      const output = options.format === 'json' ? JSON.stringify(report, null, 2) : duplicatesToCsv(report);
+      if (options.output) {
+        await fs.writeFile(options.output, output + '\n');
+        console.log(chalk.green(`✅ Wrote ${report.pairs.length} pairs in ${report.clusters.length} clusters to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+      return;
+    }
+    
+    console.log(chalk.blue(`🧬 Duplicate Passages (similarity ≥ ${Math.round(threshold * 100)}%)\n`));
+    
+    if (report.clusters.length === 0) {
+      console.log(chalk.green('✅ No near-duplicate passages found'));
+      return;
+    }
+    
+    const conflicts = report.pairs.filter(pair => pair.conflict).length;
+    console.log(chalk.gray(`   ${report.pairs.length} pairs in ${report.clusters.length} clusters, ${conflicts} with conflicting values\n`));
+    
+    const limit = parseInt(options.limit) || report.clusters.length;
+    report.clusters.slice(0, limit).forEach(cluster => {
+      const label = cluster.conflict ? chalk.red('⚠️  conflict') : chalk.yellow('duplicate');
+      console.log(chalk.green(`Cluster ${cluster.id}: ${cluster.size} passages in ${cluster.documents.join(', ')} — ${label}`));
+      
+      cluster.pairs.forEach(pair => {
+        const kind = pair.identical ? 'identical' : `${Math.round(pair.similarity * 100)}% similar`;
+        console.log(chalk.gray(`\n   ${kind}`));
+        this.displaySideBySide(pair, '   ');
+        pair.differences.forEach(difference => {
+          console.log(chalk.red(`   ≠ ${difference.left || '∅'}`) + chalk.gray(' ↔ ') + chalk.green(difference.right || '∅'));
+        });
+      });
+      console.log();
+    });
+    
+    if (report.clusters.length > limit) {
+      const more = report.clusters.length - limit;
+      console.log(chalk.gray(`   … ${more} more cluster${more === 1 ? '' : 's'} (raise --limit or use --format json/csv)`));
+    }
+  }
+
+  // Two passages in columns, with removed words red on the left and added
+  // words green on the right
+  displaySideBySide(pair, indent) {
+    const width = Math.max(60, (process.stdout.columns || 100) - indent.length);
+    const columnWidth = Math.floor((width - 3) / 2);
+    
+    const wrap = (segments, side) => {
+      const words = [];
+      segments.forEach(segment => {
+        if (segment.type !== 'same' && segment.type !== side) return;
+        const color = segment.type === 'same' ? text => text : (side === 'removed' ? chalk.red : chalk.green);
+        segment.text.split(/\s+/).filter(word => word.length > 0).forEach(word => {
+          words.push({ text: word.slice(0, columnWidth), color });
+        });
+      });
+      
+      const lines = [];
+      let line = [];
+      let length = 0;
+      words.forEach(word => {
+        if (length > 0 && length + 1 + word.text.length > columnWidth) {
+          lines.push({ words: line, length });
+          line = [];
+          length = 0;
+        }
+        length += (length > 0 ? 1 : 0) + word.text.length;
+        line.push(word);
+      });
+      if (line.length > 0) lines.push({ words: line, length });
+      return lines.map(entry => ({
+        text: entry.words.map(word => word.color(word.text)).join(' '),
+        length: entry.length
+      }));
+    };
+    
+    const left = [{ text: chalk.cyan(pair.left.location.slice(0, columnWidth)), length: Math.min(pair.left.location.length, columnWidth) }, ...wrap(pair.diff, 'removed')];
+    const right = [{ text: chalk.cyan(pair.right.location.slice(0, columnWidth)), length: Math.min(pair.right.location.length, columnWidth) }, ...wrap(pair.diff, 'added')];
+    
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const leftLine = left[i] || { text: '', length: 0 };
+      const rightLine = right[i] || { text: '', length: 0 };
+      console.log(`${indent}${leftLine.text}${' '.repeat(columnWidth - leftLine.length)} ${chalk.gray('│')} ${rightLine.text}`);
+    }
+  }
+
+  async topicsCommand(options) {
+    const topicCount = options.topics !== undefined ? parseInt(options.topics) : undefined;
+    if (topicCount !== undefined && !(topicCount >= 1)) {
+      console.log(chalk.red('❌ --topics must be a positive number'));
+      process.exit(1);
+    }
+    
+    const searchEngine = await this.initializeSearchEngine(options.indexPath);
+    const spinner = options.json ? null : ora('🗺️  Clustering passages into topics...').start();
+    
+    let overview;
+    try {
+      overview = await searchEngine.getTopics({
+        k: topicCount,
+        keywords: parseInt(options.keywords) || 8,
+        examples: Math.max(0, parseInt(options.examples) || 0),
+        filter: this.buildSearchFilter(options)
+      });
+      if (spinner) spinner.stop();
+    } catch (error) {
+      if (spinner) spinner.fail('❌ Topic clustering failed');
+      console.log(chalk.red(error.message));
+      process.exit(1);
+    }
+    
+    if (options.json) {
+      console.log(JSON.stringify(overview, null, 2));
+      return;
+    }
+    
+    if (overview.totalChunks === 0) {
+      console.log(chalk.yellow('No indexed passages to cluster'));
+      return;
+    }
+    
+    console.log(chalk.blue(`🗺️  ${overview.topicCount} Topics in ${overview.totalChunks} Chunks\n`));
+    
+    const largest = overview.topics[0].size;
+    overview.topics.forEach(topic => {
+      const label = topic.keywords.map(keyword => keyword.term).join(', ') || '(no distinctive keywords)';
+      const bar = '█'.repeat(Math.max(1, Math.round((topic.size / largest) * 20)));
+      console.log(chalk.green(`${topic.id}. ${label}`));
+      console.log(`   ${chalk.cyan(bar)} ${topic.size} chunk${topic.size === 1 ? '' : 's'} (${Math.round(topic.share * 100)}%), cohesion ${topic.cohesion.toFixed(2)}`);
+      
+      const documents = topic.documents.map(entry => `${entry.document} (${entry.chunks})`);
+      const shown = documents.slice(0, 5).join(', ');
+      console.log(chalk.gray(`   Documents: ${shown}${documents.length > 5 ? `, … ${documents.length - 5} more` : ''}`));
+      
+      topic.examples.forEach(example => {
+        const text = example.text.replace(/\s+/g, ' ').trim();
+        console.log(chalk.gray(`   e.g. ${example.location}: "${text.length > 120 ? text.slice(0, 120) + '…' : text}"`));
+      });
+      console.log();
+    });
+  }
+
+  async coverageCommand(options) {
+    const formats = ['text', 'markdown', 'csv', 'json'];
+    if (!formats.includes(options.format)) {
+      console.log(chalk.red(`❌ Unknown format "${options.format}" (use ${formats.join(', ')})`));
+      process.exit(1);
+    }
+    
+    const source = { path: options.requirements, type: options.requirementsType, sheet: options.requirementsSheet };
+    const target = { path: options.tests, type: options.testsType, sheet: options.testsSheet };
+    if (!Object.values(source).some(Boolean) || !Object.values(target).some(Boolean)) {
+      console.log(chalk.red('❌ Specify the requirements (-r, --requirements-type or --requirements-sheet) and the tests (-T, --tests-type or --tests-sheet)'));
+      process.exit(1);
+    }
+    
+    const coveredThreshold = parseFloat(options.covered);
+    const weakThreshold = parseFloat(options.weak);
+    if (!(coveredThreshold > 0 && coveredThreshold <= 1) || !(weakThreshold >= 0 && weakThreshold <= coveredThreshold)) {
+      console.log(chalk.red('❌ Thresholds must satisfy 0 ≤ --weak ≤ --covered ≤ 1'));
+      process.exit(1);
+    }
+    
+    const searchEngine = await this.initializeSearchEngine(options.indexPath);
+    const spinner = options.format === 'text' || options.output ? ora('📋 Matching requirements against tests...').start() : null;
+    
+    let report;
+    try {
+      report = await searchEngine.checkCoverage({
+        source,
+        target,
+        coveredThreshold,
+        weakThreshold,
+        matches: parseInt(options.matches) || 3
+      });
+      if (spinner) spinner.stop();
+    } catch (error) {
+      if (spinner) spinner.fail('❌ Coverage check failed');
+      console.log(chalk.red(error.message));
+      process.exit(1);
+    }
+    
+    if (report.summary.requirements === 0 || report.summary.tests === 0) {
+      const missing = report.summary.requirements === 0 ? 'requirement' : 'test';
+      console.log(chalk.yellow(`⚠️  No indexed ${missing} chunks match the given ${missing} files`));
+      process.exit(1);
+    }
+    
+    if (options.format !== 'text') {
+      const output = options.format === 'json'
+        ? JSON.stringify(report, null, 2)
+        : options.format === 'csv' ? coverageToCsv(report) : coverageToMarkdown(report);
+      if (options.output) {
+        await fs.writeFile(options.output, output + '\n');
+        console.log(chalk.green(`✅ Wrote coverage of ${report.summary.requirements} requirements to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+      return;
+    }
+    
+    const { summary } = report;
+    console.log(chalk.blue('📋 Requirement Coverage\n'));
+    console.log(`   ${summary.requirements} requirement chunks checked against ${summary.tests} test chunks`);
+    console.log(`   ${chalk.green(`✅ ${summary.covered} covered`)}   ${chalk.yellow(`⚠️  ${summary.weak} weak`)}   ${chalk.red(`❌ ${summary.uncovered} uncovered`)}   ${chalk.bold(`${Math.round(summary.coverage * 100)}% coverage`)}\n`);
+    
+    const sections = [
+      { status: 'uncovered', title: '❌ Uncovered', color: chalk.red },
+      { status: 'weak', title: '⚠️  Weakly Covered', color: chalk.yellow },
+      { status: 'covered', title: '✅ Covered', color: chalk.green }
+    ];
+    sections.forEach(({ status, title, color }) => {
+      const requirements = report.requirements.filter(requirement => requirement.status === status);
+      if (requirements.length === 0) return;
+      
+      console.log(color(`${title} (${requirements.length})`));
+      requirements.forEach(requirement => {
+        const label = requirement.requirementIds.length > 0
+          ? `${requirement.requirementIds.join(', ')} (${requirement.location})`
+          : requirement.location;
+        console.log(`   ${chalk.cyan(label)} ${chalk.gray(`best ${requirement.score.toFixed(2)}`)}`);
+        if (status !== 'covered') {
+          const text = requirement.text.replace(/\s+/g, ' ').trim();
+          console.log(chalk.gray(`      "${text.length > 120 ? text.slice(0, 120) + '…' : text}"`));
+        }
+        requirement.matches.forEach(match => {
+          const score = match.linkedIds.length > 0 ? `linked by ${match.linkedIds.join(', ')}` : match.score.toFixed(2);
+          console.log(chalk.gray(`      → ${match.location} (${score})`));
+        });
+      });
+      console.log();
+    });
+  }
+
+  // Search settings for an evaluation run from eval's options
+  buildEvalConfig(options) {
+    if (!SEARCH_MODES.includes(options.mode)) {
+      console.log(chalk.red(`❌ Unknown search mode "${options.mode}" (use ${SEARCH_MODES.join(', ')})`));
+      process.exit(1);
+    }
+    const { collapse, mmrLambda } = this.buildRankingOptions(options);
+    return {
+      indexPath: options.indexPath,
+      mode: options.mode,
+      hybridWeight: parseFloat(options.hybridWeight),
+      minScore: parseFloat(options.minScore),
+      collapse,
+      mmrLambda,
+      filter: this.buildSearchFilter(options)
+    };
+  }
+
+  // The comparison configuration: the base one with --compare-index and the
+  // settings from --compare-config ({ "indexPath", "mode", "hybridWeight",
+  // "minScore", "collapse", "mmrLambda", "filter" }) applied on top
+  async buildCompareConfig(baseConfig, options) {
+    let overrides = {};
+    if (options.compareConfig) {
+      try {
+        overrides = JSON.parse(await fs.readFile(options.compareConfig, 'utf-8'));
+      } catch (error) {
+        console.log(chalk.red(`❌ Could not read ${options.compareConfig}: ${error.message}`));
+        process.exit(1);
+      }
+      const allowed = ['indexPath', 'mode', 'hybridWeight', 'minScore', 'collapse', 'mmrLambda', 'filter'];
+      const unknown = Object.keys(overrides).filter(key => !allowed.includes(key));
+      if (unknown.length > 0) {
+        console.log(chalk.red(`❌ Unknown settings in ${options.compareConfig}: ${unknown.join(', ')} (use ${allowed.join(', ')})`));
+        process.exit(1);
+      }
+      if (overrides.indexPath) {
+        overrides.indexPath = path.resolve(path.dirname(options.compareConfig), overrides.indexPath);
+      }
+    }
+    
+    const config = {
+      ...baseConfig,
+      ...(options.compareIndex ? { indexPath: options.compareIndex } : {}),
+      ...overrides
+    };
+    if (!SEARCH_MODES.includes(config.mode)) {
+      console.log(chalk.red(`❌ Unknown search mode "${config.mode}" in ${options.compareConfig}`));
+      process.exit(1);
+    }
+    return config;
+  }
+
+  describeEvalConfig(config) {
+    const parts = [config.indexPath, config.mode === 'hybrid' ? `hybrid (${config.hybridWeight})` : config.mode];
+    if (!config.collapse) parts.push('no collapse');
+    if (config.mmrLambda !== null && config.mmrLambda !== undefined) parts.push(`mmr ${config.mmrLambda}`);
+    if (config.minScore > 0) parts.push(`min score ${config.minScore}`);
+    return parts.join(' · ');
+  }
+
+  async runEvaluation(judgments, config, k, concurrency) {
+    const searchEngine = await this.initializeSearchEngine(config.indexPath);
+    const stats = await searchEngine.getStats();
+    if (stats.totalChunks === 0) {
+      console.log(chalk.red(`❌ No documents in index ${config.indexPath}. Run "requirements-search index" first.`));
+      process.exit(1);
+    }
+    return searchEngine.evaluate(judgments, {
+      k,
+      concurrency,
+      mode: config.mode,
+      hybridWeight: config.hybridWeight,
+      minScore: config.minScore,
+      collapse: config.collapse,
+      mmrLambda: config.mmrLambda,
+      filter: config.filter
+    });
+  }
+
+  async evalCommand(judgmentsFile, options) {
+    let judgments;
+    try {
+      judgments = parseJudgments(await fs.readFile(judgmentsFile, 'utf-8'), judgmentsFile);
+    } catch (error) {
+      console.log(chalk.red(`❌ Could not read ${judgmentsFile}: ${error.message}`));
+      process.exit(1);
+    }
+    if (judgments.length === 0) {
+      console.log(chalk.red(`❌ No judgments in ${judgmentsFile}`));
+      process.exit(1);
+    }
+    
+    const k = parseInt(options.k);
+    if (!(k > 0)) {
+      console.log(chalk.red('❌ -k must be a positive number'));
+      process.exit(1);
+    }
+    const concurrency = Math.max(1, parseInt(options.concurrency) || 1);
+    
+    const baseConfig = this.buildEvalConfig(options);
+    const compareConfig = options.compareIndex || options.compareConfig
+      ? await this.buildCompareConfig(baseConfig, options)
+      : null;
+    
+    const spinner = options.json ? null : ora(`📏 Evaluating ${judgments.length} queries...`).start();
+    let baseline;
+    let candidate = null;
+    try {
+      baseline = await this.runEvaluation(judgments, baseConfig, k, concurrency);
+      if (compareConfig) {
+        if (spinner) spinner.text = `📏 Evaluating ${judgments.length} queries with the comparison settings...`;
+        candidate = await this.runEvaluation(judgments, compareConfig, k, concurrency);
+      }
+      if (spinner) spinner.stop();
+    } catch (error) {
+      if (spinner) spinner.fail('❌ Evaluation failed');
+      console.log(chalk.red(error.message));
+      process.exit(1);
+    }
+    
+    const comparison = candidate ? compareEvaluations(baseline, candidate) : null;
+    
+    if (options.json) {
+      const output = { config: baseConfig, ...baseline };
+      console.log(JSON.stringify(comparison
+        ? { baseline: output, candidate: { config: compareConfig, ...candidate }, comparison }
+        : output, null, 2));
+      return;
+    }
+    
+    this.displayEvaluation(baseline, baseConfig, judgments.length, compareConfig ? 'Baseline' : null);
+    if (comparison) {
+      this.displayEvaluation(candidate, compareConfig, judgments.length, 'Candidate');
+      this.displayComparison(baseline, candidate, comparison);
+    }
+  }
+
+  displayEvaluation(report, config, queryCount, label) {
+    const title = label ? `${label}: ` : '';
+    console.log(chalk.blue(`📏 ${title}Retrieval Evaluation (${queryCount} queries, k=${report.k})`));
+    console.log(chalk.gray(`   ${this.describeEvalConfig(config)}`));
+    console.log(`   recall@${report.k} ${chalk.bold(report.metrics.recall.toFixed(3))}   MRR ${chalk.bold(report.metrics.mrr.toFixed(3))}   nDCG@${report.k} ${chalk.bold(report.metrics.ndcg.toFixed(3))}\n`);
+    
+    if (report.failures.length === 0) {
+      console.log(chalk.green('✅ Every expected target was found\n'));
+      return;
+    }
+    
+    console.log(chalk.red(`❌ Failures (${report.failures.length})`));
+    report.failures.forEach(failure => {
+      const firstHit = failure.firstRelevantRank ? `first hit #${failure.firstRelevantRank}` : 'no hits';
+      console.log(`   ${chalk.cyan(failure.id)} "${failure.query}" ${chalk.gray(`recall ${failure.recall.toFixed(2)}, ${firstHit}`)}`);
+      if (failure.error) {
+        console.log(chalk.red(`      error: ${failure.error}`));
+        return;
+      }
+      failure.missing.forEach(target => console.log(chalk.yellow(`      missing ${target}`)));
+      failure.results.slice(0, 3).forEach(result => {
+        const marker = result.relevant ? chalk.green('✓') : chalk.gray('·');
+        console.log(chalk.gray(`      ${marker} ${result.rank}. ${result.location} (${result.score.toFixed(2)})`));
+      });
+    });
+    console.log();
+  }
+
+  displayComparison(baseline, candidate, comparison) {
+    const k = baseline.k;
+    const formatDelta = delta => {
+      const text = `${delta >= 0 ? '+' : ''}${delta.toFixed(3)}`;
+      return delta > 0 ? chalk.green(text) : delta < 0 ? chalk.red(text) : chalk.gray(text);
+    };
+    
+    console.log(chalk.blue('📊 Comparison (candidate vs baseline)'));
+    [['recall', `recall@${k}`], ['mrr', 'MRR'], ['ndcg', `nDCG@${k}`]].forEach(([metric, name]) => {
+      console.log(`   ${name.padEnd(10)} ${baseline.metrics[metric].toFixed(3)} → ${candidate.metrics[metric].toFixed(3)}  ${formatDelta(comparison.deltas[metric])}`);
+    });
+    
+    [['improved', '⬆️  Improved', chalk.green], ['regressed', '⬇️  Regressed', chalk.red]].forEach(([key, title, color]) => {
+      const changes = comparison[key];
+      if (changes.length === 0) return;
+      console.log(color(`\n${title} (${changes.length})`));
+      changes.forEach(change => {
+        console.log(`   ${chalk.cyan(change.id)} "${change.query}" ${chalk.gray(`nDCG ${change.baseline.toFixed(2)} → ${change.candidate.toFixed(2)}`)}`);
+      });
+    });
+    console.log();
+  }
+
+  async traceCommand(id, options) {
+    const formats = ['text', 'json', 'dot'];
+    if (!formats.includes(options.format)) {
+      console.log(chalk.red(`❌ Unknown format "${options.format}" (use ${formats.join(', ')})`));
+      process.exit(1);
+    }
+    const depth = parseInt(options.depth);
+    if (!(depth >= 1)) {
+      console.log(chalk.red('❌ --depth must be at least 1'));
+      process.exit(1);
+    }
+    
+    const config = await this.loadProjectConfig();
+    const searchEngine = await this.initializeSearchEngine(options.indexPath);
+    
+    let trace;
+    try {
+      searchEngine.setExtractionOptions({ idPatterns: config.idPatterns || null });
+      trace = await searchEngine.trace(id, { depth });
+    } catch (error) {
+      console.log(chalk.red(`❌ Trace failed: ${error.message}`));
+      process.exit(1);
+    }
+    
+    if (options.format !== 'text') {
+      const output = options.format === 'json'
+        ? JSON.stringify(trace, null, 2)
+        : TraceGraph.toDot(trace.graph, trace.id);
+      if (options.output) {
+        await fs.writeFile(options.output, output + '\n');
+        console.log(chalk.green(`✅ Wrote ${options.format.toUpperCase()} trace of ${trace.id} to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+      return;
+    }
+    
+    console.log(chalk.blue(`🔗 Trace: ${trace.id}\n`));
+    
+    if (!trace.found) {
+      console.log(chalk.yellow(`⚠️  ${trace.id} does not appear in any indexed document`));
+      return;
+    }
+    
+    console.log(chalk.green(`📌 Defined in (${trace.definitions.length}):`));
+    if (trace.definitions.length === 0) {
+      console.log(chalk.gray('   (no defining section or row found)'));
+    }
+    trace.definitions.forEach(ref => {
+      console.log(chalk.gray(`   ${this.describeLocation(ref)}`));
+    });
+    
+    console.log(chalk.green(`\n📄 Referenced in (${trace.mentions.length}):`));
+    trace.mentions.forEach(ref => {
+      const owner = ref.definedIds.length > 0 ? ` [${ref.definedIds.join(', ')}]` : '';
+      console.log(chalk.gray(`   ${this.describeLocation(ref)}${owner}`));
+    });
+    
+    if (trace.linksTo.length > 0) {
+      console.log(chalk.green(`\n➡️  References: ${trace.linksTo.map(link => link.id).join(', ')}`));
+    }
+    if (trace.linkedFrom.length > 0) {
+      console.log(chalk.green(`⬅️  Referenced by: ${trace.linkedFrom.map(link => link.id).join(', ')}`));
+    }
+    if (trace.graph.nodes.length > 1 && depth > 1) {
+      console.log(chalk.gray(`\n🕸️  ${trace.graph.nodes.length} IDs within ${depth} links (use --format dot to draw them)`));
+    }
+  }
+
+  // "spec.docx › Security > 3.1 Login", "tests.xlsx › Sheet Tests, Row 5", ...
+  describeLocation(ref) {
+    const parts = [];
+    if (ref.sheet) parts.push(`Sheet ${ref.sheet}, Row ${ref.row}`);
+    else if (ref.row) parts.push(`Row ${ref.row}`);
+    if (ref.slide) parts.push(`Slide ${ref.slide}`);
+    if (ref.jsonPath) parts.push(ref.jsonPath);
+    if (ref.pageStart) parts.push(`Page ${formatPageRange(ref.pageStart, ref.pageEnd)}`);
+    if (ref.headingPath) parts.push(ref.headingPath);
+    if (parts.length === 0) parts.push(`chunk ${ref.chunkIndex}`);
+    return `${ref.relativePath || ref.fileName} › ${parts.join(', ')}`;
+  }
+
+  async serveCommand(options) {
+    const port = parseInt(options.port);
+    if (!(port >= 0 && port <= 65535)) {
+      console.log(chalk.red('❌ --port must be between 0 and 65535'));
+      process.exit(1);
+    }
+    
+    await this.loadExtractorPlugins(options.plugin, options.debug);
+    const config = await this.loadProjectConfig();
+    const searchEngine = await this.initializeSearchEngine(options.indexPath, options.debug);
+    
+    try {
+      searchEngine.setExtractionOptions({ idPatterns: config.idPatterns || null });
+      searchEngine.setDocumentRoot(config.documentRoot, options.docsRoot);
+      await searchEngine.resolveDocumentRoot();
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+    
+    const apiKey = options.apiKey || process.env.SEARCH_API_KEY || null;
+    const corsOrigins = options.corsOrigin
+      ? options.corsOrigin.split(',').map(origin => origin.trim()).filter(origin => origin.length > 0)
+      : [];
+    const server = new SearchApiServer(searchEngine, {
+      apiKey,
+      corsOrigins,
+      docsRoot: options.docsRoot,
+      version: this.program.version()
+    });
+    
+    let address;
+    try {
+      address = await server.listen(port, options.host);
+    } catch (error) {
+      console.log(chalk.red(`❌ Failed to start server: ${error.message}`));
+      process.exit(1);
+    }
+    
+    console.log(chalk.blue('🌐 Requirements Search API\n'));
+    console.log(chalk.green(`📍 Listening on http://${options.host}:${address.port}`));
+    console.log(chalk.green(`📚 Index: ${path.resolve(options.indexPath)}`));
+    console.log(chalk.green(`📂 Documents root: ${server.docsRoot}`));
+    console.log(chalk.green(`📖 OpenAPI: http://${options.host}:${address.port}/openapi.json`));
+    console.log(chalk.gray(`   API key: ${apiKey ? 'required' : 'not required'}`));
+    console.log(chalk.gray(`   CORS origins: ${corsOrigins.length > 0 ? corsOrigins.join(', ') : 'none'}`));
+    if (!apiKey && !['127.0.0.1', 'localhost', '::1'].includes(options.host)) {
+      console.log(chalk.yellow('⚠️  Listening on a public interface without an API key'));
+    }
+    
+    const shutdown = async () => {
+      console.log(chalk.gray('\n👋 Shutting down...'));
+      await server.close();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  }
+
+  async statusCommand(options) {
+    const searchEngine = await this.initializeSearchEngine(options.indexPath);
+    
+    try {
+      const stats = await searchEngine.getStats();
+      
+      console.log(chalk.blue('📊 Index Status\n'));
+      console.log(chalk.green(`📍 Index Location: ${stats.indexPath}`));
+      if (stats.documentRoot) {
+        console.log(chalk.green(`📂 Document Root: ${stats.documentRoot}`));
+      }
+      console.log(chalk.green(`📚 Total Documents: ${stats.totalDocuments}`));
+      console.log(chalk.green(`📄 Total Chunks: ${stats.totalChunks}`));
+      if (stats.embedding) {
+        console.log(chalk.green(`🧠 Embeddings: ${stats.embedding.provider} / ${stats.embedding.model} (${stats.embedding.dimensions} dimensions)`));
+      }
+      if (stats.cache) {
+        console.log(chalk.green(`💾 Embedding Cache: ${stats.cache.entries} entries, ${this.formatBytes(stats.cache.sizeBytes)}, ${(stats.cache.hitRate * 100).toFixed(1)}% hit rate (${stats.cache.hits} hits / ${stats.cache.misses} misses)`));
+      }
+      
+      if (stats.documents.length > 0) {
         console.log(chalk.blue('\n📋 Indexed Documents:'));
         stats.documents.forEach((doc, index) => {
           console.log(chalk.gray(`   ${index + 1}. ${doc}`));
@@ -528,6 +1988,166 @@ class RequirementsCLI {
     }
   }
 
+  async listCommand(options) {
+    const searchEngine = await this.initializeSearchEngine(options.indexPath);
+    
+    let documents;
+    try {
+      documents = options.path
+        ? await searchEngine.matchDocuments(options.path)
+        : await searchEngine.listDocuments();
+    } catch (error) {
+      console.log(chalk.red(`❌ Failed to list documents: ${error.message}`));
+      process.exit(1);
+    }
+    
+    if (options.json) {
+      console.log(JSON.stringify(documents, null, 2));
+      return;
+    }
+    
+    console.log(chalk.blue('📋 Indexed Documents\n'));
+    
+    if (documents.length === 0) {
+      console.log(chalk.yellow(options.path ? `📭 No indexed documents match ${options.path}` : '📭 No documents indexed yet'));
+      return;
+    }
+    
+    documents.forEach((document, index) => {
+      const details = [
+        document.type || 'unknown type',
+        `${document.chunks} chunk${document.chunks === 1 ? '' : 's'}`,
+        ...(document.size !== null ? [this.formatBytes(document.size)] : []),
+        ...(document.indexedAt ? [`indexed ${new Date(document.indexedAt).toLocaleString()}`] : [])
+      ];
+      console.log(chalk.green(`${index + 1}. ${document.relativePath || path.relative(process.cwd(), document.path)}`));
+      console.log(chalk.gray(`   ${details.join(' · ')}`));
+      if (document.tags) {
+        console.log(chalk.gray(`   🏷️  ${Object.entries(document.tags).map(([key, value]) => `${key}=${value}`).join(', ')}`));
+      }
+    });
+    
+    const totalChunks = documents.reduce((sum, document) => sum + document.chunks, 0);
+    console.log(chalk.blue(`\n📚 ${documents.length} documents, ${totalChunks} chunks`));
+  }
+
+  async removeCommand(file, options) {
+    const searchEngine = await this.initializeSearchEngine(options.indexPath);
+    
+    let documents;
+    try {
+      documents = await searchEngine.matchDocuments(file);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+    
+    if (documents.length === 0) {
+      console.log(chalk.yellow(`⚠️  No indexed documents match ${file}`));
+      console.log(chalk.gray('   Use "list" to see the indexed paths'));
+      process.exit(1);
+    }
+    
+    const totalChunks = documents.reduce((sum, document) => sum + document.chunks, 0);
+    console.log(chalk.blue(`🗑️  ${documents.length} matching document${documents.length === 1 ? '' : 's'} (${totalChunks} chunks):`));
+    documents.forEach(document => {
+      console.log(chalk.gray(`   ${path.relative(process.cwd(), document.path) || document.path} (${document.chunks} chunk${document.chunks === 1 ? '' : 's'})`));
+    });
+    
+    if (options.dryRun) {
+      console.log(chalk.blue('\n🔍 Dry run complete - nothing was removed'));
+      return;
+    }
+    
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: `Remove ${documents.length} document${documents.length === 1 ? '' : 's'} from the index?`,
+        default: false
+      }]);
+      
+      if (!confirm) {
+        console.log(chalk.yellow('📋 Remove operation cancelled'));
+        return;
+      }
+    }
+    
+    const spinner = ora('🗑️  Removing documents...').start();
+    try {
+      const removed = await searchEngine.removeDocuments(file);
+      const chunksRemoved = removed.reduce((sum, result) => sum + result.chunksRemoved, 0);
+      spinner.succeed(`✅ Removed ${removed.length} document${removed.length === 1 ? '' : 's'} (${chunksRemoved} chunks)`);
+    } catch (error) {
+      spinner.fail('❌ Failed to remove documents');
+      console.log(chalk.red(error.message));
+      process.exit(1);
+    }
+  }
+
+  // Indexes built before path-based document ids are upgraded before indexing
+  async migrateIfNeeded(searchEngine) {
+    if (!(await searchEngine.needsMigration())) {
+      return;
+    }
+    
+    const spinner = ora('🔧 Upgrading index to path-based document ids...').start();
+    try {
+      const result = await searchEngine.migrateIndex();
+      spinner.succeed(`✅ Upgraded ${result.chunksMigrated} chunks of ${result.documentsMigrated} documents (document root: ${result.documentRoot})`);
+    } catch (error) {
+      spinner.fail('❌ Failed to upgrade index');
+      console.log(chalk.red(error.message));
+      process.exit(1);
+    }
+  }
+
+  async migrateCommand(options) {
+    const config = await this.loadProjectConfig();
+    const searchEngine = await this.initializeSearchEngine(options.indexPath);
+    const spinner = ora('🔧 Migrating index...').start();
+    
+    try {
+      const result = await searchEngine.migrateIndex({ root: options.root || config.documentRoot });
+      spinner.succeed('✅ Migration complete');
+      
+      if (result.previousDocumentRoot && result.previousDocumentRoot !== result.documentRoot) {
+        console.log(chalk.green(`📂 Document root: ${result.previousDocumentRoot} → ${result.documentRoot}`));
+      } else {
+        console.log(chalk.green(`📂 Document root: ${result.documentRoot}`));
+      }
+      console.log(chalk.green(`📚 Documents updated: ${result.documentsMigrated}`));
+      console.log(chalk.green(`📄 Chunks updated: ${result.chunksMigrated}`));
+      if (result.chunksMigrated === 0) {
+        console.log(chalk.gray('   The index was already up to date'));
+      }
+    } catch (error) {
+      spinner.fail('❌ Migration failed');
+      console.log(chalk.red(error.message));
+      process.exit(1);
+    }
+  }
+
+  async cachePruneCommand(options) {
+    const searchEngine = await this.initializeSearchEngine(options.indexPath);
+    const spinner = ora('🧹 Pruning embedding cache...').start();
+    
+    try {
+      const result = await searchEngine.pruneEmbeddingCache();
+      spinner.succeed(`✅ Removed ${result.removed} unreferenced cache entries`);
+      console.log(chalk.green(`💾 Remaining: ${result.entries} entries, ${this.formatBytes(result.sizeBytes)}`));
+    } catch (error) {
+      spinner.fail('❌ Failed to prune cache');
+      console.log(chalk.red(error.message));
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
   async clearCommand(options) {
     if (!options.yes) {
       const { confirm } = await inquirer.prompt([{
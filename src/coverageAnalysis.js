@@ -0,0 +1,185 @@
+const { dot, norm } = require('./vectorMath');
+const { summarizeChunk, toCsv } = require('./resultProcessing');
+
+// Requirement coverage: every requirement chunk (a source item) is compared
+// with every test chunk (a target item) using the stored vectors, and its
+// best matches decide whether it is covered. A test that names one of the
+// requirement IDs the chunk defines, or that defines an ID the requirement
+// names ("REQ-103 ... See TC-88" and a TC-88 test row), is an explicit link
+// and counts as covering it whatever the similarity.
+//
+// Statuses:
+//   covered   - explicitly linked, or best similarity >= covered threshold
+//   weak      - best similarity >= weak threshold
+//   uncovered - nothing close enough
+//
+// Similarities depend on the embedding model; the defaults suit OpenAI's
+// text-embedding-3 models, where a requirement and a test written for it
+// typically score 0.6 or more.
+
+const DEFAULT_COVERED_THRESHOLD = 0.6;
+const DEFAULT_WEAK_THRESHOLD = 0.45;
+
+const STATUSES = ['covered', 'weak', 'uncovered'];
+
+const normalize = vector => {
+  const length = norm(vector);
+  return length > 0 ? vector.map(value => value / length) : vector;
+};
+
+// Coverage report: { thresholds, summary, requirements }, requirements in
+// index order, each with its status, best score and its `matches` closest
+// tests (also for uncovered requirements, as a starting point for review)
+function analyzeCoverage(sourceItems, targetItems, options = {}) {
+  const {
+    coveredThreshold = DEFAULT_COVERED_THRESHOLD,
+    weakThreshold = DEFAULT_WEAK_THRESHOLD,
+    matches: matchCount = 3
+  } = options;
+
+  const targets = targetItems.map(item => ({
+    item,
+    vector: normalize(item.vector),
+    ids: new Set(item.metadata.ids || []),
+    definedIds: new Set(item.metadata.definedIds || [])
+  }));
+
+  const requirements = sourceItems.map(item => {
+    const vector = normalize(item.vector);
+    const definedIds = item.metadata.definedIds || [];
+    const referencedIds = (item.metadata.ids || []).filter(id => !definedIds.includes(id));
+
+    const candidates = targets
+      .filter(target => target.item.id !== item.id)
+      .map(target => ({
+        target,
+        score: dot(vector, target.vector),
+        linkedIds: [
+          ...definedIds.filter(id => target.ids.has(id)),
+          ...referencedIds.filter(id => target.definedIds.has(id))
+        ]
+      }));
+
+    const best = candidates.reduce((max, candidate) => Math.max(max, candidate.score), 0);
+    const linked = candidates.some(candidate => candidate.linkedIds.length > 0);
+    const status = linked || best >= coveredThreshold
+      ? 'covered'
+      : best >= weakThreshold ? 'weak' : 'uncovered';
+
+    // Linked tests first, then the closest ones
+    const topMatches = candidates
+      .sort((a, b) => b.linkedIds.length - a.linkedIds.length || b.score - a.score)
+      .slice(0, matchCount)
+      .map(candidate => ({
+        ...summarizeChunk(candidate.target.item),
+        score: candidate.score,
+        linkedIds: candidate.linkedIds
+      }));
+
+    return {
+      ...summarizeChunk(item),
+      requirementIds: definedIds,
+      status,
+      score: best,
+      linked,
+      matches: topMatches
+    };
+  });
+
+  const counts = Object.fromEntries(STATUSES.map(status => [
+    status,
+    requirements.filter(requirement => requirement.status === status).length
+  ]));
+
+  return {
+    thresholds: { covered: coveredThreshold, weak: weakThreshold },
+    summary: {
+      requirements: requirements.length,
+      tests: targetItems.length,
+      ...counts,
+      coverage: requirements.length > 0 ? counts.covered / requirements.length : 0
+    },
+    requirements
+  };
+}
+
+const requirementLabel = requirement => requirement.requirementIds.length > 0
+  ? requirement.requirementIds.join(', ')
+  : requirement.location;
+
+const oneLine = (text, maxLength) => {
+  const line = (text || '').replace(/\s+/g, ' ').trim();
+  return line.length > maxLength ? `${line.slice(0, maxLength)}…` : line;
+};
+
+// One CSV row per requirement with its best match
+function coverageToCsv(report) {
+  const rows = [[
+    'status', 'score', 'requirement_ids', 'requirement_document', 'requirement_location', 'requirement_text',
+    'linked', 'best_match_document', 'best_match_location', 'best_match_score', 'best_match_text', 'other_matches'
+  ]];
+
+  report.requirements.forEach(requirement => {
+    const [best, ...others] = requirement.matches;
+    rows.push([
+      requirement.status,
+      requirement.score.toFixed(3),
+      requirement.requirementIds.join('; '),
+      requirement.relativePath || requirement.fileName,
+      requirement.location,
+      requirement.text,
+      requirement.linked,
+      best ? best.relativePath || best.fileName : '',
+      best ? best.location : '',
+      best ? best.score.toFixed(3) : '',
+      best ? best.text : '',
+      others.map(match => `${match.location} (${match.score.toFixed(2)})`).join('; ')
+    ]);
+  });
+
+  return toCsv(rows);
+}
+
+// Markdown report: summary table, then uncovered, weak and covered
+// requirements, each with its closest tests
+function coverageToMarkdown(report) {
+  const { summary, thresholds } = report;
+  const escape = text => text.replace(/\|/g, '\\|');
+  const lines = [
+    '# Requirement Coverage',
+    '',
+    `${summary.requirements} requirements checked against ${summary.tests} test chunks ` +
+      `(covered: similarity ≥ ${thresholds.covered} or linked by ID; weak: ≥ ${thresholds.weak}).`,
+    '',
+    '| Status | Requirements |',
+    '| --- | ---: |',
+    ...STATUSES.map(status => `| ${status} | ${summary[status]} |`),
+    `| **coverage** | **${Math.round(summary.coverage * 100)}%** |`
+  ];
+
+  const headings = { uncovered: 'Uncovered', weak: 'Weakly Covered', covered: 'Covered' };
+  ['uncovered', 'weak', 'covered'].forEach(status => {
+    const requirements = report.requirements.filter(requirement => requirement.status === status);
+    if (requirements.length === 0) return;
+
+    lines.push('', `## ${headings[status]} (${requirements.length})`, '');
+    lines.push('| Requirement | Score | Text | Best matching tests |', '| --- | ---: | --- | --- |');
+    requirements.forEach(requirement => {
+      const tests = requirement.matches
+        .map(match => `${match.location} (${match.linkedIds.length > 0 ? 'linked' : match.score.toFixed(2)})`)
+        .join('<br>');
+      lines.push(`| ${escape(requirementLabel(requirement))} | ${requirement.score.toFixed(2)} | ` +
+        `${escape(oneLine(requirement.text, 200))} | ${escape(tests || '—')} |`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_COVERED_THRESHOLD,
+  DEFAULT_WEAK_THRESHOLD,
+  analyzeCoverage,
+  coverageToCsv,
+  coverageToMarkdown
+};
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Documents are identified by their path relative to the index's document
+// root (recorded in the manifest), so billing/overview.docx and
+// auth/overview.docx are different documents. Relative paths always use
+// forward slashes, and the document id is a short hash of the relative path:
+// stable across re-indexing and across machines that check the documents out
+// to a different place.
+
+function relativeDocumentPath(filePath, root) {
+  return path.relative(root, path.resolve(filePath)).split(path.sep).join('/');
+}
+
+function documentIdFor(relativePath) {
+  return crypto.createHash('sha1').update(relativePath).digest('hex').slice(0, 12);
+}
+
+function describeDocument(filePath, root) {
+  const relativePath = relativeDocumentPath(filePath, root);
+  return { relativePath, documentId: documentIdFor(relativePath) };
+}
+
+// Chunk ids: "<document id>_chunk_<n>", or "<document id>_<part>_chunk<n>"
+// for files made of several records (rows, slides, JSON items)
+function chunkIdFor(documentId, part, chunkIndex) {
+  return part
+    ? `${documentId}_${part}_chunk${chunkIndex}`
+    : `${documentId}_chunk_${chunkIndex}`;
+}
+
+module.exports = {
+  relativeDocumentPath,
+  documentIdFor,
+  describeDocument,
+  chunkIdFor
+};
@@ -0,0 +1,264 @@
+const { dot, norm } = require('./vectorMath');
+const { summarizeChunk, toCsv } = require('./resultProcessing');
+const { createIdExtractor } = require('./requirementIds');
+
+// Near-duplicate requirements across documents. Every pair of chunk vectors
+// is compared (cosine similarity); pairs above the threshold are linked, and
+// linked chunks form clusters (connected components). For each pair a word
+// diff shows what changed, and pairs whose differences involve numbers,
+// negations or modal verbs ("5 attempts" vs "3 attempts", "shall" vs "may")
+// are flagged as conflicts rather than plain duplicates. Requirement IDs are
+// not numbers in this sense: REQ-102 restated as REQ-201 is a duplicate.
+//
+// The comparison is all-pairs, so time grows with the square of the number
+// of chunks; narrow large indexes with a filter.
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'none', 'without', 'cannot']);
+const MODALS = new Set(['shall', 'must', 'should', 'may', 'can', 'will', 'might', 'optional', 'mandatory', 'required']);
+
+// Words, numbers (with decimals, units and separators kept together) and
+// punctuation (runs like "##" or "..." kept together)
+const tokenize = text => text.match(/\d+(?:[.,:]\d+)*%?|[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*|([^\s\p{L}\p{N}])\1*/gu) || [];
+
+const normalizeToken = token => token.toLowerCase();
+
+// Word-level diff of two texts as [{ type: 'same' | 'removed' | 'added', text }],
+// from the longest common subsequence of their tokens
+function diffWords(left, right) {
+  const a = tokenize(left);
+  const b = tokenize(right);
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const lengths = new Uint16Array(rows * cols);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = normalizeToken(a[i]) === normalizeToken(b[j])
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, token) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      segments.push({ type, tokens: [token] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (normalizeToken(a[i]) === normalizeToken(b[j])) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return segments.map(segment => ({ type: segment.type, text: joinTokens(segment.tokens) }));
+}
+
+// Tokens back to readable text: no space before closing punctuation
+function joinTokens(tokens) {
+  return tokens.reduce((text, token) => {
+    if (text.length === 0) return token;
+    return /^[.,;:!?)\]}%]$/.test(token) || /[([{]$/.test(text) ? text + token : `${text} ${token}`;
+  }, '');
+}
+
+// Whether changed text holds a number, negation or modal, once requirement
+// ID tokens (whose digits are not values) are set aside
+const isSignificant = (text, idExtractor) => tokenize(text)
+  .filter(token => !idExtractor.isId(token))
+  .some(token => {
+    const lower = normalizeToken(token);
+    return /\d/.test(token) || NEGATIONS.has(lower) || MODALS.has(lower);
+  });
+
+// Changed passages that alter meaning: a removed run and the added run that
+// replaces it (or either alone) containing numbers, negations or modals
+function findConflicts(segments, idExtractor = createIdExtractor()) {
+  const differences = [];
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (segment.type === 'same') continue;
+
+    let left = '';
+    let right = '';
+    if (segment.type === 'removed') {
+      left = segment.text;
+      if (segments[i + 1] && segments[i + 1].type === 'added') {
+        right = segments[i + 1].text;
+        i++;
+      }
+    } else {
+      right = segment.text;
+    }
+
+    if (isSignificant(left, idExtractor) || isSignificant(right, idExtractor)) {
+      differences.push({ left, right });
+    }
+  }
+
+  return differences;
+}
+
+const documentKey = item => item.metadata.filePath || item.metadata.fileName;
+
+// Pairs of chunks with similarity >= threshold, most similar first.
+// options.sameFile also compares chunks within one document.
+function findSimilarPairs(items, { threshold = 0.9, sameFile = false } = {}) {
+  const normalized = items.map(item => {
+    const length = norm(item.vector);
+    return length > 0 ? item.vector.map(value => value / length) : item.vector;
+  });
+
+  const pairs = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (!sameFile && documentKey(items[i]) === documentKey(items[j])) continue;
+      const similarity = dot(normalized[i], normalized[j]);
+      if (similarity >= threshold) {
+        pairs.push({ i, j, similarity: Math.min(similarity, 1) });
+      }
+    }
+  }
+
+  return pairs.sort((a, b) => b.similarity - a.similarity);
+}
+
+// Connected components of the pair graph, as arrays of item indexes
+function clusterPairs(pairs) {
+  const parent = new Map();
+  const find = x => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  const union = (x, y) => {
+    [x, y].forEach(node => {
+      if (!parent.has(node)) parent.set(node, node);
+    });
+    const rootX = find(x);
+    const rootY = find(y);
+    if (rootX !== rootY) parent.set(rootY, rootX);
+  };
+
+  pairs.forEach(pair => union(pair.i, pair.j));
+
+  const components = new Map();
+  parent.forEach((value, node) => {
+    const root = find(node);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(node);
+  });
+  return [...components.values()];
+}
+
+// Duplicate report for items ({ id, vector, metadata } as stored in the index):
+// { pairs, clusters }, each pair with both chunks, a diff and any conflicting
+// differences, each cluster with its chunks, documents and pairs.
+// options.idExtractor recognizes requirement IDs (default patterns otherwise).
+function detectDuplicates(items, options = {}) {
+  const { threshold = 0.9, sameFile = false, conflictsOnly = false, idExtractor = createIdExtractor() } = options;
+
+  const similar = findSimilarPairs(items, { threshold, sameFile });
+  const pairs = similar.map(({ i, j, similarity }) => {
+    const left = items[i];
+    const right = items[j];
+    const diff = diffWords(left.metadata.text, right.metadata.text);
+    const differences = findConflicts(diff, idExtractor);
+    return {
+      i,
+      j,
+      similarity,
+      identical: diff.every(segment => segment.type === 'same'),
+      conflict: differences.length > 0,
+      differences,
+      left: summarizeChunk(left),
+      right: summarizeChunk(right),
+      diff
+    };
+  }).filter(pair => !conflictsOnly || pair.conflict);
+
+  const clusters = clusterPairs(pairs)
+    .map(members => {
+      const memberSet = new Set(members);
+      const clusterPairList = pairs.filter(pair => memberSet.has(pair.i));
+      const chunks = members.map(index => summarizeChunk(items[index]));
+      return {
+        size: chunks.length,
+        maxSimilarity: Math.max(...clusterPairList.map(pair => pair.similarity)),
+        conflict: clusterPairList.some(pair => pair.conflict),
+        documents: [...new Set(chunks.map(chunk => chunk.relativePath || chunk.fileName))],
+        chunks,
+        pairs: clusterPairList
+      };
+    })
+    .sort((a, b) => b.maxSimilarity - a.maxSimilarity)
+    .map((cluster, index) => ({ id: index + 1, ...cluster }));
+
+  // Item indexes were only needed for clustering
+  const strip = pair => {
+    const stripped = { ...pair };
+    delete stripped.i;
+    delete stripped.j;
+    return stripped;
+  };
+  return {
+    threshold,
+    pairs: pairs.map(strip),
+    clusters: clusters.map(cluster => ({ ...cluster, pairs: cluster.pairs.map(strip) }))
+  };
+}
+
+// One CSV row per pair, for review in a spreadsheet
+function duplicatesToCsv(report) {
+  const header = [
+    'cluster', 'similarity', 'conflict', 'identical', 'differences',
+    'left_document', 'left_location', 'left_text', 'right_document', 'right_location', 'right_text'
+  ];
+  const rows = [header];
+
+  report.clusters.forEach(cluster => {
+    cluster.pairs.forEach(pair => {
+      rows.push([
+        cluster.id,
+        pair.similarity.toFixed(3),
+        pair.conflict,
+        pair.identical,
+        pair.differences.map(difference => `${difference.left || '∅'} → ${difference.right || '∅'}`).join('; '),
+        pair.left.relativePath || pair.left.fileName,
+        pair.left.location,
+        pair.left.text,
+        pair.right.relativePath || pair.right.fileName,
+        pair.right.location,
+        pair.right.text
+      ]);
+    });
+  });
+
+  return toCsv(rows);
+}
+
+module.exports = {
+  diffWords,
+  findConflicts,
+  findSimilarPairs,
+  clusterPairs,
+  detectDuplicates,
+  duplicatesToCsv
+};
@@ -0,0 +1,232 @@
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { chunkIdFor } = require('./documentIdentity');
+const { describeSource } = require('./resultProcessing');
+
+// Retrieval evaluation against labeled queries ("judgments"). Each judgment
+// names what a good search for the query should find:
+//
+//   { "id": "Q1", "query": "account lockout",
+//     "files": ["specs/auth.md"], "ids": ["REQ-104"], "chunks": ["specs/auth.md#3"] }
+//
+//   files  - document paths (relative to the document root) or globs
+//   ids    - requirement IDs a result must mention or define
+//   chunks - "<file>#<chunk index>" for a document read as one record;
+//            "<file>#<part>#<chunk index>" for a chunk of one record of a
+//            file with several (the part as in its chunk id: slide2, row12,
+//            Sheet1_row12, item0), "<file>#<part>" for any chunk of it, or
+//            "<file>#row<n>" for row n of any sheet
+//
+// Every entry is one relevant target. A result is relevant when it matches a
+// target not already found by a higher-ranked result, so repeated hits on the
+// same file don't inflate the scores. Metrics, over the top k results:
+//
+//   recall@k - share of the targets found
+//   MRR      - 1 / rank of the first relevant result (0 if none)
+//   nDCG@k   - DCG with each result's gain being the number of targets it
+//              newly finds, normalized by the DCG of one target per rank
+//              (capped at 1, as one result can find several targets)
+
+const TARGET_KINDS = ['files', 'ids', 'chunks'];
+
+const toList = value => (Array.isArray(value) ? value : value ? [value] : []).map(String).filter(Boolean);
+
+function normalizeJudgment(entry, where) {
+  if (!entry || typeof entry.query !== 'string' || entry.query.trim().length === 0) {
+    throw new Error(`${where}: expected an object with a "query" string`);
+  }
+  const judgment = {
+    id: entry.id !== undefined && entry.id !== null ? String(entry.id) : null,
+    query: entry.query.trim()
+  };
+  TARGET_KINDS.forEach(kind => {
+    judgment[kind] = toList(entry[kind]);
+  });
+  if (TARGET_KINDS.every(kind => judgment[kind].length === 0)) {
+    throw new Error(`${where}: "${judgment.query}" has no expected files, ids or chunks`);
+  }
+  return judgment;
+}
+
+// Judgments from a .jsonl file (one object per line) or a .json array
+function parseJudgments(content, filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  let entries;
+
+  if (extension === '.json') {
+    try {
+      entries = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON (${error.message})`);
+    }
+    if (!Array.isArray(entries)) {
+      throw new Error('Expected a JSON array of judgments');
+    }
+    entries = entries.map((entry, i) => normalizeJudgment(entry, `Judgment ${i + 1}`));
+  } else if (extension === '.jsonl' || extension === '.ndjson') {
+    entries = [];
+    content.split(/\r?\n/).forEach((line, i) => {
+      if (line.trim().length === 0) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${i + 1}: invalid JSON (${error.message})`);
+      }
+      entries.push(normalizeJudgment(entry, `Line ${i + 1}`));
+    });
+  } else {
+    throw new Error(`Unsupported judgments file ${filePath} (use .jsonl or .json)`);
+  }
+
+  return entries.map((judgment, i) => ({ ...judgment, id: judgment.id || String(i + 1) }));
+}
+
+const isGlob = pattern => /[*?[\]{}]/.test(pattern);
+
+function matchesFile(result, pattern) {
+  const candidates = [result.relativePath, result.fileName].filter(Boolean);
+  return isGlob(pattern)
+    ? candidates.some(candidate => minimatch(candidate, pattern, { dot: true, nocase: true }))
+    : candidates.some(candidate => candidate.toLowerCase() === pattern.toLowerCase());
+}
+
+function matchesId(result, id) {
+  const upper = id.toUpperCase();
+  return [...(result.ids || []), ...(result.definedIds || []), result.requirementId]
+    .some(candidate => candidate && String(candidate).toUpperCase() === upper);
+}
+
+// A chunk reference split into its file, record part (null for a document
+// read as one record, undefined for any record) and chunk index (null for
+// any chunk), e.g. "deck.pptx#slide2#0" -> deck.pptx, slide2, 0
+function parseChunkReference(reference) {
+  const pieces = reference.split('#');
+  if (pieces.length < 2) return null;
+
+  const last = pieces[pieces.length - 1];
+  if (!/^\d+$/.test(last)) {
+    return { file: pieces.slice(0, -1).join('#'), part: last, chunkIndex: null };
+  }
+  if (pieces.length === 2) {
+    return { file: pieces[0], part: null, chunkIndex: parseInt(last, 10) };
+  }
+  return { file: pieces.slice(0, -2).join('#'), part: pieces[pieces.length - 2], chunkIndex: parseInt(last, 10) };
+}
+
+function matchesChunk(result, reference) {
+  const target = parseChunkReference(reference);
+  if (!target || !matchesFile(result, target.file)) return false;
+
+  const row = target.chunkIndex === null && target.part.match(/^row\s*(\d+)$/i);
+  if (row) {
+    return result.row === parseInt(row[1], 10);
+  }
+  if (target.chunkIndex === null) {
+    return result.part === target.part;
+  }
+
+  // Chunk indexes restart in every record, so compare whole chunk ids
+  const expected = chunkIdFor(result.documentId, target.part, target.chunkIndex);
+  const indexes = result.mergedChunkIndexes || [result.chunkIndex];
+  return indexes.some(chunkIndex => chunkIdFor(result.documentId, result.part, chunkIndex) === expected);
+}
+
+const MATCHERS = { files: matchesFile, ids: matchesId, chunks: matchesChunk };
+
+// Metrics for one query from its ranked results
+function scoreQuery(judgment, results, k) {
+  const targets = TARGET_KINDS.flatMap(kind => judgment[kind].map(value => ({ kind, value })));
+  const found = new Set();
+  let firstRelevantRank = null;
+  let dcg = 0;
+
+  const ranked = results.slice(0, k).map((result, i) => {
+    const matched = targets.filter((target, t) => !found.has(t) && MATCHERS[target.kind](result, target.value));
+    matched.forEach(target => found.add(targets.indexOf(target)));
+    const relevant = matched.length > 0;
+    if (relevant) {
+      dcg += matched.length / Math.log2(i + 2);
+      if (firstRelevantRank === null) firstRelevantRank = i + 1;
+    }
+    return {
+      rank: i + 1,
+      location: describeSource(result),
+      score: result.score,
+      relevant,
+      matched: matched.map(target => target.value)
+    };
+  });
+
+  let idealDcg = 0;
+  for (let i = 0; i < Math.min(targets.length, k); i++) {
+    idealDcg += 1 / Math.log2(i + 2);
+  }
+
+  return {
+    id: judgment.id,
+    query: judgment.query,
+    recall: found.size / targets.length,
+    reciprocalRank: firstRelevantRank ? 1 / firstRelevantRank : 0,
+    ndcg: idealDcg > 0 ? Math.min(dcg / idealDcg, 1) : 0,
+    firstRelevantRank,
+    missing: targets.filter((target, t) => !found.has(t)).map(target => `${target.kind}: ${target.value}`),
+    results: ranked
+  };
+}
+
+const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// Evaluation report from judgments and the searchMany output for them:
+// { k, metrics: { recall, mrr, ndcg }, queries, failures }. A query fails
+// when a target is missing from its top k results (or its search errored).
+function evaluateRetrieval(judgments, batch, k) {
+  const queries = judgments.map((judgment, i) => {
+    const outcome = batch[i];
+    if (outcome.error) {
+      return { ...scoreQuery(judgment, [], k), error: outcome.error };
+    }
+    return scoreQuery(judgment, outcome.results, k);
+  });
+
+  return {
+    k,
+    metrics: {
+      recall: mean(queries.map(query => query.recall)),
+      mrr: mean(queries.map(query => query.reciprocalRank)),
+      ndcg: mean(queries.map(query => query.ndcg))
+    },
+    queries,
+    failures: queries.filter(query => query.error || query.missing.length > 0)
+  };
+}
+
+// Metric deltas between two reports over the same judgments, and the
+// queries whose nDCG changed (improved or regressed) by more than `epsilon`
+function compareEvaluations(baseline, candidate, epsilon = 1e-9) {
+  const deltas = {};
+  Object.keys(baseline.metrics).forEach(metric => {
+    deltas[metric] = candidate.metrics[metric] - baseline.metrics[metric];
+  });
+
+  const changes = baseline.queries.map((query, i) => ({
+    id: query.id,
+    query: query.query,
+    baseline: query.ndcg,
+    candidate: candidate.queries[i].ndcg,
+    delta: candidate.queries[i].ndcg - query.ndcg
+  }));
+
+  return {
+    deltas,
+    improved: changes.filter(change => change.delta > epsilon).sort((a, b) => b.delta - a.delta),
+    regressed: changes.filter(change => change.delta < -epsilon).sort((a, b) => a.delta - b.delta)
+  };
+}
+
+module.exports = {
+  parseJudgments,
+  scoreQuery,
+  evaluateRetrieval,
+  compareEvaluations
+};
@@ -0,0 +1,222 @@
+const XLSX = require('xlsx');
+
+// Excel sheets are read as tables: a header row (detected, or configured with
+// headerRows) names the columns, and every row below it becomes a record
+//
+//   Test Case: TC-12
+//   Title: Login with expired password
+//   Priority: High
+//
+// with the parsed values kept as { column: value } for filtering and display.
+// Merged cells are expanded so each covered cell carries the merged value, and
+// stacked header rows are joined into names like "Result / Status".
+// Sheets without a recognisable header fall back to "a | b | c" rows.
+
+// How many leading non-empty rows are considered when looking for the header
+const HEADER_SCAN_ROWS = 10;
+const MAX_HEADER_ROWS = 3;
+
+// Parse a --header-row value: "2", "1-2", or "none"/"0" to disable detection.
+// Returns null for auto-detection, false for "no header", or [first, last] (1-based).
+function parseHeaderRows(value) {
+  if (value === undefined || value === null || value === '' || value === 'auto') {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  if (text === 'none' || text === '0') {
+    return false;
+  }
+
+  const match = text.match(/^(\d+)(?:\s*[-:]\s*(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid header row "${value}" (expected a row number, a range like 1-2, or "none")`);
+  }
+
+  const first = parseInt(match[1], 10);
+  const last = match[2] ? parseInt(match[2], 10) : first;
+  if (first < 1 || last < first) {
+    throw new Error(`Invalid header row "${value}"`);
+  }
+  return [first, last];
+}
+
+// Displayed cell text, with whitespace (including line breaks) collapsed so a
+// value can't be mistaken for a heading when the record is chunked
+function cellText(cell) {
+  if (!cell || cell.v === undefined || cell.v === null) {
+    return '';
+  }
+  const text = cell.w !== undefined ? cell.w : String(cell.v);
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Read a sheet into a 2D array of { text, isText }, copying the value of each
+// merged range into every cell it covers
+function readGrid(worksheet) {
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const grid = [];
+
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+      row.push({ text: cellText(cell), isText: Boolean(cell && cell.t === 's') });
+    }
+    grid.push(row);
+  }
+
+  (worksheet['!merges'] || []).forEach(merge => {
+    const source = grid[merge.s.r - range.s.r] && grid[merge.s.r - range.s.r][merge.s.c - range.s.c];
+    if (!source) return;
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        const target = grid[r - range.s.r] && grid[r - range.s.r][c - range.s.c];
+        if (target) {
+          target.text = source.text;
+          target.isText = source.isText;
+          target.merged = true;
+        }
+      }
+    }
+  });
+
+  return { grid, firstRow: range.s.r, firstCol: range.s.c };
+}
+
+const filledCells = row => row.filter(cell => cell.text.length > 0);
+
+// A header row has at least two labels, all of them text, none repeated
+// (apart from copies made by merged cells)
+function looksLikeHeader(row) {
+  const filled = filledCells(row);
+  if (filled.length < 2 || !filled.every(cell => cell.isText && !/^[-+]?\d/.test(cell.text))) {
+    return false;
+  }
+  // A title merged across the top of the sheet is one label, not a header
+  if (new Set(filled.map(cell => cell.text)).size < 2) {
+    return false;
+  }
+  const labels = filled.filter(cell => !cell.merged).map(cell => cell.text.toLowerCase());
+  return new Set(labels).size === labels.length;
+}
+
+// A header continues onto the next row when the current one has merged cells
+// (a group label spanning several columns) and the next row is also labels
+function detectHeaderRows(grid) {
+  const candidates = grid
+    .map((row, index) => ({ row, index }))
+    .filter(({ row }) => filledCells(row).length > 0)
+    .slice(0, HEADER_SCAN_ROWS);
+
+  const start = candidates.find(({ row, index }) => looksLikeHeader(row) && index < grid.length - 1);
+  if (!start) {
+    return null;
+  }
+
+  let end = start.index;
+  while (end - start.index + 1 < MAX_HEADER_ROWS
+    && end + 1 < grid.length - 1
+    && grid[end].some(cell => cell.merged)
+    && looksLikeHeader(grid[end + 1])) {
+    end++;
+  }
+
+  return [start.index, end];
+}
+
+// Column names from the header rows; stacked labels are joined with " / " and
+// unlabeled columns are named after their letter
+function buildColumnNames(grid, [first, last], firstCol) {
+  const width = grid[first].length;
+  const names = [];
+
+  for (let c = 0; c < width; c++) {
+    const parts = [];
+    for (let r = first; r <= last; r++) {
+      const label = grid[r][c].text;
+      if (label && parts[parts.length - 1] !== label) {
+        parts.push(label);
+      }
+    }
+    names.push(parts.length > 0 ? parts.join(' / ') : `Column ${XLSX.utils.encode_col(firstCol + c)}`);
+  }
+
+  // Keep names unique so every value has its own key
+  const seen = new Map();
+  return names.map(name => {
+    const count = seen.get(name) || 0;
+    seen.set(name, count + 1);
+    return count === 0 ? name : `${name} (${count + 1})`;
+  });
+}
+
+// Rows of one sheet as { text, sheet, row, rowRange, columns, headerRow }
+function extractSheetRecords(worksheet, sheetName, headerRows = null) {
+  if (!worksheet['!ref']) {
+    return []; // Skip empty sheets
+  }
+
+  const { grid, firstRow, firstCol } = readGrid(worksheet);
+
+  let header = null;
+  if (Array.isArray(headerRows)) {
+    const first = headerRows[0] - 1 - firstRow;
+    const last = headerRows[1] - 1 - firstRow;
+    if (first >= 0 && last < grid.length) {
+      header = [first, last];
+    }
+  } else if (headerRows !== false) {
+    header = detectHeaderRows(grid);
+  }
+
+  const columnNames = header ? buildColumnNames(grid, header, firstCol) : null;
+  const dataStart = header ? header[1] + 1 : 0;
+  const records = [];
+
+  for (let r = dataStart; r < grid.length; r++) {
+    const cells = grid[r];
+    if (filledCells(cells).length === 0) continue;
+
+    const rowNumber = firstRow + r + 1;
+    const record = {
+      sheet: sheetName,
+      row: rowNumber,
+      rowRange: `${rowNumber}:${rowNumber}`
+    };
+
+    if (columnNames) {
+      // Empty cells are left out rather than shifting later values
+      const columns = {};
+      cells.forEach((cell, c) => {
+        if (cell.text) {
+          columns[columnNames[c]] = cell.text;
+        }
+      });
+      record.columns = columns;
+      record.headerRow = firstRow + header[1] + 1;
+      record.text = Object.entries(columns).map(([name, value]) => `${name}: ${value}`).join('\n');
+    } else {
+      record.text = filledCells(cells).map(cell => cell.text).join(' | ');
+    }
+
+    records.push(record);
+  }
+
+  return records;
+}
+
+function extractWorkbookRecords(workbook, { headerRows = null } = {}) {
+  const parsedHeaderRows = parseHeaderRows(headerRows);
+  return workbook.SheetNames.flatMap(sheetName =>
+    extractSheetRecords(workbook.Sheets[sheetName], sheetName, parsedHeaderRows));
+}
+
+module.exports = {
+  parseHeaderRows,
+  extractSheetRecords,
+  extractWorkbookRecords
+};
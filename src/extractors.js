@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+const mammoth = require('mammoth');
+const XLSX = require('xlsx');
+const { htmlToStructuredText } = require('./chunking');
+const { extractPdfPages } = require('./pdfExtraction');
+const { extractWorkbookRecords } = require('./excelExtraction');
+const { htmlDocumentToText, rtfToText } = require('./markupExtraction');
+const { csvToRecords, jsonToRecords } = require('./tabularExtraction');
+const { pptxToRecords, odtToText } = require('./officeExtraction');
+
+// Extractors for the built-in formats, registered by ExtractorRegistry.withBuiltins().
+// `name` doubles as the chunk type used by --type filters.
+
+const BUILTIN_EXTRACTORS = [
+  {
+    name: 'pdf',
+    extensions: ['pdf'],
+    mimeTypes: ['application/pdf'],
+    // Keep page boundaries so chunks can cite their pages
+    extract: async filePath => {
+      const pdfData = await extractPdfPages(await fs.readFile(filePath));
+      return [{ text: pdfData.text, pageStarts: pdfData.pageStarts }];
+    }
+  },
+  {
+    name: 'docx',
+    extensions: ['docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    // Convert via HTML so heading styles survive as section boundaries
+    extract: async filePath => {
+      const result = await mammoth.convertToHtml({ buffer: await fs.readFile(filePath) });
+      return [{ text: htmlToStructuredText(result.value) }];
+    }
+  },
+  {
+    name: 'excel',
+    extensions: ['xlsx', 'xls'],
+    mimeTypes: [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel'
+    ],
+    extract: async (filePath, options = {}) =>
+      extractWorkbookRecords(XLSX.readFile(filePath), { headerRows: options.headerRows })
+  },
+  {
+    name: 'text',
+    extensions: ['txt', 'md'],
+    mimeTypes: ['text/plain', 'text/markdown'],
+    extract: async filePath => [{ text: await fs.readFile(filePath, 'utf-8') }]
+  },
+  {
+    name: 'html',
+    extensions: ['html', 'htm'],
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extract: async filePath => [{ text: htmlDocumentToText(await fs.readFile(filePath, 'utf-8')) }]
+  },
+  {
+    name: 'csv',
+    extensions: ['csv'],
+    mimeTypes: ['text/csv'],
+    extract: async (filePath, options = {}) =>
+      csvToRecords(await fs.readFile(filePath, 'utf-8'), { headerRows: options.headerRows })
+  },
+  {
+    name: 'json',
+    extensions: ['json'],
+    mimeTypes: ['application/json'],
+    extract: async filePath => jsonToRecords(await fs.readFile(filePath, 'utf-8'))
+  },
+  {
+    name: 'pptx',
+    extensions: ['pptx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extract: async filePath => pptxToRecords(await fs.readFile(filePath))
+  },
+  {
+    name: 'odt',
+    extensions: ['odt'],
+    mimeTypes: ['application/vnd.oasis.opendocument.text'],
+    extract: async filePath => [{ text: await odtToText(await fs.readFile(filePath)) }]
+  },
+  {
+    name: 'rtf',
+    extensions: ['rtf'],
+    mimeTypes: ['application/rtf', 'text/rtf'],
+    extract: async filePath => [{ text: rtfToText(await fs.readFile(filePath, 'latin1')) }]
+  }
+];
+
+module.exports = {
+  BUILTIN_EXTRACTORS
+};
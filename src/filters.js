@@ -0,0 +1,120 @@
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+// Metadata filters for search. A filter is a plain object:
+//   { type: 'excel' | ['pdf', 'docx'], path: 'specs/billing/**', sheet: 'Test Cases',
+//     tags: { release: '2.3' }, columns: { Priority: 'High' } }
+// Every given field must match. Column names and values (Excel records) are
+// compared case-insensitively. createMetadataFilter turns it into a predicate
+// over chunk metadata that is applied before top-K selection.
+
+// File extensions accepted as aliases for the stored chunk type
+const TYPE_ALIASES = {
+  xlsx: 'excel',
+  xls: 'excel',
+  txt: 'text',
+  md: 'text',
+  htm: 'html',
+  doc: 'docx',
+  word: 'docx'
+};
+
+const toList = value => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => item.trim())
+  .filter(item => item.length > 0);
+
+const normalizeType = type => {
+  const lower = type.toLowerCase().replace(/^\./, '');
+  return TYPE_ALIASES[lower] || lower;
+};
+
+// Paths are compared with forward slashes: absolute, relative to the working
+// directory and, when known, relative to the index's document root, so
+// "specs/billing/**", "billing/**" (as `list` shows it) and "/abs/specs/**"
+// all work
+function pathCandidates(filePath, relativePath) {
+  const absolute = path.resolve(filePath);
+  const candidates = [absolute, path.relative(process.cwd(), absolute)].map(p => p.split(path.sep).join('/'));
+  if (relativePath) {
+    candidates.push(relativePath);
+  }
+  return candidates;
+}
+
+// Whether a file path (with its document-root-relative path, if known)
+// matches a path glob or is the file it names
+function matchesPathPattern(filePath, pattern, relativePath = null) {
+  if (path.resolve(pattern) === path.resolve(filePath) || pattern === relativePath) {
+    return true;
+  }
+  return pathCandidates(filePath, relativePath)
+    .some(candidate => minimatch(candidate, pattern, { dot: true, nocase: true }));
+}
+
+function isEmptyFilter(filter) {
+  if (!filter) return true;
+  return !filter.type && !filter.path && !filter.sheet
+    && (!filter.tags || Object.keys(filter.tags).length === 0)
+    && (!filter.columns || Object.keys(filter.columns).length === 0);
+}
+
+function createMetadataFilter(filter) {
+  if (isEmptyFilter(filter)) {
+    return null;
+  }
+
+  const types = filter.type ? toList(filter.type).map(normalizeType) : null;
+  const pathPatterns = filter.path ? toList(filter.path) : null;
+  const sheets = filter.sheet ? toList(filter.sheet).map(sheet => sheet.toLowerCase()) : null;
+  const tags = Object.entries(filter.tags || {});
+  const columns = Object.entries(filter.columns || {})
+    .map(([name, value]) => [name.toLowerCase(), String(value).toLowerCase()]);
+
+  return metadata => {
+    if (types && !types.includes(metadata.type)) {
+      return false;
+    }
+
+    if (pathPatterns) {
+      const filePath = metadata.filePath || metadata.fileName || '';
+      if (!pathPatterns.some(pattern => matchesPathPattern(filePath, pattern, metadata.relativePath))) return false;
+    }
+
+    if (sheets && !(metadata.sheet && sheets.includes(String(metadata.sheet).toLowerCase()))) {
+      return false;
+    }
+
+    if (columns.length > 0) {
+      const rowColumns = new Map(Object.entries(metadata.columns || {})
+        .map(([name, value]) => [name.toLowerCase(), String(value).toLowerCase()]));
+      if (!columns.every(([name, value]) => rowColumns.get(name) === value)) {
+        return false;
+      }
+    }
+
+    const chunkTags = metadata.tags || {};
+    return tags.every(([key, value]) => chunkTags[key] !== undefined && String(chunkTags[key]) === String(value));
+  };
+}
+
+// Parse ["release=2.3", "team=billing"] into { release: '2.3', team: 'billing' }
+// (also used for --where Priority=High column filters)
+function parseTags(values = []) {
+  const tags = {};
+  values.forEach(value => {
+    const separator = value.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid tag "${value}" (expected key=value)`);
+    }
+    tags[value.slice(0, separator).trim()] = value.slice(separator + 1).trim();
+  });
+  return tags;
+}
+
+module.exports = {
+  createMetadataFilter,
+  isEmptyFilter,
+  matchesPathPattern,
+  parseTags,
+  normalizeType
+};
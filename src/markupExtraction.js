@@ -0,0 +1,191 @@
+const { htmlToStructuredText } = require('./chunking');
+
+// Text extraction for markup formats (HTML pages, OpenDocument text, RTF).
+// Each converter produces plain text with "#" heading markers so
+// structure-aware chunking records the heading path of every chunk.
+
+// Page chrome that never holds requirement text
+const HTML_CHROME = /<(head|nav|header|footer|aside|noscript|script|style|template)\b[^>]*>[\s\S]*?<\/\1>/gi;
+
+// HTML pages (including Confluence exports). The page title becomes the top
+// heading when the body has no <h1> of its own.
+function htmlDocumentToText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  const body = (bodyMatch ? bodyMatch[1] : html).replace(HTML_CHROME, '');
+
+  const text = htmlToStructuredText(body);
+  const title = titleMatch ? htmlToStructuredText(titleMatch[1]) : '';
+
+  if (title && !/<h1[\s>]/i.test(body)) {
+    return `# ${title}\n\n${text}`;
+  }
+  return text;
+}
+
+// OpenDocument text (content.xml of an .odt), rewritten as the HTML elements
+// htmlToStructuredText understands
+function odtContentToText(xml) {
+  const bodyMatch = xml.match(/<office:text[^>]*>([\s\S]*)<\/office:text>/);
+  const html = (bodyMatch ? bodyMatch[1] : xml)
+    .replace(/<(office:annotation|text:tracked-changes|text:sequence-decls)\b[^>]*>[\s\S]*?<\/\1>/g, '')
+    .replace(/<text:h\b([^>]*)>([\s\S]*?)<\/text:h>/g, (match, attributes, content) => {
+      const level = attributes.match(/text:outline-level="(\d+)"/);
+      const n = Math.min(level ? parseInt(level[1], 10) : 1, 6);
+      return `<h${n}>${content}</h${n}>`;
+    })
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(count ? parseInt(count, 10) : 1))
+    .replace(/<text:tab\s*\/>/g, ' ')
+    .replace(/<text:line-break\s*\/>/g, '<br>')
+    // Paragraphs inside a table cell stay on the row's line
+    .replace(/<table:table-cell\b[^>]*>([\s\S]*?)<\/table:table-cell>/g, (match, content) =>
+      `${content.replace(/<\/text:p>/g, ' ')}</td>`)
+    .replace(/<table:table-cell\b[^>]*\/>/g, '</td>')
+    .replace(/<text:list-item\b[^>]*>/g, '<li>')
+    .replace(/<\/text:list-item>/g, '</li>')
+    .replace(/<\/text:p>/g, '</p>')
+    .replace(/<\/table:table-row>/g, '</tr>');
+
+  return htmlToStructuredText(html);
+}
+
+// Groups whose content is formatting data rather than document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr',
+  'footer', 'footerl', 'footerr', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+  'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'filetbl', 'revtbl', 'fldinst'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  row: '\n',
+  cell: ' | ',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+// Windows-1252 code points that differ from Latin-1 (for \'hh escapes)
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x84: '„', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”',
+  0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+// Plain text from RTF. Paragraphs with an outline level (\outlinelevelN, as
+// written for Word headings) are marked as headings.
+function rtfToText(rtf) {
+  const output = [];
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let outlineLevel = null;
+  let lineStart = true;
+
+  const emit = text => {
+    if (state.skip) return;
+    if (lineStart && outlineLevel !== null && text.trim().length > 0) {
+      output.push(`${'#'.repeat(Math.min(outlineLevel + 1, 6))} `);
+    }
+    output.push(text);
+    lineStart = text.endsWith('\n');
+  };
+
+  let i = 0;
+  while (i < rtf.length) {
+    const ch = rtf[i];
+
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+      continue;
+    }
+    if (ch === '}') {
+      state = stack.pop() || { skip: false, unicodeSkip: 1 };
+      i++;
+      continue;
+    }
+    if (ch === '\r' || ch === '\n') {
+      i++;
+      continue;
+    }
+
+    if (ch !== '\\') {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else {
+        emit(ch);
+      }
+      i++;
+      continue;
+    }
+
+    const next = rtf[i + 1];
+
+    if (next === '\\' || next === '{' || next === '}') {
+      emit(next);
+      i += 2;
+    } else if (next === '*') {
+      state.skip = true;
+      i += 2;
+    } else if (next === "'") {
+      const code = parseInt(rtf.substr(i + 2, 2), 16);
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else if (!Number.isNaN(code)) {
+        emit(CP1252[code] || String.fromCharCode(code));
+      }
+      i += 4;
+    } else if (next === '~') {
+      emit(' ');
+      i += 2;
+    } else if (next === '\r' || next === '\n') {
+      emit('\n');
+      i += 2;
+    } else if (/[a-z]/i.test(next)) {
+      const match = rtf.slice(i + 1).match(/^([a-z]+)(-?\d+)? ?/i);
+      const word = match[1];
+      const param = match[2] !== undefined ? parseInt(match[2], 10) : null;
+      i += 1 + match[0].length;
+
+      if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+        state.skip = true;
+      } else if (word === 'u' && param !== null) {
+        emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+        pendingSkip = state.unicodeSkip;
+      } else if (word === 'uc' && param !== null) {
+        state.unicodeSkip = param;
+      } else if (word === 'pard') {
+        outlineLevel = null;
+      } else if (word === 'outlinelevel' && param !== null) {
+        outlineLevel = param;
+      } else if (RTF_SYMBOLS[word]) {
+        emit(RTF_SYMBOLS[word]);
+      }
+    } else {
+      // Other control symbols (\-, \_, \|, ...) carry no text
+      i += 2;
+    }
+  }
+
+  return output.join('')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  htmlDocumentToText,
+  odtContentToText,
+  rtfToText
+};
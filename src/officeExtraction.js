@@ -0,0 +1,123 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { decodeHtmlEntities } = require('./chunking');
+const { odtContentToText } = require('./markupExtraction');
+
+// Zipped office formats: PowerPoint decks (.pptx) and OpenDocument text (.odt)
+
+async function readZipEntry(zip, name) {
+  const entry = zip.file(name);
+  return entry ? entry.async('string') : null;
+}
+
+// Relationship id -> zip path for a part's .rels file
+async function readRelationships(zip, partName) {
+  const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+  const xml = await readZipEntry(zip, relsName);
+  const relationships = new Map();
+  if (!xml) return relationships;
+
+  for (const match of xml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = match[1].match(/\bId="([^"]+)"/);
+    const target = match[1].match(/\bTarget="([^"]+)"/);
+    const type = match[1].match(/\bType="([^"]+)"/);
+    if (id && target) {
+      relationships.set(id[1], {
+        target: path.posix.normalize(path.posix.join(path.posix.dirname(partName), target[1])),
+        type: type ? type[1] : ''
+      });
+    }
+  }
+  return relationships;
+}
+
+// Slide part names in presentation order
+async function listSlides(zip) {
+  const presentation = await readZipEntry(zip, 'ppt/presentation.xml');
+  const relationships = await readRelationships(zip, 'ppt/presentation.xml');
+
+  const ordered = presentation
+    ? [...presentation.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)]
+      .map(match => relationships.get(match[1]))
+      .filter(Boolean)
+      .map(relationship => relationship.target)
+    : [];
+
+  if (ordered.length > 0) {
+    return ordered;
+  }
+
+  // No usable slide list: fall back to the numbering of the slide files
+  const slideNumber = name => parseInt(name.match(/slide(\d+)\.xml$/)[1], 10);
+  return Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+}
+
+// Text of each DrawingML paragraph (<a:p>) in a piece of slide XML
+function paragraphTexts(xml) {
+  return [...xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>|<a:p\b[^>]*>([\s\S]*?)<\/a:p>/g)]
+    .map(match => (match[1] || match[2] || '')
+      .replace(/<a:br\b[^>]*\/>/g, '\n')
+      .replace(/<a:t>([\s\S]*?)<\/a:t>|<a:t\b[^>]*>([\s\S]*?)<\/a:t>|<[^>]+>/g,
+        (tag, text, textWithAttributes) => text || textWithAttributes || ''))
+    .map(text => decodeHtmlEntities(text).replace(/[ \t]+/g, ' ').trim())
+    .filter(text => text.length > 0);
+}
+
+const SHAPE = /<p:sp>[\s\S]*?<\/p:sp>|<p:sp\b[^>]*>[\s\S]*?<\/p:sp>/g;
+const placeholderType = shape => {
+  const match = shape.match(/<p:ph\b[^>]*\btype="([^"]+)"/);
+  return match ? match[1] : null;
+};
+
+// One record per slide: the title as a heading, the rest of the slide's text
+// (text boxes, tables) and its speaker notes
+async function pptxToRecords(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const slides = await listSlides(zip);
+  const records = [];
+
+  for (let i = 0; i < slides.length; i++) {
+    const xml = await readZipEntry(zip, slides[i]);
+    if (!xml) continue;
+
+    const titleShape = (xml.match(SHAPE) || []).find(shape => ['title', 'ctrTitle'].includes(placeholderType(shape)));
+    const title = titleShape ? paragraphTexts(titleShape).join(' ') : '';
+    const body = paragraphTexts(titleShape ? xml.replace(titleShape, '') : xml);
+
+    const relationships = await readRelationships(zip, slides[i]);
+    const notesPart = [...relationships.values()].find(relationship => relationship.type.endsWith('/notesSlide'));
+    const notesXml = notesPart ? await readZipEntry(zip, notesPart.target) : null;
+    // Notes pages repeat the slide image and number; keep only the notes text
+    const notes = notesXml
+      ? paragraphTexts((notesXml.match(SHAPE) || []).filter(shape => placeholderType(shape) === 'body').join(''))
+      : [];
+
+    const lines = [];
+    if (title) lines.push(`# ${title}`);
+    lines.push(...body);
+    if (notes.length > 0) lines.push('', 'Speaker notes:', ...notes);
+
+    const slide = i + 1;
+    if (lines.length > 0) {
+      records.push({ text: lines.join('\n'), slide, title: title || null, part: `slide${slide}` });
+    }
+  }
+
+  return records;
+}
+
+async function odtToText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = await readZipEntry(zip, 'content.xml');
+  if (!content) {
+    throw new Error('Not an OpenDocument file (content.xml missing)');
+  }
+  return odtContentToText(content);
+}
+
+module.exports = {
+  pptxToRecords,
+  odtToText
+};
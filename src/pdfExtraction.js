@@ -0,0 +1,96 @@
+const pdfParse = require('pdf-parse');
+
+// PDF text extraction that keeps page boundaries. pdf-parse renders pages one
+// after another through its pagerender hook; each page's text is collected so
+// the word offset where every page starts is known, and chunks (which record
+// their starting word and word count) can be mapped back to page numbers.
+
+// Same line handling as pdf-parse's default renderer: text items on the same
+// baseline are joined, a change of baseline starts a new line
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+const countWords = text => text.split(/\s+/).filter(word => word.length > 0).length;
+
+// Resolves to { text, pageCount, pageStarts } where pageStarts[i] is the word
+// offset in text at which page i + 1 begins
+async function extractPdfPages(buffer) {
+  const pages = [];
+
+  const pdfData = await pdfParse(buffer, {
+    pagerender: async pageData => {
+      const text = await renderPageText(pageData);
+      pages.push({ pageNumber: pageData.pageNumber, text });
+      return text;
+    }
+  });
+
+  pages.sort((a, b) => a.pageNumber - b.pageNumber);
+
+  const pageStarts = [];
+  let wordOffset = 0;
+  pages.forEach(page => {
+    pageStarts.push(wordOffset);
+    wordOffset += countWords(page.text);
+  });
+
+  return {
+    text: pages.map(page => page.text).join('\n\n'),
+    pageCount: pdfData.numpages,
+    pageStarts
+  };
+}
+
+// 1-based page containing the word at wordIndex
+function pageForWord(pageStarts, wordIndex) {
+  let low = 0;
+  let high = pageStarts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (pageStarts[mid] <= wordIndex) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low + 1;
+}
+
+// First and last page spanned by the words [startIndex, startIndex + wordCount)
+function pageRangeForWords(pageStarts, startIndex, wordCount) {
+  if (!pageStarts || pageStarts.length === 0) {
+    return { pageStart: null, pageEnd: null };
+  }
+  return {
+    pageStart: pageForWord(pageStarts, startIndex),
+    pageEnd: pageForWord(pageStarts, startIndex + Math.max(wordCount, 1) - 1)
+  };
+}
+
+// "47" or "47–48"
+function formatPageRange(pageStart, pageEnd) {
+  if (!pageStart) return null;
+  return pageEnd && pageEnd !== pageStart ? `${pageStart}–${pageEnd}` : String(pageStart);
+}
+
+module.exports = {
+  extractPdfPages,
+  pageRangeForWords,
+  formatPageRange
+};
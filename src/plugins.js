@@ -0,0 +1,128 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Extractor plugins add document formats without changing this project. A
+// plugin is a CommonJS module (a file path or an installed package name)
+// exporting one of:
+//
+//   - an extractor: { name, extensions, mimeTypes?, extract(filePath, options) }
+//   - an array of extractors
+//   - a function (registry) => void that registers extractors itself
+//
+// extract resolves to an array of records ({ text, ...provenance }, see
+// ExtractorRegistry) or to a single string. Plugins are listed with --plugin
+// or in a config file:
+//
+//   { "plugins": ["./tools/reqtool-extractor.js", "requirements-search-plugin-foo"] }
+//
+// The same file may hold other project settings (e.g. "idPatterns" or
+// "documentRoot").
+
+const DEFAULT_CONFIG_FILE = '.requirements-search.json';
+
+// Read a config file. Without an explicit path the default file in the
+// working directory is used if it exists.
+async function loadConfig(configPath = null) {
+  const filePath = path.resolve(configPath || DEFAULT_CONFIG_FILE);
+
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !configPath) {
+      return { path: null, plugins: [] };
+    }
+    throw new Error(`Failed to read config file ${filePath}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file ${filePath}: ${error.message}`);
+  }
+
+  if (config.plugins !== undefined && !Array.isArray(config.plugins)) {
+    throw new Error(`"plugins" in ${filePath} must be an array of module paths or package names`);
+  }
+  if (config.idPatterns !== undefined && !Array.isArray(config.idPatterns)) {
+    throw new Error(`"idPatterns" in ${filePath} must be an array of regular expressions`);
+  }
+  if (config.documentRoot !== undefined && typeof config.documentRoot !== 'string') {
+    throw new Error(`"documentRoot" in ${filePath} must be a directory path`);
+  }
+
+  return {
+    ...config,
+    path: filePath,
+    plugins: config.plugins || [],
+    // Relative to the config file, like plugin paths
+    documentRoot: config.documentRoot ? path.resolve(path.dirname(filePath), config.documentRoot) : null
+  };
+}
+
+// Paths ("./x.js", "../x", "/abs/x") are resolved against baseDir; anything
+// else is looked up as a package from baseDir
+function resolvePlugin(specifier, baseDir) {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return require.resolve(path.resolve(baseDir, specifier));
+  }
+  return require.resolve(specifier, { paths: [baseDir] });
+}
+
+// Load one plugin into the registry; returns the names of the extractors it added
+function loadPlugin(specifier, registry, baseDir = process.cwd()) {
+  let exported;
+  try {
+    exported = require(resolvePlugin(specifier, baseDir));
+  } catch (error) {
+    // Node's "Require stack" lines add nothing for a missing plugin
+    throw new Error(`Failed to load plugin "${specifier}": ${error.message.split('\n')[0]}`);
+  }
+
+  const before = new Set(registry.list());
+
+  try {
+    if (typeof exported === 'function') {
+      exported(registry);
+    } else if (Array.isArray(exported)) {
+      exported.forEach(extractor => registry.register(extractor));
+    } else if (exported && typeof exported === 'object') {
+      registry.register(exported);
+    } else {
+      throw new Error('expected an extractor, an array of extractors or a register(registry) function');
+    }
+  } catch (error) {
+    throw new Error(`Invalid plugin "${specifier}": ${error.message}`);
+  }
+
+  return registry.list()
+    .filter(extractor => !before.has(extractor))
+    .map(extractor => extractor.name);
+}
+
+// Load plugins from the config file (relative to its directory) and from the
+// command line (relative to the working directory). Pass an already loaded
+// config, or a configPath to read.
+async function loadPlugins(registry, { config = null, configPath = null, plugins = [] } = {}) {
+  if (!config) {
+    config = await loadConfig(configPath);
+  }
+  const loaded = [];
+
+  config.plugins.forEach(specifier => {
+    loaded.push({ specifier, extractors: loadPlugin(specifier, registry, config.path ? path.dirname(config.path) : process.cwd()) });
+  });
+  plugins.forEach(specifier => {
+    loaded.push({ specifier, extractors: loadPlugin(specifier, registry, process.cwd()) });
+  });
+
+  return loaded;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  loadConfig,
+  loadPlugin,
+  loadPlugins
+};
@@ -0,0 +1,99 @@
+// Requirement identifiers such as REQ-104, US-2231 or TC-88. The default
+// pattern is an uppercase prefix, a dash and a number (optionally dotted,
+// e.g. REQ-12.3); teams with other schemes pass their own patterns (regular
+// expression sources). IDs are compared and stored uppercased.
+
+const DEFAULT_ID_PATTERNS = ['[A-Z][A-Z0-9]{1,9}-\\d+(?:\\.\\d+)*'];
+
+// Standards and algorithms that look like IDs under the default pattern
+const IGNORED_PREFIXES = new Set(['UTF', 'ISO', 'IEC', 'IEEE', 'SHA', 'AES', 'RSA', 'TLS', 'SSL', 'COVID']);
+
+// Column names that hold a record's own identifier ("ID", "Test Case ID", "Key")
+const ID_COLUMN = /(^|\b)(id|key|identifier)$/i;
+
+function compileIdPatterns(patterns = null) {
+  const sources = patterns && patterns.length > 0 ? patterns : DEFAULT_ID_PATTERNS;
+  return sources.map(source => {
+    try {
+      // IDs never continue into neighbouring word characters or dashes
+      return new RegExp(`(?<![\\w-])(?:${source})(?![\\w-])`, 'g');
+    } catch (error) {
+      throw new Error(`Invalid ID pattern "${source}": ${error.message}`);
+    }
+  });
+}
+
+function createIdExtractor(patterns = null) {
+  const regexes = compileIdPatterns(patterns);
+  const usesDefaults = !patterns || patterns.length === 0;
+
+  const keep = id => !(usesDefaults && IGNORED_PREFIXES.has(id.split('-')[0]));
+
+  // Unique IDs in order of first appearance
+  const extract = text => {
+    const ids = [];
+    regexes.forEach(regex => {
+      for (const match of String(text).matchAll(regex)) {
+        const id = match[0].toUpperCase();
+        if (keep(id) && !ids.includes(id)) {
+          ids.push(id);
+        }
+      }
+    });
+    return ids;
+  };
+
+  // The whole value is a single ID
+  const isId = value => {
+    const trimmed = String(value).trim();
+    const ids = extract(trimmed);
+    return ids.length === 1 && ids[0] === trimmed.toUpperCase();
+  };
+
+  return { extract, isId };
+}
+
+// IDs a chunk defines (as opposed to merely mentions):
+//  - a section that starts with an ID line (chunk.requirementId)
+//  - a section under a heading that starts with an ID ("## REQ-104 Login"),
+//    unless it starts with an ID line of its own
+//  - a record (Excel/CSV row, JSON item) whose ID column, or failing that its
+//    first column, holds exactly one ID
+function findDefinedIds({ requirementId, headingPath, columns }, idExtractor) {
+  const defined = [];
+  const add = id => {
+    const upper = id.toUpperCase();
+    if (!defined.includes(upper)) defined.push(upper);
+  };
+
+  if (requirementId) {
+    add(requirementId);
+  }
+
+  // A requirement line inside the section defines its own ID, not the heading's
+  const heading = Array.isArray(headingPath) ? headingPath[headingPath.length - 1] : null;
+  if (heading && !requirementId) {
+    const first = idExtractor.extract(heading)[0];
+    if (first && heading.toUpperCase().startsWith(first)) {
+      add(first);
+    }
+  }
+
+  if (columns) {
+    const entries = Object.entries(columns);
+    const idEntry = entries.find(([name, value]) => ID_COLUMN.test(name) && idExtractor.isId(value))
+      || (entries.length > 0 && idExtractor.isId(entries[0][1]) ? entries[0] : null);
+    if (idEntry) {
+      add(idEntry[1].trim());
+    }
+  }
+
+  return defined;
+}
+
+module.exports = {
+  DEFAULT_ID_PATTERNS,
+  compileIdPatterns,
+  createIdExtractor,
+  findDefinedIds
+};
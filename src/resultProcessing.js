@@ -0,0 +1,262 @@
+const { cosineSimilarity } = require('./vectorMath');
+const { formatPageRange } = require('./pdfExtraction');
+
+// Post-processing of ranked search results: diversity re-ranking (MMR),
+// collapsing of adjacent chunks from the same file, grouping by document, and
+// trimming of overlapping text between neighbouring passages.
+
+// The value results are ranked by: the fused score for hybrid results, the
+// score otherwise
+const rankingScore = result => (typeof result.fusedScore === 'number' ? result.fusedScore : result.score);
+
+// Maximal marginal relevance: repeatedly pick the candidate with the best
+// trade-off between its relevance and its similarity to what was already
+// picked. lambda = 1 is pure relevance, lower values favour diversity.
+// Relevance is the ranking score relative to the best candidate's, so hybrid
+// candidates keep the keyword side of their ranking.
+// Candidates need { score, fusedScore, item: { vector } }.
+function applyMMR(candidates, lambda = 0.7, limit = candidates.length) {
+  const remaining = candidates.slice();
+  const selected = [];
+  const best = Math.max(0, ...candidates.map(rankingScore));
+  const relevance = candidate => (best > 0 ? rankingScore(candidate) / best : 0);
+
+  while (remaining.length > 0 && selected.length < limit) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((candidate, i) => {
+      const redundancy = selected.length === 0
+        ? 0
+        : Math.max(...selected.map(chosen => cosineSimilarity(candidate.item.vector, chosen.item.vector)));
+      const value = lambda * relevance(candidate) - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    });
+
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return selected.concat(remaining);
+}
+
+// Number of words at the start of b that repeat the end of a
+// (overlapping windows share a few words)
+function overlapLength(a, b) {
+  const wordsA = a.trim().split(/\s+/);
+  const wordsB = b.trim().split(/\s+/);
+  const maxOverlap = Math.min(wordsA.length, wordsB.length);
+
+  for (let k = maxOverlap; k > 0; k--) {
+    let matches = true;
+    for (let i = 0; i < k; i++) {
+      if (wordsA[wordsA.length - k + i] !== wordsB[i]) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) {
+      return k;
+    }
+  }
+
+  return 0;
+}
+
+// The text after its first `count` words, starting with the whitespace
+// that followed them (line breaks are kept as they were)
+const afterLeadingWords = (text, count) => text.replace(new RegExp(`^\\s*(?:\\S+\\s+){${count - 1}}\\S+`), '');
+
+// The text before its last `count` words
+const beforeTrailingWords = (text, count) => text.replace(new RegExp(`\\s*\\S+(?:\\s+\\S+){${count - 1}}\\s*$`), '');
+
+// Join two passages, dropping the words that b repeats from the end of a
+function mergePassages(a, b) {
+  const overlap = overlapLength(a, b);
+  if (overlap === 0) {
+    return `${a}\n${b}`;
+  }
+  return a + afterLeadingWords(b, overlap);
+}
+
+// Drop the words at the end of a that b repeats at its start
+function trimTrailingOverlap(a, b) {
+  const overlap = overlapLength(a, b);
+  return overlap === 0 ? a : beforeTrailingWords(a, overlap);
+}
+
+// Drop the words at the start of b that repeat the end of a
+function trimLeadingOverlap(a, b) {
+  const overlap = overlapLength(a, b);
+  return overlap === 0 ? b : afterLeadingWords(b, overlap).trimStart();
+}
+
+// Chunks are adjacent when they come from the same file (and the same record,
+// such as an Excel row or a slide) and have consecutive chunk indexes
+const adjacencyKey = result => `${result.filePath || result.fileName}|${result.part || `${result.sheet || ''}|${result.row || ''}`}`;
+
+// A neighbouring chunk that doesn't overlap a hit joins it only when its
+// ranking score is at least this share of the hit's best
+const NEIGHBOUR_SCORE_RATIO = 0.9;
+
+// Whether two chunks cover some of the same words of their document
+// (chunks indexed without word positions never overlap)
+const rangesOverlap = (a, b) => Number.isInteger(a.wordStart) && Number.isInteger(b.wordStart)
+  && a.wordStart < b.wordStart + (b.wordCount || 0)
+  && b.wordStart < a.wordStart + (a.wordCount || 0);
+
+// Whether a result belongs in an earlier hit: it overlaps one of the hit's
+// chunks (windows of one section), or it is the next or previous chunk and
+// relevant in its own right
+function joinsHit(hit, result) {
+  if (hit.members.some(member => rangesOverlap(member, result))) {
+    return true;
+  }
+  const neighbour = result.chunkIndex >= hit.first - 1 && result.chunkIndex <= hit.last + 1;
+  return neighbour && rankingScore(result) >= Math.max(...hit.members.map(rankingScore)) * NEIGHBOUR_SCORE_RATIO;
+}
+
+// Collapse overlapping chunks, and neighbouring chunks that score nearly as
+// well, from the same file into a single hit with a merged passage. Results
+// are taken in rank order and a chunk is merged into an earlier hit it joins.
+// Collection stops at the `limit`-th distinct hit, so only chunks ranked above
+// it are merged. A passage can still grow across several sections when each
+// of them matches the query well. A collapsed hit keeps the fields of its
+// best-ranked chunk.
+function collapseAdjacentResults(results, limit = Infinity) {
+  const hits = [];
+
+  for (const result of results) {
+    const key = adjacencyKey(result);
+    const touching = hits.filter(hit => hit.key === key && joinsHit(hit, result));
+
+    if (touching.length === 0) {
+      hits.push({ key, first: result.chunkIndex, last: result.chunkIndex, members: [result] });
+      if (hits.length >= limit) break;
+      continue;
+    }
+
+    // A chunk can bridge two earlier hits; fold them into the first
+    const [target, ...rest] = touching;
+    target.members.push(result);
+    rest.forEach(hit => {
+      target.members.push(...hit.members);
+      hits.splice(hits.indexOf(hit), 1);
+    });
+    target.first = Math.min(...target.members.map(member => member.chunkIndex));
+    target.last = Math.max(...target.members.map(member => member.chunkIndex));
+  }
+
+  return hits.map(hit => mergeMembers(hit.members));
+}
+
+function mergeMembers(members) {
+  if (members.length === 1) {
+    return members[0];
+  }
+
+  const best = members.reduce((top, member) => (rankingScore(member) > rankingScore(top) ? member : top));
+  const ordered = members.slice().sort((a, b) => a.chunkIndex - b.chunkIndex);
+  const text = ordered
+    .map(member => member.text)
+    .reduce((merged, text) => mergePassages(merged, text));
+
+  const merged = {
+    ...best,
+    text,
+    mergedChunkIndexes: ordered.map(member => member.chunkIndex)
+  };
+
+  // A merged PDF passage spans the pages of all its chunks
+  const pages = members.filter(member => member.pageStart);
+  if (pages.length > 0) {
+    merged.pageStart = Math.min(...pages.map(member => member.pageStart));
+    merged.pageEnd = Math.max(...pages.map(member => member.pageEnd || member.pageStart));
+  }
+
+  return merged;
+}
+
+// One entry per document, in order of each document's best hit. The entry
+// carries the best-ranked hit's fields, its score as the document's score and
+// all the document's hits.
+function groupResultsByFile(results) {
+  const groups = new Map();
+
+  results.forEach(result => {
+    const key = result.filePath || result.fileName;
+    const group = groups.get(key);
+    const hits = group ? group.hits : [];
+    hits.push(result);
+    if (!group || rankingScore(result) > rankingScore(group)) {
+      groups.set(key, { ...result, documentScore: result.score, hits });
+    }
+  });
+
+  return [...groups.values()];
+}
+
+// Where a result (or chunk metadata) comes from, e.g.
+// "billing/overview.pdf, Pages 4–5, Section: Payments"
+function describeSource(result) {
+  const parts = [result.relativePath || result.fileName];
+  if (result.sheet) parts.push(`Sheet ${result.sheet}, Row ${result.row}`);
+  else if (result.row) parts.push(`Row ${result.row}`);
+  if (result.slide) parts.push(`Slide ${result.slide}`);
+  if (result.jsonPath) parts.push(result.jsonPath);
+  if (result.pageStart) {
+    const label = result.pageEnd && result.pageEnd !== result.pageStart ? 'Pages' : 'Page';
+    parts.push(`${label} ${formatPageRange(result.pageStart, result.pageEnd)}`);
+  }
+  if (result.headingPath) parts.push(`Section: ${result.headingPath}`);
+  return parts.join(', ');
+}
+
+// The fields of a stored chunk ({ id, metadata }) needed to show and locate
+// it in a report
+function summarizeChunk(item) {
+  const metadata = item.metadata;
+  return {
+    chunkId: item.id,
+    fileName: metadata.fileName,
+    relativePath: metadata.relativePath || null,
+    filePath: metadata.filePath || null,
+    chunkIndex: metadata.chunkIndex,
+    type: metadata.type,
+    sheet: metadata.sheet || null,
+    row: metadata.row || null,
+    slide: metadata.slide || null,
+    jsonPath: metadata.jsonPath || null,
+    pageStart: metadata.pageStart || null,
+    pageEnd: metadata.pageEnd || null,
+    headingPath: metadata.headingPath || null,
+    location: describeSource(metadata),
+    text: metadata.text
+  };
+}
+
+const csvField = value => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows (arrays of values, header first) as CSV text
+function toCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\n');
+}
+
+module.exports = {
+  rankingScore,
+  applyMMR,
+  overlapLength,
+  mergePassages,
+  trimTrailingOverlap,
+  trimLeadingOverlap,
+  collapseAdjacentResults,
+  groupResultsByFile,
+  describeSource,
+  summarizeChunk,
+  toCsv
+};
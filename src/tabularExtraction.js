@@ -0,0 +1,103 @@
+const XLSX = require('xlsx');
+const { parseHeaderRows, extractSheetRecords } = require('./excelExtraction');
+
+// Record-oriented formats: CSV backlogs and JSON exports. Both produce one
+// record per row/item with its fields as "Name: value" lines and as columns,
+// the same shape as Excel rows, so --where filters and table display apply.
+
+// CSV rows as labeled records, using the same header detection as Excel
+function csvToRecords(content, { headerRows = null } = {}) {
+  const workbook = XLSX.read(content, { type: 'string' });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!worksheet) {
+    return [];
+  }
+
+  return extractSheetRecords(worksheet, null, parseHeaderRows(headerRows)).map(record => ({
+    ...record,
+    sheet: null,
+    part: `row${record.row}`
+  }));
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isObjectArray = value => Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+
+// "$.requirements[3].title"; keys that aren't identifiers use brackets
+const childPath = (parent, key) => (/^[A-Za-z_$][\w$]*$/.test(key)
+  ? `${parent}.${key}`
+  : `${parent}[${JSON.stringify(key)}]`);
+
+const scalarText = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Flatten an object's fields into { "a.b": value }. Arrays of objects are not
+// flattened: each of their items becomes a record of its own.
+function flattenFields(object, prefix, jsonPath, fields, children) {
+  Object.entries(object).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const valuePath = childPath(jsonPath, key);
+
+    if (isObjectArray(value)) {
+      value.forEach((item, i) => children.push({ value: item, jsonPath: `${valuePath}[${i}]` }));
+    } else if (Array.isArray(value)) {
+      if (value.length > 0) {
+        fields[name] = value.map(scalarText).join(', ');
+      }
+    } else if (isPlainObject(value)) {
+      flattenFields(value, name, valuePath, fields, children);
+    } else if (value !== null && value !== undefined && String(value).trim() !== '') {
+      fields[name] = String(value);
+    }
+  });
+}
+
+function collectJsonRecords(value, jsonPath, records) {
+  if (Array.isArray(value)) {
+    if (isObjectArray(value)) {
+      value.forEach((item, i) => collectJsonRecords(item, `${jsonPath}[${i}]`, records));
+    } else if (value.length > 0) {
+      records.push({ jsonPath, text: value.map(scalarText).join('\n') });
+    }
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    if (value !== null && value !== undefined) {
+      records.push({ jsonPath, text: String(value) });
+    }
+    return;
+  }
+
+  const fields = {};
+  const children = [];
+  flattenFields(value, '', jsonPath, fields, children);
+
+  if (Object.keys(fields).length > 0) {
+    records.push({
+      jsonPath,
+      columns: fields,
+      text: Object.entries(fields).map(([name, fieldValue]) => `${name}: ${fieldValue}`).join('\n')
+    });
+  }
+  children.forEach(child => collectJsonRecords(child.value, child.jsonPath, records));
+}
+
+// JSON documents as records: every object holding plain fields becomes one
+// record, located by its JSON path
+function jsonToRecords(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const records = [];
+  collectJsonRecords(data, '$', records);
+  return records.map((record, i) => ({ ...record, part: `item${i}` }));
+}
+
+module.exports = {
+  csvToRecords,
+  jsonToRecords
+};
@@ -0,0 +1,108 @@
+const { getEncoding } = require('js-tiktoken');
+
+// Token counting with cl100k_base, the encoding used by OpenAI's embedding
+// models (text-embedding-3-*, text-embedding-ada-002). For other providers it
+// is a close enough approximation to keep inputs within their limits.
+
+const ENCODING_NAME = 'cl100k_base';
+
+let encoding = null;
+
+function getTokenizer() {
+  if (!encoding) {
+    encoding = getEncoding(ENCODING_NAME);
+  }
+  return encoding;
+}
+
+function encode(text) {
+  return getTokenizer().encode(text);
+}
+
+function decode(tokens) {
+  return getTokenizer().decode(tokens);
+}
+
+function countTokens(text) {
+  return encode(text).length;
+}
+
+// Split text into pieces of at most maxTokens tokens. Breaks fall between
+// words where possible; a single word longer than maxTokens (e.g. a long URL
+// or base64 blob) is cut on token boundaries.
+function splitByTokens(text, maxTokens, overlap = 0) {
+  const words = text.split(/\s+/).filter(word => word.length > 0);
+  const tokenCounts = new Map();
+  const wordTokens = word => {
+    if (!tokenCounts.has(word)) {
+      tokenCounts.set(word, countTokens(` ${word}`));
+    }
+    return tokenCounts.get(word);
+  };
+
+  // Expand oversized words into token-sized fragments first
+  const units = [];
+  words.forEach((word, wordIndex) => {
+    const tokens = wordTokens(word);
+    if (tokens <= maxTokens) {
+      units.push({ text: word, tokens, wordIndex });
+      return;
+    }
+    const encoded = encode(word);
+    for (let i = 0; i < encoded.length; i += maxTokens) {
+      const piece = encoded.slice(i, i + maxTokens);
+      units.push({ text: decode(piece), tokens: piece.length, wordIndex });
+    }
+  });
+
+  // Words are separated by spaces; fragments of one word are not
+  const joinUnits = list => list
+    .map((unit, i) => (i > 0 && unit.wordIndex !== list[i - 1].wordIndex ? ` ${unit.text}` : unit.text))
+    .join('');
+
+  const pieces = [];
+  let start = 0;
+
+  while (start < units.length) {
+    let end = start;
+    let tokens = 0;
+    while (end < units.length && tokens + units[end].tokens <= maxTokens) {
+      tokens += units[end].tokens;
+      end++;
+    }
+    if (end === start) {
+      end = start + 1;
+      tokens = units[start].tokens;
+    }
+
+    pieces.push({
+      text: joinUnits(units.slice(start, end)),
+      startIndex: units[start].wordIndex,
+      wordCount: units[end - 1].wordIndex - units[start].wordIndex + 1,
+      tokenCount: tokens
+    });
+
+    if (end >= units.length) break;
+
+    // Step back far enough to repeat roughly `overlap` tokens in the next
+    // piece, leaving room for it to make progress past this one
+    let next = end;
+    let overlapTokens = 0;
+    const room = Math.min(overlap, maxTokens - units[end].tokens);
+    while (next > start + 1 && overlapTokens + units[next - 1].tokens <= room) {
+      next--;
+      overlapTokens += units[next].tokens;
+    }
+    start = next;
+  }
+
+  return pieces;
+}
+
+module.exports = {
+  ENCODING_NAME,
+  encode,
+  decode,
+  countTokens,
+  splitByTokens
+};
@@ -0,0 +1,224 @@
+const { dot, norm } = require('./vectorMath');
+const KeywordIndex = require('./KeywordIndex');
+const { describeSource } = require('./resultProcessing');
+
+// Topic overview of an index: chunk vectors are grouped with spherical
+// k-means (cosine similarity to unit-length centroids), and each cluster is
+// labelled with the terms that are frequent in it but rare in the others
+// (class-based TF-IDF). Everything runs locally on the stored vectors; no
+// embeddings or chat calls are made. Initialization is k-means++ with a
+// seeded generator, so the same index gives the same topics.
+
+// Words too common in requirement documents to describe a topic
+const LABEL_STOPWORDS = new Set([
+  'shall', 'must', 'should', 'may', 'can', 'cannot', 'not', 'no', 'be', 'been', 'being', 'all', 'any',
+  'each', 'every', 'if', 'when', 'then', 'than', 'which', 'who', 'what', 'where', 'there', 'their',
+  'they', 'them', 'these', 'those', 'into', 'onto', 'also', 'only', 'such', 'other', 'more', 'most',
+  'but', 'so', 'do', 'does', 'did', 'we', 'our', 'you', 'your', 'i', 'he', 'she', 'his', 'her',
+  'would', 'could', 'after', 'before', 'within', 'per', 'via', 'about', 'up', 'out', 'over', 'under'
+]);
+
+const labelTerms = text => KeywordIndex.tokenize(text)
+  .filter(term => term.length > 2 && !/\d/.test(term) && !LABEL_STOPWORDS.has(term));
+
+// Mulberry32: small deterministic PRNG returning floats in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const normalize = vector => {
+  const length = norm(vector);
+  return length > 0 ? vector.map(value => value / length) : vector.slice();
+};
+
+// Default number of topics: about sqrt(n / 2), between 2 and 20
+function defaultTopicCount(count) {
+  return Math.max(2, Math.min(20, Math.round(Math.sqrt(count / 2))));
+}
+
+// k-means++ seeding: each next centroid is drawn with probability
+// proportional to its distance (1 - cosine) from the nearest chosen one
+function seedCentroids(vectors, k, random) {
+  const centroids = [vectors[Math.floor(random() * vectors.length)]];
+  const distances = vectors.map(vector => 1 - dot(vector, centroids[0]));
+
+  while (centroids.length < k) {
+    const total = distances.reduce((sum, distance) => sum + Math.max(distance, 0), 0);
+    let index = 0;
+    if (total > 0) {
+      let target = random() * total;
+      for (index = 0; index < vectors.length - 1; index++) {
+        target -= Math.max(distances[index], 0);
+        if (target <= 0) break;
+      }
+    } else {
+      index = Math.floor(random() * vectors.length);
+    }
+
+    const centroid = vectors[index];
+    centroids.push(centroid);
+    vectors.forEach((vector, i) => {
+      distances[i] = Math.min(distances[i], 1 - dot(vector, centroid));
+    });
+  }
+
+  return centroids;
+}
+
+// Spherical k-means over unit vectors. Returns { assignments, centroids,
+// iterations }; empty clusters are re-seeded with the worst-fitting vector.
+function kMeans(vectors, k, { maxIterations = 50, seed = 42 } = {}) {
+  const random = createRandom(seed);
+  let centroids = seedCentroids(vectors, k, random);
+  const assignments = new Array(vectors.length).fill(-1);
+  let iterations = 0;
+
+  for (; iterations < maxIterations; iterations++) {
+    let changed = false;
+    const similarities = new Array(vectors.length);
+
+    vectors.forEach((vector, i) => {
+      let best = 0;
+      let bestSimilarity = -Infinity;
+      centroids.forEach((centroid, c) => {
+        const similarity = dot(vector, centroid);
+        if (similarity > bestSimilarity) {
+          best = c;
+          bestSimilarity = similarity;
+        }
+      });
+      similarities[i] = bestSimilarity;
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        changed = true;
+      }
+    });
+
+    if (!changed) break;
+
+    const dimensions = vectors[0].length;
+    const sums = centroids.map(() => new Float64Array(dimensions));
+    const counts = new Array(k).fill(0);
+    vectors.forEach((vector, i) => {
+      const sum = sums[assignments[i]];
+      for (let d = 0; d < dimensions; d++) sum[d] += vector[d];
+      counts[assignments[i]]++;
+    });
+
+    centroids = sums.map((sum, c) => {
+      if (counts[c] > 0) {
+        return normalize(Array.from(sum));
+      }
+      const worst = similarities.indexOf(Math.min(...similarities));
+      similarities[worst] = Infinity;
+      return vectors[worst];
+    });
+  }
+
+  return { assignments, centroids, iterations };
+}
+
+// Distinctive terms per cluster (class-based TF-IDF): a term's share of
+// the cluster's words, weighted by how concentrated it is in this cluster
+function labelClusters(clusterTexts, keywordCount) {
+  const counts = clusterTexts.map(texts => {
+    const termCounts = new Map();
+    const chunkCounts = new Map();
+    texts.forEach(text => {
+      const terms = labelTerms(text);
+      terms.forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1));
+      new Set(terms).forEach(term => chunkCounts.set(term, (chunkCounts.get(term) || 0) + 1));
+    });
+    return { termCounts, chunkCounts, total: [...termCounts.values()].reduce((sum, n) => sum + n, 0) };
+  });
+
+  const totals = new Map();
+  counts.forEach(({ termCounts }) => {
+    termCounts.forEach((count, term) => totals.set(term, (totals.get(term) || 0) + count));
+  });
+  const averageWords = counts.reduce((sum, cluster) => sum + cluster.total, 0) / Math.max(counts.length, 1);
+
+  return counts.map(({ termCounts, chunkCounts, total }, c) => {
+    // In larger topics, terms from a single chunk only describe that chunk
+    const minChunks = clusterTexts[c].length >= 5 ? 2 : 1;
+    return [...termCounts.entries()]
+      .filter(([term]) => chunkCounts.get(term) >= minChunks)
+      .map(([term, count]) => ({
+        term,
+        score: (count / total) * Math.log(1 + averageWords / totals.get(term))
+      }))
+      .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+      .slice(0, keywordCount);
+  });
+}
+
+// Topics for items ({ id, vector, metadata } as stored in the index), largest
+// first: { topicCount, totalChunks, topics: [{ id, size, share, cohesion,
+// keywords, documents, examples }] }. cohesion is the mean cosine similarity
+// of the topic's chunks to its centroid; examples are the chunks closest to it.
+function clusterTopics(items, options = {}) {
+  const { keywords: keywordCount = 8, examples: exampleCount = 2, seed = 42 } = options;
+
+  if (items.length === 0) {
+    return { topicCount: 0, totalChunks: 0, topics: [] };
+  }
+
+  const k = Math.max(1, Math.min(options.k || defaultTopicCount(items.length), items.length));
+  const vectors = items.map(item => normalize(item.vector));
+  const { assignments, centroids } = kMeans(vectors, k, { seed });
+
+  const members = centroids.map(() => []);
+  assignments.forEach((cluster, i) => members[cluster].push(i));
+
+  const keywords = labelClusters(members.map(indexes => indexes.map(i => items[i].metadata.text || '')), keywordCount);
+
+  const topics = members
+    .map((indexes, c) => {
+      if (indexes.length === 0) return null;
+
+      const similarities = indexes.map(i => ({ i, similarity: dot(vectors[i], centroids[c]) }));
+      const documents = new Map();
+      indexes.forEach(i => {
+        const metadata = items[i].metadata;
+        const document = metadata.relativePath || metadata.fileName;
+        documents.set(document, (documents.get(document) || 0) + 1);
+      });
+
+      return {
+        size: indexes.length,
+        share: indexes.length / items.length,
+        cohesion: similarities.reduce((sum, entry) => sum + entry.similarity, 0) / indexes.length,
+        keywords: keywords[c],
+        documents: [...documents.entries()]
+          .map(([document, chunks]) => ({ document, chunks }))
+          .sort((a, b) => b.chunks - a.chunks || a.document.localeCompare(b.document)),
+        examples: similarities
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, exampleCount)
+          .map(({ i }) => ({
+            chunkId: items[i].id,
+            location: describeSource(items[i].metadata),
+            text: items[i].metadata.text
+          }))
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.size - a.size)
+    .map((topic, index) => ({ id: index + 1, ...topic }));
+
+  return { topicCount: topics.length, totalChunks: items.length, topics };
+}
+
+module.exports = {
+  defaultTopicCount,
+  kMeans,
+  labelClusters,
+  clusterTopics
+};
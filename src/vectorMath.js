@@ -0,0 +1,25 @@
+// Small vector helpers shared by search, clustering and comparison features
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function norm(vector) {
+  return Math.sqrt(dot(vector, vector));
+}
+
+function cosineSimilarity(a, b) {
+  const normA = norm(a);
+  const normB = norm(b);
+  return normA > 0 && normB > 0 ? dot(a, b) / (normA * normB) : 0;
+}
+
+module.exports = {
+  dot,
+  norm,
+  cosineSimilarity
+};
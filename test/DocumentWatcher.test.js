@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DocumentWatcher = require('../src/DocumentWatcher');
+
+describe('DocumentWatcher', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('collects changes into one sorted batch once they settle', async () => {
+    jest.useFakeTimers();
+    const batches = [];
+    const watcher = new DocumentWatcher('/docs', { debounceMs: 100, onBatch: async paths => batches.push(paths) });
+
+    watcher.add('/docs/b.md');
+    await jest.advanceTimersByTimeAsync(60);
+    watcher.add('/docs/a.md');
+    watcher.add('/docs/b.md');
+    await jest.advanceTimersByTimeAsync(60);
+    expect(batches).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(40);
+    expect(batches).toEqual([['/docs/a.md', '/docs/b.md']]);
+  });
+
+  test('ignores filtered paths and asks for a rescan when it cannot tell what changed', async () => {
+    jest.useFakeTimers();
+    const batches = [];
+    const watcher = new DocumentWatcher('/docs', {
+      debounceMs: 10,
+      ignore: filePath => filePath.endsWith('.tmp'),
+      onBatch: async paths => batches.push(paths)
+    });
+
+    watcher.add('/docs/a.md.tmp');
+    await jest.advanceTimersByTimeAsync(20);
+    expect(batches).toEqual([]);
+
+    watcher.add('/docs/a.md');
+    watcher.rescanPending = true;
+    await jest.advanceTimersByTimeAsync(20);
+    expect(batches).toEqual([null]);
+  });
+
+  test('holds changes made during a batch for the next one', async () => {
+    jest.useFakeTimers();
+    const batches = [];
+    let finishBatch;
+    const watcher = new DocumentWatcher('/docs', {
+      debounceMs: 10,
+      onBatch: paths => {
+        batches.push(paths);
+        return new Promise(resolve => { finishBatch = resolve; });
+      }
+    });
+
+    watcher.add('/docs/a.md');
+    await jest.advanceTimersByTimeAsync(10);
+    watcher.add('/docs/b.md');
+    await jest.advanceTimersByTimeAsync(50);
+    expect(batches).toEqual([['/docs/a.md']]);
+
+    finishBatch();
+    await jest.advanceTimersByTimeAsync(10);
+    expect(batches).toEqual([['/docs/a.md'], ['/docs/b.md']]);
+    finishBatch();
+    await watcher.close();
+  });
+
+  test('reports batch failures and keeps going', async () => {
+    jest.useFakeTimers();
+    const errors = [];
+    const watcher = new DocumentWatcher('/docs', {
+      debounceMs: 10,
+      onBatch: async () => { throw new Error('index locked'); },
+      onError: error => errors.push(error.message)
+    });
+
+    watcher.add('/docs/a.md');
+    await jest.advanceTimersByTimeAsync(10);
+
+    expect(errors).toEqual(['index locked']);
+    expect(watcher.processing).toBeNull();
+  });
+
+  test('reports files changed on disk', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-watch-'));
+    let resolveBatch;
+    const batch = new Promise(resolve => { resolveBatch = resolve; });
+    const watcher = new DocumentWatcher(directory, { debounceMs: 50, onBatch: async paths => resolveBatch(paths) });
+
+    try {
+      watcher.start();
+      await fs.writeFile(path.join(directory, 'spec.md'), '# Spec');
+      expect(await batch).toEqual([path.join(directory, 'spec.md')]);
+    } finally {
+      await watcher.close();
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const EmbeddingCache = require('../src/EmbeddingCache');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+
+const exists = file => fs.access(file).then(() => true, () => false);
+
+describe('EmbeddingCache', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('is only marked dirty when entries change', async () => {
+    const cache = new EmbeddingCache(directory);
+    await cache.set('local', 'm', 'lockout', [1, 0]);
+    await cache.flush();
+
+    const reloaded = new EmbeddingCache(directory);
+    const vectors = await reloaded.getMany('local', 'm', ['lockout', 'sessions']);
+
+    expect(vectors).toEqual([[1, 0], null]);
+    expect(reloaded.dirty).toBe(false);
+
+    const save = jest.spyOn(reloaded, 'save');
+    await reloaded.flush();
+    expect(save).not.toHaveBeenCalled();
+
+    await reloaded.set('local', 'm', 'sessions', [0, 1]);
+    await reloaded.flush();
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(await new EmbeddingCache(directory).getStats()).toMatchObject({ entries: 2, hits: 1, misses: 1 });
+  });
+
+  test('indexing many documents writes the cache once at the end', async () => {
+    const docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'a.md'), '# A\nREQ-1 Accounts lock after 5 failed attempts.');
+    await fs.writeFile(path.join(docs, 'b.md'), '# B\nREQ-2 Sessions expire after 30 minutes.');
+
+    const indexPath = path.join(directory, 'index');
+    const engine = new RequirementsSearchEngine(indexPath, undefined, {
+      embeddingProvider: { provider: 'local' },
+      documentRoot: docs
+    });
+    const save = jest.spyOn(engine.embeddingCache, 'save');
+
+    await engine.indexDocument(path.join(docs, 'a.md'), { flushCache: false });
+    await engine.indexDocument(path.join(docs, 'b.md'), { flushCache: false });
+    expect(save).not.toHaveBeenCalled();
+    expect(await exists(engine.embeddingCache.cachePath)).toBe(false);
+
+    await engine.flushEmbeddingCache();
+    expect(save).toHaveBeenCalledTimes(1);
+    expect((await new EmbeddingCache(indexPath).getStats()).entries).toBe(2);
+
+    await engine.search('failed attempts', 2);
+    await engine.indexDocument(path.join(docs, 'a.md'), { force: true });
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+});
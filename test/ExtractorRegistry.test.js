@@ -0,0 +1,56 @@
+const ExtractorRegistry = require('../src/ExtractorRegistry');
+
+const extractor = (name, extensions, mimeTypes = []) => ({
+  name,
+  extensions,
+  mimeTypes,
+  extract: async () => [{ text: name }]
+});
+
+describe('ExtractorRegistry', () => {
+  test('looks up extractors by extension, file and MIME type', () => {
+    const registry = new ExtractorRegistry();
+    registry.register(extractor('markdown', ['.MD', 'markdown'], ['text/markdown']));
+
+    expect(registry.getForExtension('md').name).toBe('markdown');
+    expect(registry.getForFile('/docs/Spec.md').name).toBe('markdown');
+    expect(registry.getForMimeType('text/markdown; charset=utf-8').name).toBe('markdown');
+    expect(registry.getForFile('/docs/spec.txt')).toBeNull();
+    expect(registry.extensions()).toEqual(['md', 'markdown']);
+  });
+
+  test('rejects extractors without a name, extract function or extension', () => {
+    const registry = new ExtractorRegistry();
+
+    expect(() => registry.register({ extensions: ['x'], extract: async () => [] })).toThrow('needs a name');
+    expect(() => registry.register({ name: 'x', extensions: ['x'] })).toThrow('extract(filePath, options)');
+    expect(() => registry.register({ name: 'x', extensions: [], extract: async () => [] })).toThrow('file extension');
+  });
+
+  test('a later registration for an extension takes it over', () => {
+    const registry = new ExtractorRegistry();
+    registry.register(extractor('text', ['txt', 'log']));
+    registry.register(extractor('logs', ['log']));
+
+    expect(registry.getForExtension('log').name).toBe('logs');
+    expect(registry.getForExtension('txt').name).toBe('text');
+    expect(registry.list().map(entry => entry.name)).toEqual(['text', 'logs']);
+  });
+
+  test('re-registering a name drops the mappings it no longer claims', () => {
+    const registry = new ExtractorRegistry();
+    registry.register(extractor('drawio', ['drawio', 'xml'], ['application/vnd.jgraph.mxfile']));
+    registry.register(extractor('drawio', ['drawio']));
+
+    expect(registry.getForExtension('xml')).toBeNull();
+    expect(registry.getForMimeType('application/vnd.jgraph.mxfile')).toBeNull();
+    expect(registry.extensions()).toEqual(['drawio']);
+    expect(registry.list()).toHaveLength(1);
+  });
+
+  test('registers every built-in format', () => {
+    const registry = ExtractorRegistry.withBuiltins();
+
+    expect(registry.extensions()).toEqual(expect.arrayContaining(['pdf', 'docx', 'xlsx', 'txt', 'md', 'html', 'csv', 'json', 'pptx', 'odt', 'rtf']));
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const IndexManifest = require('../src/IndexManifest');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+
+describe('IndexManifest', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-manifest-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('saves entries keyed by relative path and loads them back', async () => {
+    const manifest = new IndexManifest(directory);
+    await manifest.setDocumentRoot('/docs');
+    await manifest.setEmbeddingInfo({ provider: 'local', model: 'hash', dimensions: 64 });
+    await manifest.set('auth/spec.md', { path: '/docs/auth/spec.md', size: 10, mtimeMs: 1, hash: 'abc' });
+    await manifest.save();
+
+    const reloaded = new IndexManifest(directory);
+    expect(await reloaded.get('auth/spec.md')).toMatchObject({ relativePath: 'auth/spec.md', path: '/docs/auth/spec.md', hash: 'abc' });
+    expect(await reloaded.getDocumentRoot()).toBe('/docs');
+    expect((await reloaded.getEmbeddingInfo()).dimensions).toBe(64);
+    expect(JSON.parse(await fs.readFile(reloaded.manifestPath, 'utf-8')).version).toBe(2);
+  });
+
+  test('treats a missing manifest as empty and rejects a corrupt one', async () => {
+    expect(await new IndexManifest(directory).list()).toEqual([]);
+
+    await fs.writeFile(path.join(directory, 'manifest.json'), '{ not json');
+    await expect(new IndexManifest(directory).load()).rejects.toThrow('Failed to read index manifest');
+  });
+
+  test('re-keys version 1 entries that know their relative path', () => {
+    const files = IndexManifest.keyByRelativePath({
+      '/docs/auth.md': { relativePath: 'auth.md', hash: 'a' },
+      '/docs/old.md': { hash: 'b' }
+    });
+
+    expect(files['auth.md']).toMatchObject({ path: '/docs/auth.md', hash: 'a' });
+    expect(files['/docs/old.md']).toMatchObject({ path: '/docs/old.md', hash: 'b' });
+  });
+
+  test('decides unchanged files by size and mtime, then by content hash', () => {
+    const entry = { size: 10, mtimeMs: 100, hash: 'abc' };
+
+    expect(IndexManifest.isUnchanged(entry, { size: 10, mtimeMs: 100, hash: 'other' })).toBe(true);
+    expect(IndexManifest.isUnchanged(entry, { size: 10, mtimeMs: 200, hash: 'abc' })).toBe(true);
+    expect(IndexManifest.isUnchanged(entry, { size: 10, mtimeMs: 200, hash: 'def' })).toBe(false);
+    expect(IndexManifest.isUnchanged(entry, { size: 11, mtimeMs: 100, hash: 'abc' })).toBe(false);
+    expect(IndexManifest.isUnchanged(null, { size: 10, mtimeMs: 100, hash: 'abc' })).toBe(false);
+  });
+});
+
+describe('incremental indexing', () => {
+  let directory;
+  let docs;
+  let engine;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-incremental-'));
+    docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'auth.md'), '# Authentication\nREQ-1 Accounts lock after 5 failed attempts.');
+    engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: { provider: 'local' },
+      documentRoot: docs
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const indexAuth = options => engine.indexDocument(path.join(docs, 'auth.md'), options);
+
+  test('skips unchanged files and replaces the chunks of changed ones', async () => {
+    expect((await indexAuth()).status).toBe('added');
+    const { totalChunks } = await engine.getStats();
+
+    const touched = new Date(Date.now() + 60000);
+    await fs.utimes(path.join(docs, 'auth.md'), touched, touched);
+    expect(await indexAuth()).toMatchObject({ status: 'unchanged', chunksCreated: 0 });
+
+    await fs.writeFile(path.join(docs, 'auth.md'), '# Authentication\nREQ-1 Accounts lock after 3 failed attempts.');
+    expect((await indexAuth()).status).toBe('updated');
+    expect((await engine.getStats()).totalChunks).toBe(totalChunks);
+  });
+
+  test('re-indexes when forced or when chunking options or tags change', async () => {
+    await indexAuth();
+
+    expect((await indexAuth({ force: true })).status).toBe('updated');
+    expect((await indexAuth({ tags: { team: 'identity' } })).status).toBe('updated');
+    expect((await indexAuth({ tags: { team: 'identity' } })).status).toBe('unchanged');
+
+    engine.setChunkingOptions({ strategy: 'fixed' });
+    expect((await indexAuth({ tags: { team: 'identity' } })).status).toBe('updated');
+  });
+
+  test('removes documents that were deleted from disk', async () => {
+    await fs.writeFile(path.join(docs, 'billing.md'), '# Billing\nREQ-10 Invoices are sent monthly.');
+    await indexAuth();
+    await engine.indexDocument(path.join(docs, 'billing.md'));
+
+    await fs.rm(path.join(docs, 'billing.md'));
+    const removed = await engine.removeMissingDocuments(docs);
+
+    expect(removed).toHaveLength(1);
+    expect(await engine.isDocumentIndexed(path.join(docs, 'billing.md'))).toBe(false);
+    expect((await engine.getStats()).documents).toEqual(['auth.md']);
+  });
+});
@@ -0,0 +1,207 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+const SearchApiServer = require('../src/SearchApiServer');
+
+const API_KEY = 'test-key';
+
+describe('SearchApiServer', () => {
+  let directory;
+  let docsRoot;
+  let engine;
+  let app;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-api-'));
+    docsRoot = path.join(directory, 'docs');
+    await fs.mkdir(docsRoot);
+    await fs.writeFile(path.join(docsRoot, 'auth.md'), [
+      '# Authentication',
+      '## Lockout',
+      'REQ-1 The account is locked after 5 failed login attempts.',
+      '## Sessions',
+      'REQ-2 Sessions expire after 30 minutes of inactivity.'
+    ].join('\n'));
+    await fs.writeFile(path.join(directory, 'outside.md'), '# Outside\nNot part of the documents root.');
+
+    engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: { provider: 'local' },
+      documentRoot: docsRoot
+    });
+    const server = new SearchApiServer(engine, { apiKey: API_KEY, docsRoot });
+    app = server.handler;
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const indexAuth = () => request(app)
+    .post('/documents')
+    .set('X-API-Key', API_KEY)
+    .send({ path: 'auth.md' });
+
+  describe('authentication', () => {
+    test('rejects requests without a key', async () => {
+      const response = await request(app).post('/search').send({ query: 'lockout' });
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      expect(response.body.error.code).toBe('unauthorized');
+    });
+
+    test('rejects a wrong key and accepts a bearer token', async () => {
+      await request(app).get('/stats').set('X-API-Key', 'wrong').expect(401);
+      await request(app).get('/stats').set('Authorization', `Bearer ${API_KEY}`).expect(200);
+    });
+
+    test('leaves health and the OpenAPI document public', async () => {
+      await request(app).get('/health').expect(200, { status: 'ok' });
+      await request(app).get('/openapi.json').expect(200);
+    });
+  });
+
+  test('rejects requests that do not match the schema', async () => {
+    const response = await request(app)
+      .post('/search')
+      .set('X-API-Key', API_KEY)
+      .send({ query: '', topK: 500, unknown: true });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('invalid_request');
+    expect(response.body.error.details.length).toBeGreaterThanOrEqual(3);
+  });
+
+  test('requires a JSON body', async () => {
+    await request(app)
+      .post('/search')
+      .set('X-API-Key', API_KEY)
+      .set('Content-Type', 'text/plain')
+      .send('lockout')
+      .expect(415);
+  });
+
+  test('refuses paths outside the documents root', async () => {
+    const indexResponse = await request(app)
+      .post('/documents')
+      .set('X-API-Key', API_KEY)
+      .send({ path: '../outside.md' });
+    const deleteResponse = await request(app)
+      .delete('/documents')
+      .query({ path: path.join(directory, 'outside.md') })
+      .set('X-API-Key', API_KEY);
+
+    expect(indexResponse.status).toBe(403);
+    expect(indexResponse.body.error.code).toBe('forbidden_path');
+    expect(deleteResponse.status).toBe(403);
+  });
+
+  test('refuses symlinks that lead outside the documents root', async () => {
+    await fs.symlink(path.join(directory, 'outside.md'), path.join(docsRoot, 'linked.md'));
+    await fs.symlink(directory, path.join(docsRoot, 'parent'));
+
+    const linkedFile = await request(app).post('/documents').set('X-API-Key', API_KEY).send({ path: 'linked.md' });
+    const linkedDirectory = await request(app).post('/documents').set('X-API-Key', API_KEY).send({ path: 'parent/outside.md' });
+    const deleteResponse = await request(app).delete('/documents').query({ path: 'parent/gone.md' }).set('X-API-Key', API_KEY);
+
+    expect(linkedFile.status).toBe(403);
+    expect(linkedDirectory.status).toBe(403);
+    expect(deleteResponse.status).toBe(403);
+  });
+
+  test('indexes a document and searches it', async () => {
+    const indexed = await indexAuth().expect(200);
+    expect(indexed.body).toMatchObject({ path: path.join(docsRoot, 'auth.md'), status: 'added' });
+    expect(indexed.body.chunksCreated).toBeGreaterThan(0);
+
+    const response = await request(app)
+      .post('/search')
+      .set('X-API-Key', API_KEY)
+      .send({ query: 'failed login attempts', topK: 1, mode: 'vector' })
+      .expect(200);
+
+    expect(response.body.query).toBe('failed login attempts');
+    expect(response.body.results).toHaveLength(1);
+    expect(response.body.results[0].text).toContain('REQ-1');
+  });
+
+  test('reindexes only changed documents unless forced', async () => {
+    await indexAuth().expect(200);
+
+    const unchanged = await indexAuth().expect(200);
+    expect(unchanged.body.status).toBe('unchanged');
+
+    const forced = await request(app)
+      .post('/documents')
+      .set('X-API-Key', API_KEY)
+      .send({ path: 'auth.md', force: true })
+      .expect(200);
+    expect(forced.body.status).toBe('updated');
+
+    await fs.appendFile(path.join(docsRoot, 'auth.md'), '\n## Audit\nREQ-3 Every login is written to the audit log.');
+    const updated = await indexAuth().expect(200);
+    expect(updated.body.status).toBe('updated');
+
+    const stats = await request(app).get('/stats').set('X-API-Key', API_KEY).expect(200);
+    expect(stats.body.totalDocuments).toBe(1);
+  });
+
+  test('reports missing files and unsupported types', async () => {
+    await fs.writeFile(path.join(docsRoot, 'diagram.bin'), 'binary');
+
+    await request(app).post('/documents').set('X-API-Key', API_KEY).send({ path: 'missing.md' }).expect(404);
+    await request(app).post('/documents').set('X-API-Key', API_KEY).send({ path: 'diagram.bin' }).expect(415);
+  });
+
+  test('deletes an indexed document', async () => {
+    await indexAuth().expect(200);
+
+    const removed = await request(app)
+      .delete('/documents')
+      .query({ path: 'auth.md' })
+      .set('X-API-Key', API_KEY)
+      .expect(200);
+    expect(removed.body.chunksRemoved).toBeGreaterThan(0);
+
+    await request(app).delete('/documents').query({ path: 'auth.md' }).set('X-API-Key', API_KEY).expect(404);
+    await request(app).delete('/documents').set('X-API-Key', API_KEY).expect(400);
+
+    const search = await request(app)
+      .post('/search')
+      .set('X-API-Key', API_KEY)
+      .send({ query: 'failed login attempts' })
+      .expect(200);
+    expect(search.body.results).toHaveLength(0);
+  });
+
+  test('serves an OpenAPI document describing the routes and the API key', async () => {
+    const response = await request(app).get('/openapi.json').expect(200);
+
+    expect(response.body.openapi).toMatch(/^3\./);
+    expect(Object.keys(response.body.paths)).toEqual(
+      expect.arrayContaining(['/search', '/find-text', '/analyze', '/stats', '/documents'])
+    );
+    expect(response.body.paths['/documents']).toHaveProperty('delete');
+    expect(response.body.components.schemas.SearchRequest.required).toEqual(['query']);
+    expect(response.body.components.securitySchemes).toBeDefined();
+  });
+
+  test('hides the detail of unexpected errors from the response', async () => {
+    const failure = new Error(`EACCES: permission denied, open '${path.join(directory, 'index', 'index.json')}'`);
+    jest.spyOn(engine, 'getStats').mockRejectedValue(failure);
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app).get('/stats').set('X-API-Key', API_KEY).expect(500);
+
+    expect(response.body.error).toEqual({ code: 'internal_error', message: 'Internal server error' });
+    expect(log).toHaveBeenCalledWith('GET /stats failed:', failure);
+    log.mockRestore();
+  });
+
+  test('answers unknown routes and methods with errors', async () => {
+    await request(app).get('/nope').set('X-API-Key', API_KEY).expect(404);
+    await request(app).get('/search').set('X-API-Key', API_KEY).expect(405);
+  });
+});
@@ -0,0 +1,57 @@
+const TraceGraph = require('../src/TraceGraph');
+
+const item = (id, relativePath, ids, definedIds) => ({
+  id,
+  metadata: { fileName: relativePath.split('/').pop(), relativePath, chunkIndex: 0, type: 'text', ids, definedIds, preview: id }
+});
+
+describe('TraceGraph', () => {
+  const graph = TraceGraph.fromItems([
+    item('spec_1', 'spec.md', ['REQ-1'], ['REQ-1']),
+    item('spec_2', 'spec.md', ['REQ-2', 'REQ-1'], ['REQ-2']),
+    item('tests_1', 'qa/tests.csv', ['TC-88', 'REQ-1'], ['TC-88']),
+    item('notes_1', 'notes.md', ['REQ-1', 'BUG-7'], [])
+  ]);
+
+  test('links the IDs a chunk defines to the IDs it mentions', () => {
+    expect(graph.outgoing('TC-88')).toEqual([{ id: 'REQ-1', via: ['tests_1'] }]);
+    expect(graph.incoming('REQ-1').map(link => link.id)).toEqual(['REQ-2', 'TC-88']);
+    expect(graph.ids()).toEqual(['BUG-7', 'REQ-1', 'REQ-2', 'TC-88']);
+  });
+
+  test('traces an ID to its definitions, mentions and neighbourhood', () => {
+    const trace = graph.trace('req-1');
+
+    expect(trace).toMatchObject({ id: 'REQ-1', found: true });
+    expect(trace.definitions.map(ref => ref.chunkId)).toEqual(['spec_1']);
+    expect(trace.mentions.map(ref => ref.chunkId)).toEqual(['spec_2', 'tests_1', 'notes_1']);
+    expect(trace.graph.nodes.map(node => node.id)).toEqual(['REQ-1', 'REQ-2', 'TC-88']);
+    expect(trace.graph.edges.map(edge => `${edge.from}->${edge.to}`)).toEqual(['REQ-2->REQ-1', 'TC-88->REQ-1']);
+  });
+
+  test('follows links up to the given depth', () => {
+    expect(graph.trace('TC-88', 1).graph.nodes.map(node => node.id)).toEqual(['TC-88', 'REQ-1']);
+    expect(graph.trace('TC-88', 2).graph.nodes.map(node => [node.id, node.distance])).toEqual([['TC-88', 0], ['REQ-1', 1], ['REQ-2', 2]]);
+    expect(graph.trace('REQ-404').found).toBe(false);
+  });
+
+  test('exports DOT with undefined IDs dashed', () => {
+    const dot = TraceGraph.toDot({
+      nodes: [
+        { id: 'TC-88', defined: true, definedIn: ['qa/tests.csv'] },
+        { id: 'BUG-7', defined: false, definedIn: [] }
+      ],
+      edges: [{ from: 'TC-88', to: 'BUG-7' }]
+    }, 'TC-88');
+
+    expect(dot).toBe([
+      'digraph "TC-88" {',
+      '  rankdir=LR;',
+      '  node [shape=box];',
+      '  "TC-88" [label="TC-88\\nqa/tests.csv"];',
+      '  "BUG-7" [label="BUG-7", style=dashed];',
+      '  "TC-88" -> "BUG-7";',
+      '}'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+const { LocalChatModel, NOT_FOUND } = require('../src/ChatModels');
+const { SYSTEM_PROMPT, buildSources, parseReply } = require('../src/answering');
+
+describe('engine.answer with the local chat model', () => {
+  let directory;
+  let docs;
+  let engine;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-answer-'));
+    docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'auth.md'), [
+      '# Authentication',
+      '## Lockout',
+      'REQ-1 The account is locked after 5 failed login attempts.',
+      '## Sessions',
+      'REQ-2 Sessions expire after 30 minutes of inactivity.'
+    ].join('\n'));
+    await fs.writeFile(path.join(docs, 'billing.md'), [
+      '# Billing',
+      '## Invoices',
+      'REQ-10 Invoices are generated on the first day of each month.'
+    ].join('\n'));
+
+    engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: { provider: 'local' },
+      chatModel: { provider: 'local' },
+      documentRoot: docs
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const indexDocs = async () => {
+    await engine.indexDocument(path.join(docs, 'auth.md'));
+    await engine.indexDocument(path.join(docs, 'billing.md'));
+  };
+
+  test('answers from the documents and cites the source it used', async () => {
+    await indexDocs();
+
+    const result = await engine.answer('How many failed login attempts lock the account?', { topK: 3 });
+
+    expect(result.found).toBe(true);
+    expect(result.model).toEqual({ provider: 'local', model: 'extractive' });
+    expect(result.answer).toMatch(/locked after 5 failed login attempts\. \[\d\]/);
+    expect(result.citations).toHaveLength(1);
+    expect(result.citations[0].relativePath).toBe('auth.md');
+    expect(result.citations[0].text).toContain('REQ-1');
+    expect(result.sources.map(source => source.number)).toEqual(
+      result.sources.map((source, i) => i + 1)
+    );
+  });
+
+  test('reports "not found" when the sources do not answer the question', async () => {
+    await indexDocs();
+
+    const result = await engine.answer('Which currency do refunds use?', { topK: 3 });
+
+    expect(result.found).toBe(false);
+    expect(result.answer).toBeNull();
+    expect(result.citations).toEqual([]);
+    expect(result.sources.length).toBeGreaterThan(0);
+  });
+
+  test('reports "not found" without calling the model when nothing is retrieved', async () => {
+    const complete = jest.fn();
+    engine.setChatModel({ name: 'stub', model: 'never-called', complete });
+
+    const result = await engine.answer('How many failed login attempts lock the account?');
+
+    expect(result).toMatchObject({ found: false, answer: null, citations: [], sources: [] });
+    expect(complete).not.toHaveBeenCalled();
+  });
+
+  test('sends the numbered sources and the grounding rules to the model', async () => {
+    await indexDocs();
+    const local = new LocalChatModel();
+    const complete = jest.fn(request => local.complete(request));
+    engine.setChatModel({ name: 'stub', model: 'recording', complete });
+
+    await engine.answer('When do sessions expire?', { topK: 2 });
+
+    const [{ messages, question, sources }] = complete.mock.calls[0];
+    expect(question).toBe('When do sessions expire?');
+    expect(messages[0]).toEqual({ role: 'system', content: SYSTEM_PROMPT });
+    expect(messages[1].content).toContain('[1] ');
+    expect(messages[1].content).toMatch(/Question: When do sessions expire\?$/);
+    expect(sources.length).toBeLessThanOrEqual(2);
+  });
+});
+
+describe('LocalChatModel', () => {
+  const model = new LocalChatModel();
+  const sources = [
+    { number: 1, text: 'REQ-10 Invoices are generated on the first day of each month.' },
+    { number: 2, text: '## Lockout\nREQ-1 The account is locked after 5 failed login attempts.' }
+  ];
+
+  test('answers with the matching sentence and its source number', async () => {
+    await expect(model.complete({ question: 'When is the account locked?', sources }))
+      .resolves.toBe('REQ-1 The account is locked after 5 failed login attempts. [2]');
+  });
+
+  test('replies NOT_FOUND when no sentence covers the question', async () => {
+    await expect(model.complete({ question: 'Which currency do refunds use?', sources })).resolves.toBe(NOT_FOUND);
+    await expect(model.complete({ question: 'What is it?', sources })).resolves.toBe(NOT_FOUND);
+  });
+});
+
+describe('parseReply', () => {
+  const sources = [1, 2, 3].map(number => ({ number, text: `source ${number}` }));
+
+  test('collects citations in order of first use and drops unknown numbers', () => {
+    const reply = 'Accounts lock after 5 attempts [2][1]. Sessions expire [1, 3]. See also [7].';
+
+    const { found, answer, citations } = parseReply(reply, sources);
+
+    expect(found).toBe(true);
+    expect(answer).toBe(reply);
+    expect(citations.map(source => source.number)).toEqual([2, 1, 3]);
+  });
+
+  test('treats NOT_FOUND and empty replies as not found', () => {
+    expect(parseReply('NOT_FOUND.', sources)).toEqual({ found: false, answer: null, citations: [] });
+    expect(parseReply('  ', sources)).toEqual({ found: false, answer: null, citations: [] });
+  });
+});
+
+describe('buildSources', () => {
+  test('keeps the sources within the token budget', () => {
+    const results = [
+      { fileName: 'a.md', text: 'alpha '.repeat(50), chunkIndex: 0 },
+      { fileName: 'b.md', text: 'beta '.repeat(50), chunkIndex: 0 },
+      { fileName: 'c.md', text: 'gamma', chunkIndex: 0 }
+    ];
+
+    const sources = buildSources(results, 60);
+
+    expect(sources.map(source => source.number)).toEqual([1, 2]);
+    expect(sources[0].text).toBe(results[0].text);
+    expect(sources[1].text.endsWith('…')).toBe(true);
+  });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+const { queryFileFormat, parseQueries, batchResultsToJsonl, batchResultsToCsv } = require('../src/batchSearch');
+
+describe('query files', () => {
+  test('reads text, CSV and JSONL queries with ids from their position', () => {
+    expect(parseQueries('# smoke tests\nlockout\n\nsession timeout\n', 'txt')).toEqual([
+      { id: '1', query: 'lockout', topK: null },
+      { id: '2', query: 'session timeout', topK: null }
+    ]);
+    expect(parseQueries('id,Query,Top K\nq-lock,lockout,3\n,refunds,\n', 'csv')).toEqual([
+      { id: 'q-lock', query: 'lockout', topK: 3 },
+      { id: '2', query: 'refunds', topK: null }
+    ]);
+    expect(parseQueries('{"query":"lockout","id":7,"top_k":2}\n"refunds"\n', 'jsonl')).toEqual([
+      { id: '7', query: 'lockout', topK: 2 },
+      { id: '2', query: 'refunds', topK: null }
+    ]);
+  });
+
+  test('rejects unknown extensions and malformed entries', () => {
+    expect(queryFileFormat('queries.NDJSON')).toBe('jsonl');
+    expect(() => queryFileFormat('queries.xlsx')).toThrow('Unsupported queries file');
+    expect(() => parseQueries('{"id":1}', 'jsonl')).toThrow('Line 1: expected an object with a "query" string');
+    expect(() => parseQueries('query,top_k\nlockout,0', 'csv')).toThrow('Row 2: top_k must be a positive number');
+  });
+
+  test('writes one row per result and one per failed or empty query', () => {
+    const batch = [
+      { id: '1', query: 'lockout', results: [{ fileName: 'auth.md', chunkIndex: 0, score: 0.81234 }] },
+      { id: '2', query: 'refunds', results: [] },
+      { id: '3', query: 'broken', error: 'Embedding failed' }
+    ];
+
+    const rows = batchResultsToJsonl(batch).split('\n').map(line => JSON.parse(line));
+    expect(rows.map(row => [row.query_id, row.rank, row.file, row.error])).toEqual([
+      ['1', 1, 'auth.md', null],
+      ['2', null, null, null],
+      ['3', null, null, 'Embedding failed']
+    ]);
+    expect(batchResultsToCsv(batch).split('\n')[1]).toMatch(/^1,lockout,1,auth\.md,.*,0\.8123,$/);
+  });
+});
+
+describe('searchMany', () => {
+  let directory;
+  let engine;
+  let embedCalls;
+
+  const provider = {
+    name: 'stub',
+    model: 'topics',
+    embed: async texts => {
+      embedCalls.push(texts.length);
+      return texts.map(text => {
+        const lower = text.toLowerCase();
+        return [lower.includes('lock') ? 1 : 0, lower.includes('invoice') ? 1 : 0, 0.1];
+      });
+    }
+  };
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-batch-'));
+    const docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'auth.txt'), 'Accounts lock after five failures.');
+    await fs.writeFile(path.join(docs, 'billing.txt'), 'An invoice is sent every month.');
+
+    embedCalls = [];
+    engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: provider,
+      documentRoot: docs
+    });
+    await engine.indexDocument(path.join(docs, 'auth.txt'));
+    await engine.indexDocument(path.join(docs, 'billing.txt'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('embeds the queries in one request and keeps the input order', async () => {
+    embedCalls = [];
+    const progress = [];
+
+    const batch = await engine.searchMany(
+      ['monthly invoice', { id: 'lock', query: 'account lock', topK: 1 }],
+      2,
+      { mode: 'vector', concurrency: 2, onProgress: (done, total) => progress.push([done, total]) }
+    );
+
+    expect(embedCalls).toEqual([2]);
+    expect(batch.map(entry => entry.id)).toEqual(['1', 'lock']);
+    expect(batch[0].results[0].fileName).toBe('billing.txt');
+    expect(batch[1].results).toHaveLength(1);
+    expect(batch[1].results[0].fileName).toBe('auth.txt');
+    expect(progress).toEqual([[1, 2], [2, 2]]);
+  });
+
+  test('reports a failing query without failing the batch', async () => {
+    const search = engine.search.bind(engine);
+    const spy = jest.spyOn(engine, 'search').mockImplementation((query, ...rest) => (
+      query === 'broken' ? Promise.reject(new Error('Search failed')) : search(query, ...rest)
+    ));
+
+    try {
+      const batch = await engine.searchMany(['broken', 'account lock'], 1, { mode: 'keyword' });
+
+      expect(batch[0]).toEqual({ id: '1', query: 'broken', error: 'Search failed' });
+      expect(batch[1].results[0].fileName).toBe('auth.txt');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
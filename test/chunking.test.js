@@ -0,0 +1,74 @@
+const { countTokens } = require('../src/tokenizer');
+const { chunkText, splitIntoSections, htmlToStructuredText } = require('../src/chunking');
+
+const spec = [
+  '# Security',
+  '## 3.2 Authentication',
+  'REQ-104 The account is locked after 5 failed login attempts.',
+  'REQ-105 Lockouts are lifted after 15 minutes.',
+  '## 3.3 Sessions',
+  'Sessions expire after 30 minutes of inactivity.'
+].join('\n');
+
+describe('splitIntoSections', () => {
+  test('starts a section at each heading and requirement ID', () => {
+    const sections = splitIntoSections(spec);
+
+    expect(sections.map(section => section.requirementId)).toEqual(['REQ-104', 'REQ-105', null]);
+    expect(sections[0].headingPath).toEqual(['Security', '3.2 Authentication']);
+    expect(sections[2].headingPath).toEqual(['Security', '3.3 Sessions']);
+    expect(sections[2].sectionNumber).toBe('3.3');
+  });
+
+  test('recognizes numbered headings outside Markdown', () => {
+    const sections = splitIntoSections('3.2.1 Password Policy\nPasswords must have 12 characters.\n4 Audit\nLogins are logged.');
+
+    expect(sections.map(section => section.headingPath)).toEqual([['3.2.1 Password Policy'], ['4 Audit']]);
+  });
+});
+
+describe('chunkText', () => {
+  test('keeps each section whole with its heading path and word offset', () => {
+    const chunks = chunkText(spec);
+
+    expect(chunks).toHaveLength(3);
+    expect(chunks[0]).toMatchObject({ requirementId: 'REQ-104', headingPath: ['Security', '3.2 Authentication'] });
+    expect(chunks[0].text).toBe('REQ-104 The account is locked after 5 failed login attempts.');
+    const words = spec.split(/\s+/);
+    chunks.forEach(chunk => {
+      expect(words.slice(chunk.startIndex, chunk.startIndex + chunk.wordCount).join(' ')).toBe(chunk.text.split(/\s+/).join(' '));
+    });
+  });
+
+  test('windows sections longer than the chunk size in tokens', () => {
+    const long = `## Glossary\n${Array.from({ length: 120 }, (_, i) => `term${i}`).join(' ')}`;
+    const chunks = chunkText(long, { chunkSize: 50, overlap: 10 });
+
+    expect(chunks.length).toBeGreaterThan(2);
+    chunks.forEach(chunk => {
+      expect(countTokens(chunk.text)).toBeLessThanOrEqual(50);
+      expect(chunk.headingPath).toEqual(['Glossary']);
+    });
+  });
+
+  test('ignores document structure with the fixed strategy', () => {
+    const chunks = chunkText(spec, { strategy: 'fixed', chunkSize: 512 });
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toBe(spec.split(/\s+/).join(' '));
+  });
+
+  test('rejects invalid sizes and strategies', () => {
+    expect(() => chunkText(spec, { chunkSize: 0 })).toThrow('positive number of tokens');
+    expect(() => chunkText(spec, { chunkSize: 10, overlap: 10 })).toThrow('smaller than the chunk size');
+    expect(() => chunkText(spec, { strategy: 'pages' })).toThrow('Unknown chunking strategy');
+  });
+});
+
+describe('htmlToStructuredText', () => {
+  test('turns HTML headings into Markdown headings and decodes entities', () => {
+    const text = htmlToStructuredText('<h1>Security</h1><p>Tom &amp; Jerry&nbsp;rule</p><h2>Lockout</h2><ul><li>REQ-1 Lock</li></ul>');
+
+    expect(text).toBe('# Security\n\nTom & Jerry rule\n\n## Lockout\n\n- REQ-1 Lock');
+  });
+});
@@ -0,0 +1,53 @@
+const { analyzeCoverage } = require('../src/coverageAnalysis');
+
+const chunk = (id, fileName, text, vector, ids = [], definedIds = []) => ({
+  id,
+  vector,
+  metadata: { fileName, filePath: `/docs/${fileName}`, chunkIndex: 0, text, ids, definedIds }
+});
+
+describe('analyzeCoverage', () => {
+  const tests = [
+    chunk('t1', 'tests.csv', 'TC-87 Lock the account after 5 failed logins. Covers REQ-101', [1, 0, 0], ['TC-87', 'REQ-101'], ['TC-87']),
+    chunk('t2', 'tests.csv', 'TC-88 Export the monthly invoice report', [0, 1, 0], ['TC-88'], ['TC-88'])
+  ];
+
+  test('grades requirements by their best similarity', () => {
+    const report = analyzeCoverage([
+      chunk('r1', 'spec.md', 'The account is locked after 5 failed logins.', [0.9, 0.1, 0.3]),
+      chunk('r2', 'spec.md', 'Sessions expire after 30 minutes.', [0.5, 0, 0.86]),
+      chunk('r3', 'spec.md', 'Audit logs are kept for a year.', [0, 0, 1])
+    ], tests, { coveredThreshold: 0.9, weakThreshold: 0.4 });
+
+    expect(report.requirements.map(requirement => requirement.status)).toEqual(['covered', 'weak', 'uncovered']);
+    expect(report.summary).toMatchObject({ requirements: 3, tests: 2, covered: 1, weak: 1, uncovered: 1 });
+  });
+
+  test('links a test that names a requirement the chunk defines', () => {
+    const report = analyzeCoverage([
+      chunk('r1', 'spec.md', 'REQ-101 Lockout rules.', [0, 0, 1], ['REQ-101'], ['REQ-101'])
+    ], tests);
+
+    const [requirement] = report.requirements;
+    expect(requirement).toMatchObject({ status: 'covered', linked: true });
+    expect(requirement.matches[0]).toMatchObject({ linkedIds: ['REQ-101'] });
+  });
+
+  test('links a test that defines an ID the requirement references', () => {
+    const report = analyzeCoverage([
+      chunk('r1', 'spec.md', 'REQ-103 Invoices are archived. See TC-88', [0, 0, 1], ['REQ-103', 'TC-88'], ['REQ-103'])
+    ], tests);
+
+    const [requirement] = report.requirements;
+    expect(requirement).toMatchObject({ status: 'covered', linked: true });
+    expect(requirement.matches[0]).toMatchObject({ text: tests[1].metadata.text, linkedIds: ['TC-88'] });
+  });
+
+  test('does not link on IDs the test merely mentions', () => {
+    const report = analyzeCoverage([
+      chunk('r1', 'spec.md', 'REQ-104 Reports are exported. See TC-99', [0, 0, 1], ['REQ-104', 'TC-99'], ['REQ-104'])
+    ], [chunk('t3', 'tests.csv', 'TC-90 Retry the export; see also TC-99', [0, 1, 0], ['TC-90', 'TC-99'], ['TC-90'])]);
+
+    expect(report.requirements[0]).toMatchObject({ status: 'uncovered', linked: false });
+  });
+});
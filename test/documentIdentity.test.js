@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { LocalIndex } = require('vectra');
+const { describeDocument, chunkIdFor } = require('../src/documentIdentity');
+const { LocalEmbeddingProvider } = require('../src/EmbeddingProviders');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+
+describe('documentIdentity', () => {
+  test('identifies documents by their path relative to the root', () => {
+    const billing = describeDocument('/docs/billing/overview.docx', '/docs');
+    const auth = describeDocument('/docs/auth/overview.docx', '/docs');
+
+    expect(billing.relativePath).toBe('billing/overview.docx');
+    expect(billing.documentId).toMatch(/^[0-9a-f]{12}$/);
+    expect(auth.documentId).not.toBe(billing.documentId);
+    expect(describeDocument('/checkout/billing/overview.docx', '/checkout')).toEqual(billing);
+  });
+
+  test('names chunks after the document and record', () => {
+    expect(chunkIdFor('abc', null, 2)).toBe('abc_chunk_2');
+    expect(chunkIdFor('abc', 'slide3', 0)).toBe('abc_slide3_chunk0');
+  });
+});
+
+describe('document roots and migration', () => {
+  let directory;
+  let docs;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-identity-'));
+    docs = path.join(directory, 'docs');
+    await fs.mkdir(path.join(docs, 'auth'), { recursive: true });
+    await fs.mkdir(path.join(docs, 'billing'));
+    await fs.writeFile(path.join(docs, 'auth', 'overview.md'), 'REQ-1 Accounts lock after 5 failed attempts.');
+    await fs.writeFile(path.join(docs, 'billing', 'overview.md'), 'REQ-10 Invoices are sent monthly.');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const engineAt = (root, indexPath = path.join(directory, 'index')) => new RequirementsSearchEngine(indexPath, undefined, {
+    embeddingProvider: { provider: 'local' },
+    documentRoot: root
+  });
+
+  test('keeps files with the same name in different folders apart', async () => {
+    const engine = engineAt(docs);
+    await engine.indexDocument(path.join(docs, 'auth', 'overview.md'));
+    await engine.indexDocument(path.join(docs, 'billing', 'overview.md'));
+
+    expect((await engine.getStats()).documents).toEqual(['auth/overview.md', 'billing/overview.md']);
+    await expect(engineAt(directory).indexDocument(path.join(docs, 'auth', 'overview.md')))
+      .rejects.toThrow(`run "migrate --root ${directory}"`);
+  });
+
+  test('rebases the index onto a new root after the documents moved', async () => {
+    const engine = engineAt(docs);
+    await engine.indexDocument(path.join(docs, 'auth', 'overview.md'));
+    const moved = path.join(directory, 'moved');
+    await fs.rename(docs, moved);
+
+    const migrated = await engineAt(null).migrateIndex({ root: moved });
+
+    expect(migrated).toMatchObject({ documentRoot: moved, previousDocumentRoot: docs, documentsMigrated: 1 });
+    const rebased = engineAt(moved);
+    expect((await rebased.listDocuments())[0]).toMatchObject({ path: path.join(moved, 'auth', 'overview.md'), relativePath: 'auth/overview.md' });
+    expect((await rebased.indexDocument(path.join(moved, 'auth', 'overview.md'))).status).toBe('unchanged');
+  });
+
+  test('migrates an index built before documents had ids', async () => {
+    const indexPath = path.join(directory, 'legacy');
+    const filePath = path.join(docs, 'auth', 'overview.md');
+    const text = 'REQ-1 Accounts lock after 5 failed attempts.';
+    const [vector] = await new LocalEmbeddingProvider().embed([text]);
+    const legacy = new LocalIndex(indexPath);
+    await legacy.createIndex();
+    await legacy.insertItem({ id: 'overview.md_chunk_0', vector, metadata: { fileName: 'overview.md', filePath, chunkIndex: 0, text, type: 'text' } });
+    await fs.writeFile(path.join(indexPath, 'manifest.json'), JSON.stringify({
+      version: 1,
+      files: { [filePath]: { size: text.length, mtimeMs: 0, hash: 'old', chunkIds: ['overview.md_chunk_0'] } }
+    }));
+
+    const engine = engineAt(docs, indexPath);
+    expect(await engine.needsMigration()).toBe(true);
+
+    const migrated = await engine.migrateIndex();
+
+    const { documentId } = describeDocument(filePath, docs);
+    expect(migrated).toMatchObject({ documentRoot: docs, previousDocumentRoot: null, chunksMigrated: 1 });
+    expect(await engine.needsMigration()).toBe(false);
+    expect((await engine.index.listItems()).map(item => item.id)).toEqual([chunkIdFor(documentId, null, 0)]);
+    expect(await engine.manifest.get('auth/overview.md')).toMatchObject({ path: filePath, documentId, chunkIds: [chunkIdFor(documentId, null, 0)] });
+    expect((await engine.search('accounts lock', 1, { mode: 'keyword' }))[0]).toMatchObject({ relativePath: 'auth/overview.md', documentId });
+  });
+});
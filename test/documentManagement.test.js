@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+
+describe('listing and removing documents', () => {
+  let directory;
+  let docs;
+  let engine;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-documents-'));
+    docs = path.join(directory, 'docs');
+    await fs.mkdir(path.join(docs, 'billing'), { recursive: true });
+    await fs.writeFile(path.join(docs, 'auth.md'), '# Auth\nREQ-1 Accounts lock after 5 failed attempts.\n# Sessions\nREQ-2 Sessions expire.');
+    await fs.writeFile(path.join(docs, 'billing', 'invoices.md'), '# Invoices\nREQ-10 Invoices are sent monthly.');
+    await fs.writeFile(path.join(docs, 'billing', 'refunds.md'), '# Refunds\nREQ-11 Refunds need approval.');
+    await fs.writeFile(path.join(docs, 'empty.txt'), '');
+
+    engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: { provider: 'local' },
+      documentRoot: docs
+    });
+    for (const file of ['auth.md', 'billing/invoices.md', 'billing/refunds.md', 'empty.txt']) {
+      await engine.indexDocument(path.join(docs, file), { tags: file.startsWith('billing') ? { team: 'billing' } : {} });
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('lists every document with its chunks, size and tags', async () => {
+    const documents = await engine.listDocuments();
+
+    expect(documents.map(document => document.relativePath)).toEqual(['auth.md', 'billing/invoices.md', 'billing/refunds.md', 'empty.txt']);
+    expect(documents[0]).toMatchObject({ type: 'text', chunks: 2, tags: null });
+    expect(documents[0].size).toBeGreaterThan(0);
+    expect(documents[0].indexedAt).toEqual(expect.any(String));
+    expect(documents[1].tags).toEqual({ team: 'billing' });
+    expect(documents[3]).toMatchObject({ fileName: 'empty.txt', chunks: 0, size: 0 });
+  });
+
+  test('removes the documents matching a glob and leaves the rest searchable', async () => {
+    const removed = await engine.removeDocuments('billing/**');
+
+    expect(removed.map(entry => entry.relativePath)).toEqual(['billing/invoices.md', 'billing/refunds.md']);
+    expect(removed.every(entry => entry.chunksRemoved === 1)).toBe(true);
+    expect((await engine.listDocuments()).map(document => document.relativePath)).toEqual(['auth.md', 'empty.txt']);
+    expect(await engine.search('invoices sent monthly', 5, { mode: 'keyword' })).toEqual([]);
+    expect((await engine.search('accounts lock', 1))[0].relativePath).toBe('auth.md');
+  });
+
+  test('removes a single document by path', async () => {
+    const removed = await engine.removeDocument(path.join(docs, 'auth.md'));
+
+    expect(removed).toEqual({ fileName: 'auth.md', relativePath: 'auth.md', chunksRemoved: 2 });
+    expect(await engine.isDocumentIndexed(path.join(docs, 'auth.md'))).toBe(false);
+    expect((await engine.removeDocument(path.join(docs, 'auth.md'))).chunksRemoved).toBe(0);
+  });
+});
@@ -0,0 +1,44 @@
+const { diffWords, findConflicts, detectDuplicates } = require('../src/duplicateDetection');
+const { createIdExtractor } = require('../src/requirementIds');
+
+const item = (id, fileName, text, vector) => ({ id, vector, metadata: { fileName, filePath: `/docs/${fileName}`, text } });
+
+describe('findConflicts', () => {
+  const conflicts = (left, right, idExtractor) => findConflicts(diffWords(left, right), idExtractor);
+
+  test('flags changed numbers, negations and modals', () => {
+    expect(conflicts('Lock after 5 attempts.', 'Lock after 3 attempts.')).toEqual([{ left: '5', right: '3' }]);
+    expect(conflicts('The user shall log in.', 'The user may log in.')).toEqual([{ left: 'shall', right: 'may' }]);
+    expect(conflicts('Exports are encrypted.', 'Exports are not encrypted.')).toEqual([{ left: '', right: 'not' }]);
+  });
+
+  test('does not treat renumbered requirement IDs as conflicts', () => {
+    expect(conflicts('REQ-102 Lock after 5 attempts.', 'REQ-201 Lock after 5 attempts.')).toEqual([]);
+    expect(conflicts('REQ-102 Lock after 5 attempts.', 'REQ-201 Lock after 3 attempts.')).toEqual([{ left: '5', right: '3' }]);
+  });
+
+  test('recognizes IDs with custom patterns', () => {
+    const idExtractor = createIdExtractor(['SRS\\d{3}']);
+    expect(conflicts('SRS001 Backups run daily.', 'SRS002 Backups run daily.', idExtractor)).toEqual([]);
+    expect(conflicts('SRS001 Backups run daily.', 'SRS002 Backups run daily.')).toHaveLength(1);
+  });
+});
+
+describe('detectDuplicates', () => {
+  test('pairs and clusters similar chunks from different documents without item indexes', () => {
+    const items = [
+      item('a', 'old.md', 'REQ-102 The account is locked after 5 failed attempts.', [1, 0, 0]),
+      item('b', 'new.md', 'REQ-201 The account is locked after 5 failed attempts.', [0.99, 0.05, 0]),
+      item('c', 'new.md', 'Invoices are sent monthly.', [0, 0, 1])
+    ];
+
+    const report = detectDuplicates(items, { threshold: 0.9 });
+
+    expect(report.pairs).toHaveLength(1);
+    expect(report.pairs[0]).toMatchObject({ conflict: false, identical: false });
+    expect(report.pairs[0]).not.toHaveProperty('i');
+    expect(report.clusters).toHaveLength(1);
+    expect(report.clusters[0]).toMatchObject({ size: 2, documents: ['old.md', 'new.md'] });
+    expect(report.clusters[0].pairs[0]).not.toHaveProperty('j');
+  });
+});
@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+const EmbeddingBatcher = require('../src/EmbeddingBatcher');
+const {
+  LocalEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  createEmbeddingProvider
+} = require('../src/EmbeddingProviders');
+const { cosineSimilarity } = require('../src/vectorMath');
+const { startStubEmbeddingServer } = require('./helpers/stubEmbeddingServer');
+
+describe('LocalEmbeddingProvider', () => {
+  const provider = new LocalEmbeddingProvider({ dimensions: 128 });
+
+  test('is deterministic and returns unit vectors of the configured size', async () => {
+    const [first] = await provider.embed(['Passwords must have at least 12 characters']);
+    const [second] = await provider.embed(['Passwords must have at least 12 characters']);
+
+    expect(first).toHaveLength(128);
+    expect(second).toEqual(first);
+    expect(Math.hypot(...first)).toBeCloseTo(1, 6);
+  });
+
+  test('places texts with shared words closer than unrelated ones', async () => {
+    const [query, related, unrelated] = await provider.embed([
+      'account lockout after failed login attempts',
+      'The account is locked after 5 failed login attempts.',
+      'Invoices are generated on the first day of each month.'
+    ]);
+
+    expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+  });
+
+  test('records its name and model for the index', () => {
+    expect(provider.name).toBe('local');
+    expect(provider.model).toBe('hashed-bow-128');
+  });
+});
+
+describe('createEmbeddingProvider', () => {
+  test('requires an API key for OpenAI and a base URL for compatible servers', () => {
+    expect(() => createEmbeddingProvider({ provider: 'openai' })).toThrow(/API key/);
+    expect(() => createEmbeddingProvider({ provider: 'openai-compatible' })).toThrow(/base URL/);
+    expect(() => createEmbeddingProvider({ provider: 'nope' })).toThrow(/Unknown embedding provider/);
+  });
+
+  test('builds a local provider without a key', () => {
+    expect(createEmbeddingProvider({ provider: 'local', dimensions: '32' })).toBeInstanceOf(LocalEmbeddingProvider);
+  });
+});
+
+describe('OpenAI-compatible provider against a stub server', () => {
+  let stub;
+
+  afterEach(async () => {
+    if (stub) await stub.close();
+    stub = null;
+  });
+
+  test('sends all inputs in one request and restores their order', async () => {
+    stub = await startStubEmbeddingServer({ dimensions: 16 });
+    const provider = createEmbeddingProvider({ provider: 'openai-compatible', baseURL: stub.baseURL, model: 'stub-model' });
+    const local = new LocalEmbeddingProvider({ dimensions: 16 });
+    const texts = ['first requirement', 'second requirement', 'third requirement'];
+
+    const vectors = await provider.embed(texts);
+
+    expect(provider).toBeInstanceOf(OpenAIEmbeddingProvider);
+    expect(provider.name).toBe('openai-compatible');
+    expect(stub.requests).toHaveLength(1);
+    expect(stub.requests[0]).toMatchObject({ model: 'stub-model', input: texts });
+    expect(vectors).toEqual(await local.embed(texts));
+  });
+});
+
+describe('EmbeddingBatcher', () => {
+  let stub;
+
+  afterEach(async () => {
+    if (stub) await stub.close();
+    stub = null;
+  });
+
+  test('splits inputs into batches within the size and token limits', async () => {
+    stub = await startStubEmbeddingServer({ dimensions: 8 });
+    const provider = createEmbeddingProvider({ provider: 'openai-compatible', baseURL: stub.baseURL });
+    const batcher = new EmbeddingBatcher(provider, { maxBatchSize: 2, concurrency: 1 });
+    const texts = ['a one', 'b two', 'c three', 'd four', 'e five'];
+
+    const vectors = await batcher.embedAll(texts);
+
+    expect(vectors).toHaveLength(5);
+    expect(stub.requests.map(request => request.input)).toEqual([
+      ['a one', 'b two'],
+      ['c three', 'd four'],
+      ['e five']
+    ]);
+    expect(new EmbeddingBatcher(provider, { maxBatchTokens: 3 }).createBatches(texts)).toHaveLength(5);
+  });
+
+  test('retries rate limits after the Retry-After delay', async () => {
+    stub = await startStubEmbeddingServer({
+      dimensions: 8,
+      failures: [
+        { status: 429, headers: { 'retry-after-ms': '20' } },
+        { status: 503 }
+      ]
+    });
+    const provider = createEmbeddingProvider({ provider: 'openai-compatible', baseURL: stub.baseURL });
+    const onRetry = jest.fn();
+    const batcher = new EmbeddingBatcher(provider, { baseDelayMs: 1, onRetry });
+
+    const vectors = await batcher.embedAll(['lockout']);
+
+    expect(vectors).toHaveLength(1);
+    expect(stub.requests).toHaveLength(3);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+    expect(onRetry.mock.calls[0][0].status).toBe(429);
+    expect(onRetry.mock.calls[0][2]).toBe(20);
+  });
+
+  test('does not retry requests the server rejects', async () => {
+    stub = await startStubEmbeddingServer({ failures: [{ status: 400 }] });
+    const provider = createEmbeddingProvider({ provider: 'openai-compatible', baseURL: stub.baseURL });
+    const batcher = new EmbeddingBatcher(provider, { baseDelayMs: 1 });
+
+    await expect(batcher.embedAll(['bad input'])).rejects.toMatchObject({ status: 400 });
+    expect(stub.requests).toHaveLength(1);
+  });
+
+  test('gives up after maxRetries', async () => {
+    stub = await startStubEmbeddingServer({ failures: [{ status: 500 }, { status: 500 }, { status: 500 }] });
+    const provider = createEmbeddingProvider({ provider: 'openai-compatible', baseURL: stub.baseURL });
+    const batcher = new EmbeddingBatcher(provider, { maxRetries: 2, baseDelayMs: 1 });
+
+    await expect(batcher.embedAll(['flaky'])).rejects.toMatchObject({ status: 500 });
+    expect(stub.requests).toHaveLength(3);
+  });
+});
+
+describe('indexing and searching through a stub embeddings server', () => {
+  let stub;
+  let directory;
+
+  beforeEach(async () => {
+    stub = await startStubEmbeddingServer({ dimensions: 64 });
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-search-'));
+  });
+
+  afterEach(async () => {
+    await stub.close();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('embeds chunks in batches and finds them again', async () => {
+    const docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'security.md'), [
+      '# Security',
+      '## Lockout',
+      'REQ-1 The account is locked after 5 failed login attempts.',
+      '## Passwords',
+      'REQ-2 Passwords must have at least 12 characters.'
+    ].join('\n'));
+
+    const engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: { provider: 'openai-compatible', baseURL: stub.baseURL, model: 'stub-model' },
+      documentRoot: docs
+    });
+
+    const indexed = await engine.indexDocument(path.join(docs, 'security.md'));
+    expect(indexed).toMatchObject({ relativePath: 'security.md', status: 'added' });
+    expect(indexed.chunksCreated).toBeGreaterThan(1);
+    expect(stub.requests).toHaveLength(1);
+    expect(stub.requests[0].input).toHaveLength(indexed.chunksCreated);
+
+    const results = await engine.search('failed login attempts lockout', 1, { mode: 'vector' });
+    expect(results[0].text).toContain('REQ-1');
+
+    const stats = await engine.getStats();
+    expect(stats.embedding).toMatchObject({ provider: 'openai-compatible', model: 'stub-model', dimensions: 64 });
+  });
+});
+
+describe('embedding compatibility', () => {
+  let directory;
+  let docs;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-providers-'));
+    docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'auth.md'), '# Authentication\nREQ-1 Accounts lock after 5 failed attempts.');
+    await fs.writeFile(path.join(docs, 'billing.md'), '# Billing\nREQ-10 Invoices are sent monthly.');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const engineWith = embeddingProvider => new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+    embeddingProvider,
+    documentRoot: docs
+  });
+
+  test('refuses to add vectors from another provider or model to an index', async () => {
+    await engineWith({ provider: 'local', dimensions: 64 }).indexDocument(path.join(docs, 'auth.md'));
+
+    await expect(engineWith({ provider: 'local', dimensions: 32 }).indexDocument(path.join(docs, 'billing.md')))
+      .rejects.toThrow(/built with local embeddings \(model hashed-bow-64\)/);
+    await expect(engineWith({ provider: 'local', dimensions: 32 }).search('lockout'))
+      .rejects.toThrow(/hashed-bow-64/);
+  });
+
+  test('refuses vectors whose size differs from the recorded dimensions', async () => {
+    await engineWith({ provider: 'local', dimensions: 64 }).indexDocument(path.join(docs, 'auth.md'));
+    const resized = { name: 'local', model: 'hashed-bow-64', embed: async texts => texts.map(() => new Array(32).fill(0.1)) };
+
+    await expect(engineWith(resized).indexDocument(path.join(docs, 'billing.md'))).rejects.toThrow(/dimension mismatch/);
+  });
+});
@@ -0,0 +1,102 @@
+const { parseJudgments, scoreQuery, evaluateRetrieval, compareEvaluations } = require('../src/evaluation');
+
+const result = (relativePath, chunkIndex, fields = {}) => ({
+  relativePath,
+  fileName: relativePath.split('/').pop(),
+  documentId: `id-${relativePath}`,
+  chunkIndex,
+  part: null,
+  row: null,
+  score: 0.5,
+  ...fields
+});
+
+const judgment = targets => ({ id: 'Q1', query: 'lockout', files: [], ids: [], chunks: [], ...targets });
+
+describe('scoreQuery', () => {
+  test('computes recall@k, MRR and nDCG@k over the top k results', () => {
+    const results = [
+      result('specs/billing.md', 0),
+      result('specs/auth.md', 2, { ids: ['REQ-104'] }),
+      result('specs/auth.md', 3),
+      result('qa/tests.md', 0)
+    ];
+
+    const score = scoreQuery(judgment({ files: ['qa/*.md'], ids: ['req-104'] }), results, 3);
+
+    expect(score.recall).toBe(0.5);
+    expect(score.firstRelevantRank).toBe(2);
+    expect(score.reciprocalRank).toBe(0.5);
+    expect(score.ndcg).toBeCloseTo((1 / Math.log2(3)) / (1 + 1 / Math.log2(3)));
+    expect(score.missing).toEqual(['files: qa/*.md']);
+    expect(score.results.map(entry => entry.relevant)).toEqual([false, true, false]);
+  });
+
+  test('counts a target once however many results match it', () => {
+    const results = [result('specs/auth.md', 0), result('specs/auth.md', 1)];
+
+    const score = scoreQuery(judgment({ files: ['specs/auth.md'] }), results, 10);
+
+    expect(score.recall).toBe(1);
+    expect(score.ndcg).toBe(1);
+    expect(score.results.map(entry => entry.relevant)).toEqual([true, false]);
+  });
+
+  test('matches chunks of merged hits and spreadsheet rows', () => {
+    const results = [
+      result('specs/auth.md', 2, { mergedChunkIndexes: [2, 3] }),
+      result('qa/tests.xlsx', 0, { sheet: 'Tests', row: 12, part: 'Tests_row12' })
+    ];
+
+    const score = scoreQuery(judgment({ chunks: ['specs/auth.md#3', 'qa/tests.xlsx#row12'] }), results, 10);
+
+    expect(score.recall).toBe(1);
+  });
+
+  test('tells apart chunks with the same index in different records', () => {
+    const results = [
+      result('decks/billing.pptx', 0, { part: 'slide1', slide: 1 }),
+      result('decks/billing.pptx', 0, { part: 'slide3', slide: 3 })
+    ];
+
+    const score = scoreQuery(judgment({ chunks: ['decks/billing.pptx#slide3#0', 'decks/billing.pptx#0'] }), results, 10);
+
+    expect(score.firstRelevantRank).toBe(2);
+    expect(score.missing).toEqual(['chunks: decks/billing.pptx#0']);
+    expect(scoreQuery(judgment({ chunks: ['decks/billing.pptx#slide3'] }), results, 10).firstRelevantRank).toBe(2);
+  });
+});
+
+describe('parseJudgments', () => {
+  test('reads JSONL and numbers queries without an id', () => {
+    const judgments = parseJudgments('{"query": "lockout", "ids": "REQ-1"}\n\n{"id": "Q9", "query": "refunds", "files": ["a.md"]}\n', 'j.jsonl');
+
+    expect(judgments).toEqual([
+      { id: '1', query: 'lockout', files: [], ids: ['REQ-1'], chunks: [] },
+      { id: 'Q9', query: 'refunds', files: ['a.md'], ids: [], chunks: [] }
+    ]);
+  });
+
+  test('rejects queries without targets and unknown file types', () => {
+    expect(() => parseJudgments('[{"query": "lockout"}]', 'j.json')).toThrow('no expected files, ids or chunks');
+    expect(() => parseJudgments('{"query": "lockout"', 'j.jsonl')).toThrow('Line 1: invalid JSON');
+    expect(() => parseJudgments('', 'j.csv')).toThrow('Unsupported judgments file');
+  });
+});
+
+describe('evaluateRetrieval', () => {
+  test('averages the metrics, lists failures and compares runs', () => {
+    const judgments = [judgment({ files: ['a.md'] }), { ...judgment({ files: ['b.md'] }), id: 'Q2' }];
+    const baseline = evaluateRetrieval(judgments, [{ results: [result('a.md', 0)] }, { error: 'timeout' }], 5);
+    const candidate = evaluateRetrieval(judgments, [{ results: [result('a.md', 0)] }, { results: [result('x.md', 0), result('b.md', 0)] }], 5);
+
+    expect(baseline.metrics).toEqual({ recall: 0.5, mrr: 0.5, ndcg: 0.5 });
+    expect(baseline.failures.map(query => query.id)).toEqual(['Q2']);
+    expect(candidate.failures).toHaveLength(0);
+
+    const comparison = compareEvaluations(baseline, candidate);
+    expect(comparison.deltas.recall).toBe(0.5);
+    expect(comparison.improved.map(change => change.id)).toEqual(['Q2']);
+    expect(comparison.regressed).toHaveLength(0);
+  });
+});
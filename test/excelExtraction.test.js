@@ -0,0 +1,99 @@
+const XLSX = require('xlsx');
+const { parseHeaderRows, extractSheetRecords, extractWorkbookRecords } = require('../src/excelExtraction');
+const { createMetadataFilter } = require('../src/filters');
+
+const sheet = (rows, merges = []) => {
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+  worksheet['!merges'] = merges.map(([r1, c1, r2, c2]) => ({ s: { r: r1, c: c1 }, e: { r: r2, c: c2 } }));
+  return worksheet;
+};
+
+describe('parseHeaderRows', () => {
+  test('parses row numbers, ranges and "none"', () => {
+    expect(parseHeaderRows(undefined)).toBeNull();
+    expect(parseHeaderRows('auto')).toBeNull();
+    expect(parseHeaderRows('2')).toEqual([2, 2]);
+    expect(parseHeaderRows('1-2')).toEqual([1, 2]);
+    expect(parseHeaderRows('none')).toBe(false);
+    expect(() => parseHeaderRows('2-1')).toThrow('Invalid header row');
+    expect(() => parseHeaderRows('top')).toThrow('expected a row number');
+  });
+});
+
+describe('extractSheetRecords', () => {
+  test('labels each row with the detected header below a title', () => {
+    const records = extractSheetRecords(sheet([
+      ['Login test cases', '', ''],
+      ['Test Case', 'Title', 'Priority'],
+      ['TC-12', 'Login with expired password', 'High'],
+      ['TC-13', 'Login with locked account', 3]
+    ], [[0, 0, 0, 2]]), 'Tests');
+
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({
+      sheet: 'Tests',
+      row: 3,
+      headerRow: 2,
+      columns: { 'Test Case': 'TC-12', Title: 'Login with expired password', Priority: 'High' }
+    });
+    expect(records[0].text).toBe('Test Case: TC-12\nTitle: Login with expired password\nPriority: High');
+    expect(records[1].columns.Priority).toBe('3');
+  });
+
+  test('joins stacked header rows under a merged group label', () => {
+    const records = extractSheetRecords(sheet([
+      ['ID', 'Result', ''],
+      ['', 'Status', 'Date'],
+      ['TC-1', 'Pass', '2024-03-01']
+    ], [[0, 1, 0, 2]]), 'Runs');
+
+    expect(Object.keys(records[0].columns)).toEqual(['ID', 'Result / Status', 'Result / Date']);
+    expect(records[0].headerRow).toBe(2);
+  });
+
+  test('falls back to plain rows without a recognisable header', () => {
+    const records = extractSheetRecords(sheet([
+      [1, 2, 3],
+      [4, 5, 6]
+    ]), 'Numbers');
+
+    expect(records.map(record => record.text)).toEqual(['1 | 2 | 3', '4 | 5 | 6']);
+    expect(records[0].columns).toBeUndefined();
+  });
+
+  test('uses a configured header row and names unlabeled columns by letter', () => {
+    const rows = [
+      ['Exported 2024-03-01'],
+      ['ID', '', 'Owner'],
+      ['REQ-1', 'Lockout', 'Ana']
+    ];
+
+    const records = extractSheetRecords(sheet(rows), 'Export', [2, 2]);
+
+    expect(records).toHaveLength(1);
+    expect(records[0].columns).toEqual({ ID: 'REQ-1', 'Column B': 'Lockout', Owner: 'Ana' });
+    expect(extractSheetRecords(sheet(rows), 'Export', false)).toHaveLength(3);
+  });
+});
+
+describe('extractWorkbookRecords', () => {
+  test('reads every sheet with the given header setting', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet([['ID', 'Title'], ['TC-1', 'Lockout']]), 'Tests');
+    XLSX.utils.book_append_sheet(workbook, sheet([['ID', 'Title'], ['REQ-1', 'Lockout']]), 'Requirements');
+
+    const records = extractWorkbookRecords(workbook, { headerRows: 'none' });
+
+    expect(records.map(record => `${record.sheet}:${record.row}`)).toEqual(['Tests:1', 'Tests:2', 'Requirements:1', 'Requirements:2']);
+  });
+});
+
+describe('column filters', () => {
+  test('match record values case-insensitively', () => {
+    const filter = createMetadataFilter({ columns: { priority: 'high' } });
+
+    expect(filter({ type: 'excel', columns: { Priority: 'High' } })).toBe(true);
+    expect(filter({ type: 'excel', columns: { Priority: 'Low' } })).toBe(false);
+    expect(filter({ type: 'docx' })).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+const JSZip = require('jszip');
+const { htmlDocumentToText, odtContentToText, rtfToText } = require('../src/markupExtraction');
+const { pptxToRecords, odtToText } = require('../src/officeExtraction');
+const { csvToRecords, jsonToRecords } = require('../src/tabularExtraction');
+
+const zip = async files => {
+  const archive = new JSZip();
+  Object.entries(files).forEach(([name, content]) => archive.file(name, content));
+  return archive.generateAsync({ type: 'nodebuffer' });
+};
+
+const shape = (text, placeholder = null) => [
+  '<p:sp><p:nvSpPr><p:nvPr>',
+  placeholder ? `<p:ph type="${placeholder}"/>` : '',
+  '</p:nvPr></p:nvSpPr><p:txBody>',
+  ...text.map(line => `<a:p><a:r><a:t>${line}</a:t></a:r></a:p>`),
+  '</p:txBody></p:sp>'
+].join('');
+
+const slideXml = shapes => `<p:sld><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+
+describe('rtfToText', () => {
+  test('keeps the text, marks outline levels as headings and skips formatting groups', () => {
+    const rtf = [
+      '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\colortbl;\\red0\\green0\\blue0;}',
+      '{\\*\\generator Writer;}',
+      '\\pard\\outlinelevel0 Security\\par',
+      '\\pard REQ-1 Accounts lock after 5 attempts \\endash  see \\ldblquote Lockout\\rdblquote .\\par',
+      '\\pard Caf\\\'e9 \\u8364? 5\\par',
+      '}'
+    ].join('\n');
+
+    expect(rtfToText(rtf)).toBe('# Security\nREQ-1 Accounts lock after 5 attempts – see “Lockout”.\nCafé € 5');
+  });
+});
+
+describe('OpenDocument text', () => {
+  const content = [
+    '<office:document-content><office:body><office:text>',
+    '<text:sequence-decls><text:sequence-decl text:name="Table"/></text:sequence-decls>',
+    '<text:h text:outline-level="1">Security</text:h>',
+    '<text:h text:outline-level="2">Lockout</text:h>',
+    '<text:p>REQ-1 Accounts<text:s/>lock after 5 attempts.</text:p>',
+    '<table:table><table:table-row><table:table-cell><text:p>TC-1</text:p></table:table-cell>',
+    '<table:table-cell><text:p>Lock test</text:p></table:table-cell></table:table-row></table:table>',
+    '</office:text></office:body></office:document-content>'
+  ].join('');
+
+  test('turns outline headings into heading markers and keeps table rows on a line', () => {
+    expect(odtContentToText(content)).toBe('# Security\n\n## Lockout\n\nREQ-1 Accounts lock after 5 attempts.\nTC-1 | Lock test');
+  });
+
+  test('reads content.xml from the archive', async () => {
+    expect(await odtToText(await zip({ 'content.xml': content }))).toContain('## Lockout');
+    await expect(odtToText(await zip({ 'styles.xml': '<x/>' }))).rejects.toThrow('content.xml missing');
+  });
+});
+
+describe('pptxToRecords', () => {
+  test('makes one record per slide in presentation order with title and notes', async () => {
+    const buffer = await zip({
+      'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+      'ppt/_rels/presentation.xml.rels': [
+        '<Relationships>',
+        '<Relationship Id="rId2" Type="http://schemas/slide" Target="slides/slide1.xml"/>',
+        '<Relationship Id="rId3" Type="http://schemas/slide" Target="slides/slide2.xml"/>',
+        '</Relationships>'
+      ].join(''),
+      'ppt/slides/slide1.xml': slideXml([shape(['Billing'], 'title'), shape(['Invoices are sent monthly &amp; on request'])]),
+      'ppt/slides/slide2.xml': slideXml([shape(['Security'], 'ctrTitle'), shape(['REQ-1 Lock after 5 attempts'])]),
+      'ppt/slides/_rels/slide2.xml.rels': '<Relationships><Relationship Id="rId1" Type="http://schemas/notesSlide" Target="../notesSlides/notesSlide1.xml"/></Relationships>',
+      'ppt/notesSlides/notesSlide1.xml': slideXml([shape(['2'], 'sldNum'), shape(['Ask the identity team'], 'body')])
+    });
+
+    const records = await pptxToRecords(buffer);
+
+    expect(records).toEqual([
+      { text: '# Security\nREQ-1 Lock after 5 attempts\n\nSpeaker notes:\nAsk the identity team', slide: 1, title: 'Security', part: 'slide1' },
+      { text: '# Billing\nInvoices are sent monthly & on request', slide: 2, title: 'Billing', part: 'slide2' }
+    ]);
+  });
+
+  test('falls back to slide file numbering without a slide list', async () => {
+    const buffer = await zip({
+      'ppt/slides/slide10.xml': slideXml([shape(['Ten'])]),
+      'ppt/slides/slide2.xml': slideXml([shape(['Two'])])
+    });
+
+    expect((await pptxToRecords(buffer)).map(record => record.text)).toEqual(['Two', 'Ten']);
+  });
+});
+
+describe('htmlDocumentToText', () => {
+  test('uses the page title as the heading and drops page chrome', () => {
+    const html = '<html><head><title>Login Spec</title></head><body><nav>Home | Spaces</nav><h2>Lockout</h2><p>REQ-1 Lock after 5 attempts.</p></body></html>';
+
+    expect(htmlDocumentToText(html)).toBe('# Login Spec\n\n## Lockout\n\nREQ-1 Lock after 5 attempts.');
+  });
+});
+
+describe('record formats', () => {
+  test('labels CSV rows with their header', () => {
+    const records = csvToRecords('ID,Title\nTC-1,Lock test\nTC-2,Session test');
+
+    expect(records.map(record => record.part)).toEqual(['row2', 'row3']);
+    expect(records[0]).toMatchObject({ sheet: null, row: 2, columns: { ID: 'TC-1', Title: 'Lock test' } });
+  });
+
+  test('makes a record of every JSON object with plain fields', () => {
+    const records = jsonToRecords(JSON.stringify({
+      project: { name: 'Portal' },
+      requirements: [{ id: 'REQ-1', tags: ['auth', 'lockout'] }, { id: 'REQ-2', 'owner team': 'billing' }]
+    }));
+
+    expect(records).toEqual([
+      { jsonPath: '$', columns: { 'project.name': 'Portal' }, text: 'project.name: Portal', part: 'item0' },
+      { jsonPath: '$.requirements[0]', columns: { id: 'REQ-1', tags: 'auth, lockout' }, text: 'id: REQ-1\ntags: auth, lockout', part: 'item1' },
+      { jsonPath: '$.requirements[1]', columns: { id: 'REQ-2', 'owner team': 'billing' }, text: 'id: REQ-2\nowner team: billing', part: 'item2' }
+    ]);
+    expect(() => jsonToRecords('{')).toThrow('Invalid JSON');
+  });
+});
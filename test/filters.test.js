@@ -0,0 +1,104 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+const { createMetadataFilter, isEmptyFilter, matchesPathPattern, parseTags, normalizeType } = require('../src/filters');
+
+const chunk = fields => ({
+  fileName: 'refunds.docx',
+  filePath: '/docs/specs/billing/refunds.docx',
+  relativePath: 'specs/billing/refunds.docx',
+  type: 'docx',
+  tags: { release: '2.3', team: 'billing' },
+  ...fields
+});
+
+describe('matchesPathPattern', () => {
+  test('matches globs against the document-root-relative and absolute paths', () => {
+    const filePath = '/docs/specs/billing/refunds.docx';
+
+    expect(matchesPathPattern(filePath, 'specs/billing/**', 'specs/billing/refunds.docx')).toBe(true);
+    expect(matchesPathPattern(filePath, '**/*.DOCX', 'specs/billing/refunds.docx')).toBe(true);
+    expect(matchesPathPattern(filePath, '/docs/specs/**')).toBe(true);
+    expect(matchesPathPattern(filePath, 'specs/auth/**', 'specs/billing/refunds.docx')).toBe(false);
+  });
+
+  test('matches a plain path naming the file', () => {
+    const filePath = path.resolve('specs/billing/refunds.docx');
+
+    expect(matchesPathPattern(filePath, 'specs/billing/refunds.docx')).toBe(true);
+    expect(matchesPathPattern('/docs/a.md', 'a.md', 'a.md')).toBe(true);
+  });
+});
+
+describe('createMetadataFilter', () => {
+  test('returns no predicate for an empty filter', () => {
+    expect(createMetadataFilter(null)).toBeNull();
+    expect(createMetadataFilter({ tags: {} })).toBeNull();
+    expect(isEmptyFilter({ type: 'pdf' })).toBe(false);
+  });
+
+  test('accepts types as lists or comma-separated aliases', () => {
+    expect(createMetadataFilter({ type: 'word' })(chunk())).toBe(true);
+    expect(createMetadataFilter({ type: 'pdf, .xlsx' })(chunk({ type: 'excel' }))).toBe(true);
+    expect(createMetadataFilter({ type: ['pdf', 'md'] })(chunk())).toBe(false);
+    expect(normalizeType('.XLS')).toBe('excel');
+  });
+
+  test('requires every given field to match', () => {
+    const filter = createMetadataFilter({ path: 'specs/billing/**', tags: { release: '2.3' } });
+
+    expect(filter(chunk())).toBe(true);
+    expect(filter(chunk({ tags: { release: '2.4' } }))).toBe(false);
+    expect(filter(chunk({ tags: null }))).toBe(false);
+    expect(filter(chunk({ filePath: '/docs/specs/auth/login.docx', relativePath: 'specs/auth/login.docx' }))).toBe(false);
+  });
+
+  test('compares sheet names case-insensitively', () => {
+    const filter = createMetadataFilter({ sheet: 'test cases' });
+
+    expect(filter(chunk({ type: 'excel', sheet: 'Test Cases' }))).toBe(true);
+    expect(filter(chunk())).toBe(false);
+  });
+});
+
+describe('parseTags', () => {
+  test('parses key=value pairs', () => {
+    expect(parseTags(['release=2.3', ' team = billing ', 'note=a=b'])).toEqual({ release: '2.3', team: 'billing', note: 'a=b' });
+    expect(() => parseTags(['release'])).toThrow('expected key=value');
+  });
+});
+
+describe('filtered search', () => {
+  let directory;
+  let engine;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-filters-'));
+    const docs = path.join(directory, 'docs');
+    await fs.mkdir(path.join(docs, 'auth'), { recursive: true });
+    await fs.mkdir(path.join(docs, 'billing'));
+    await fs.writeFile(path.join(docs, 'auth', 'lockout.md'), 'REQ-1 The account is locked after 5 failed login attempts.');
+    await fs.writeFile(path.join(docs, 'billing', 'lockout.txt'), 'REQ-10 A billing account is locked after 3 failed payments.');
+
+    engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: { provider: 'local' },
+      documentRoot: docs
+    });
+    await engine.indexDocument(path.join(docs, 'auth', 'lockout.md'), { tags: { team: 'identity' } });
+    await engine.indexDocument(path.join(docs, 'billing', 'lockout.txt'), { tags: { team: 'billing' } });
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('filters before taking the top results', async () => {
+    const search = filter => engine.search('account locked after failed login attempts', 1, { filter });
+
+    expect((await search(null))[0].relativePath).toBe('auth/lockout.md');
+    expect((await search({ path: 'billing/**' }))[0].relativePath).toBe('billing/lockout.txt');
+    expect((await search({ tags: { team: 'billing' } }))[0].relativePath).toBe('billing/lockout.txt');
+    expect(await search({ type: 'pdf' })).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+const http = require('http');
+const { LocalEmbeddingProvider } = require('../../src/EmbeddingProviders');
+
+// A local stand-in for the OpenAI embeddings endpoint (POST /v1/embeddings).
+// Vectors come from the local hashed embedder, so similar texts get similar
+// vectors and search results are meaningful. Responses are returned in
+// reverse order (with their index) like the real API may do.
+//
+// failures is a queue of { status, headers, body } replies served before the
+// normal ones, e.g. a 429 with Retry-After to exercise retries. Every
+// request body is recorded in server.requests.
+async function startStubEmbeddingServer({ dimensions = 64, failures = [] } = {}) {
+  const embedder = new LocalEmbeddingProvider({ dimensions });
+  const requests = [];
+  const queue = [...failures];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      if (req.method !== 'POST' || req.url !== '/v1/embeddings') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Not found' } }));
+        return;
+      }
+
+      const payload = JSON.parse(body);
+      requests.push(payload);
+
+      const failure = queue.shift();
+      if (failure) {
+        res.writeHead(failure.status, { 'Content-Type': 'application/json', ...(failure.headers || {}) });
+        res.end(JSON.stringify(failure.body || { error: { message: `Stub failure ${failure.status}` } }));
+        return;
+      }
+
+      const inputs = Array.isArray(payload.input) ? payload.input : [payload.input];
+      const vectors = await embedder.embed(inputs);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        object: 'list',
+        model: payload.model,
+        data: vectors.map((embedding, index) => ({ object: 'embedding', index, embedding })).reverse(),
+        usage: { prompt_tokens: 0, total_tokens: 0 }
+      }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    baseURL: `http://127.0.0.1:${port}/v1`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startStubEmbeddingServer };
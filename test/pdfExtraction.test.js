@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { extractPdfPages, pageRangeForWords, formatPageRange } = require('../src/pdfExtraction');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+
+// A PDF with one page per list of lines. The comment pads it past 4 KB:
+// pdf.js misreads smaller inputs, which Node allocates from its buffer pool.
+function buildPdf(pages) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+  const kids = [];
+  pages.forEach(lines => {
+    const stream = ['BT', '/F1 12 Tf', '14 TL', '72 720 Td', ...lines.map(line => `(${line}) Tj T*`), 'ET'].join('\n');
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    kids.push(`${objects.length} 0 R`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = `%PDF-1.4\n%${'-'.repeat(5000)}\n`;
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const pages = [
+  ['REQ-1 Accounts lock after five failed logins.', 'Lockouts last fifteen minutes'],
+  ['after the last failure.', 'REQ-2 Sessions expire after thirty minutes.'],
+  ['REQ-3 Invoices are sent on the first day of each month.']
+];
+
+describe('pageRangeForWords', () => {
+  const pageStarts = [0, 10, 25];
+
+  test('maps word ranges to the pages they span', () => {
+    expect(pageRangeForWords(pageStarts, 0, 10)).toEqual({ pageStart: 1, pageEnd: 1 });
+    expect(pageRangeForWords(pageStarts, 8, 5)).toEqual({ pageStart: 1, pageEnd: 2 });
+    expect(pageRangeForWords(pageStarts, 12, 40)).toEqual({ pageStart: 2, pageEnd: 3 });
+    expect(pageRangeForWords(pageStarts, 25, 0)).toEqual({ pageStart: 3, pageEnd: 3 });
+  });
+
+  test('has no pages for documents without page offsets', () => {
+    expect(pageRangeForWords(null, 0, 10)).toEqual({ pageStart: null, pageEnd: null });
+    expect(pageRangeForWords([], 0, 10)).toEqual({ pageStart: null, pageEnd: null });
+  });
+
+  test('formats single pages and ranges', () => {
+    expect(formatPageRange(4, 4)).toBe('4');
+    expect(formatPageRange(4, 5)).toBe('4–5');
+    expect(formatPageRange(null, null)).toBeNull();
+  });
+});
+
+describe('extractPdfPages', () => {
+  test('records the word offset where each page starts', async () => {
+    const pdf = await extractPdfPages(buildPdf(pages));
+
+    expect(pdf.pageCount).toBe(3);
+    expect(pdf.pageStarts).toEqual([0, 11, 21]);
+    expect(pdf.text.split(/\s+/)[21]).toBe('REQ-3');
+  });
+});
+
+describe('indexing PDFs', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-pdf-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('search results carry the pages their chunk spans', async () => {
+    const docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'spec.pdf'), buildPdf(pages));
+    const engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: { provider: 'local' },
+      documentRoot: docs
+    });
+    await engine.indexDocument(path.join(docs, 'spec.pdf'));
+    const search = async query => (await engine.search(query, 1, { mode: 'keyword', collapse: false }))[0];
+
+    expect(await search('lockouts failure')).toMatchObject({ requirementId: 'REQ-1', pageStart: 1, pageEnd: 2 });
+    expect(await search('sessions expire')).toMatchObject({ requirementId: 'REQ-2', pageStart: 2, pageEnd: 2 });
+    expect(await search('invoices')).toMatchObject({ requirementId: 'REQ-3', pageStart: 3, pageEnd: 3 });
+  });
+});
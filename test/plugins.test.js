@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ExtractorRegistry = require('../src/ExtractorRegistry');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+const { loadConfig, loadPlugin, loadPlugins } = require('../src/plugins');
+
+describe('plugins', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-plugins-'));
+    await fs.mkdir(path.join(directory, 'tools'));
+    await fs.writeFile(path.join(directory, 'tools', 'reqtool.js'), [
+      'module.exports = {',
+      '  name: "reqtool",',
+      '  extensions: ["reqx"],',
+      '  extract: async filePath => require("fs").promises.readFile(filePath, "utf-8")',
+      '};'
+    ].join('\n'));
+    await fs.writeFile(path.join(directory, 'tools', 'many.js'), [
+      'const extract = async () => [{ text: "x" }];',
+      'module.exports = [{ name: "a", extensions: ["aa"], extract }, { name: "b", extensions: ["bb"], extract }];'
+    ].join('\n'));
+    await fs.writeFile(path.join(directory, 'tools', 'register.js'),
+      'module.exports = registry => registry.register({ name: "c", extensions: ["cc"], extract: async () => "c" });');
+    await fs.writeFile(path.join(directory, 'tools', 'broken.js'), 'module.exports = { name: "broken", extensions: ["zz"] };');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('load extractors exported as an object, an array or a register function', () => {
+    const registry = new ExtractorRegistry();
+
+    expect(loadPlugin('./tools/reqtool.js', registry, directory)).toEqual(['reqtool']);
+    expect(loadPlugin('./tools/many', registry, directory)).toEqual(['a', 'b']);
+    expect(loadPlugin(path.join(directory, 'tools', 'register.js'), registry)).toEqual(['c']);
+    expect(registry.getForExtension('cc').name).toBe('c');
+  });
+
+  test('report missing and invalid plugins by name', () => {
+    const registry = new ExtractorRegistry();
+
+    expect(() => loadPlugin('./tools/missing.js', registry, directory)).toThrow('Failed to load plugin "./tools/missing.js": Cannot find module');
+    expect(() => loadPlugin('./tools/broken.js', registry, directory)).toThrow('Invalid plugin "./tools/broken.js": Extractor "broken" needs an extract');
+  });
+
+  test('resolve config plugins and the document root against the config file', async () => {
+    const configPath = path.join(directory, 'tools', 'search.json');
+    await fs.writeFile(configPath, JSON.stringify({ plugins: ['./reqtool.js'], documentRoot: '../docs', idPatterns: ['SRS\\d+'] }));
+
+    const config = await loadConfig(configPath);
+    expect(config).toMatchObject({ path: configPath, documentRoot: path.join(directory, 'docs'), idPatterns: ['SRS\\d+'] });
+
+    const registry = ExtractorRegistry.withBuiltins();
+    const loaded = await loadPlugins(registry, { config, plugins: [path.join(directory, 'tools', 'many.js')] });
+    expect(loaded.map(plugin => plugin.extractors)).toEqual([['reqtool'], ['a', 'b']]);
+  });
+
+  test('reject malformed config files', async () => {
+    const configPath = path.join(directory, 'search.json');
+
+    await fs.writeFile(configPath, '{ "plugins": "./reqtool.js" }');
+    await expect(loadConfig(configPath)).rejects.toThrow('"plugins" in');
+    await fs.writeFile(configPath, '{ plugins');
+    await expect(loadConfig(configPath)).rejects.toThrow('Invalid JSON in config file');
+    await expect(loadConfig(path.join(directory, 'missing.json'))).rejects.toThrow('Failed to read config file');
+  });
+
+  test('index files through a plugin extractor', async () => {
+    const docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'login.reqx'), 'REQ-1 Accounts lock after 5 failed attempts.');
+    const registry = ExtractorRegistry.withBuiltins();
+    loadPlugin('./tools/reqtool.js', registry, directory);
+    const engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: { provider: 'local' },
+      documentRoot: docs,
+      extractors: registry
+    });
+
+    await engine.indexDocument(path.join(docs, 'login.reqx'));
+    const [hit] = await engine.search('accounts lock', 1);
+
+    expect(hit).toMatchObject({ relativePath: 'login.reqx', type: 'reqtool' });
+  });
+});
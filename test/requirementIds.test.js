@@ -0,0 +1,42 @@
+const { createIdExtractor, findDefinedIds } = require('../src/requirementIds');
+
+describe('createIdExtractor', () => {
+  const ids = createIdExtractor();
+
+  test('extracts unique IDs in order of first appearance', () => {
+    expect(ids.extract('REQ-104 refines REQ-12.3; see TC-88, REQ-104 and US-2231.')).toEqual(['REQ-104', 'REQ-12.3', 'TC-88', 'US-2231']);
+  });
+
+  test('ignores standards and IDs glued to other words', () => {
+    expect(ids.extract('Encode as UTF-8 and hash with SHA-256 (ISO-27001).')).toEqual([]);
+    expect(ids.extract('xREQ-1, REQ-1-draft and REQ-1_old are not IDs')).toEqual([]);
+  });
+
+  test('uses custom patterns instead of the default', () => {
+    const custom = createIdExtractor(['SRS\\d{3}', 'TC_\\d+']);
+
+    expect(custom.extract('SRS001 is tested by TC_7 (REQ-1).')).toEqual(['SRS001', 'TC_7']);
+    expect(() => createIdExtractor(['('])).toThrow('Invalid ID pattern "("');
+  });
+
+  test('tells whether a whole value is one ID', () => {
+    expect(ids.isId(' REQ-7 ')).toBe(true);
+    expect(ids.isId('REQ-7 Lockout')).toBe(false);
+  });
+});
+
+describe('findDefinedIds', () => {
+  const ids = createIdExtractor();
+
+  test('takes the ID a section starts with over its heading', () => {
+    expect(findDefinedIds({ requirementId: 'REQ-2', headingPath: ['REQ-1 Login'] }, ids)).toEqual(['REQ-2']);
+    expect(findDefinedIds({ headingPath: ['Security', 'REQ-1 Login'] }, ids)).toEqual(['REQ-1']);
+    expect(findDefinedIds({ headingPath: ['Login (see REQ-1)'] }, ids)).toEqual([]);
+  });
+
+  test('takes a record ID from its ID column, or else its first column', () => {
+    expect(findDefinedIds({ columns: { Title: 'Lockout', 'Test Case ID': 'TC-88', Covers: 'REQ-1' } }, ids)).toEqual(['TC-88']);
+    expect(findDefinedIds({ columns: { Case: 'TC-89', Covers: 'REQ-1' } }, ids)).toEqual(['TC-89']);
+    expect(findDefinedIds({ columns: { Title: 'Covers REQ-1' } }, ids)).toEqual([]);
+  });
+});
@@ -0,0 +1,120 @@
+const {
+  mergePassages,
+  trimTrailingOverlap,
+  trimLeadingOverlap,
+  collapseAdjacentResults,
+  groupResultsByFile
+} = require('../src/resultProcessing');
+
+const result = (chunkIndex, score, text, wordStart = null, wordCount = null) => ({
+  fileName: 'spec.md',
+  filePath: '/docs/spec.md',
+  chunkIndex,
+  score,
+  text,
+  wordStart,
+  wordCount
+});
+
+describe('passage merging', () => {
+  test('drops the repeated words and keeps line breaks', () => {
+    const a = '## Lockout\nREQ-1 Accounts lock after 5\nfailed attempts.';
+    const b = 'after 5\nfailed attempts.\n## Sessions\nREQ-2 Sessions expire.';
+
+    expect(mergePassages(a, b)).toBe('## Lockout\nREQ-1 Accounts lock after 5\nfailed attempts.\n## Sessions\nREQ-2 Sessions expire.');
+  });
+
+  test('puts passages without overlap on separate lines', () => {
+    expect(mergePassages('First section.', 'Second section.')).toBe('First section.\nSecond section.');
+  });
+
+  test('trims the overlap from either side', () => {
+    expect(trimTrailingOverlap('one two\nthree four', 'three four five')).toBe('one two');
+    expect(trimLeadingOverlap('one two three', 'two three\nfour\nfive')).toBe('four\nfive');
+  });
+});
+
+describe('collapseAdjacentResults', () => {
+  test('merges overlapping windows whatever their scores', () => {
+    const hits = collapseAdjacentResults([
+      result(0, 0.9, 'a b c d e', 0, 5),
+      result(1, 0.2, 'd e f g h', 3, 5)
+    ]);
+
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ score: 0.9, text: 'a b c d e f g h', mergedChunkIndexes: [0, 1] });
+  });
+
+  test('merges a neighbouring section only when it scores nearly as well', () => {
+    const strong = collapseAdjacentResults([
+      result(0, 0.8, 'Lockout rules.', 0, 2),
+      result(1, 0.75, 'Lockout duration.', 2, 2)
+    ]);
+    const weak = collapseAdjacentResults([
+      result(0, 0.8, 'Lockout rules.', 0, 2),
+      result(1, 0.3, 'Unrelated section.', 2, 2)
+    ]);
+
+    expect(strong).toHaveLength(1);
+    expect(strong[0].text).toBe('Lockout rules.\nLockout duration.');
+    expect(weak.map(hit => hit.chunkIndex)).toEqual([0, 1]);
+  });
+
+  test('does not merge chunks of other files or distant chunks', () => {
+    const hits = collapseAdjacentResults([
+      result(0, 0.8, 'one', 0, 1),
+      { ...result(1, 0.8, 'two', 1, 1), filePath: '/docs/other.md' },
+      result(5, 0.8, 'six', 5, 1)
+    ]);
+
+    expect(hits).toHaveLength(3);
+  });
+
+  test('stops at the limit-th distinct hit', () => {
+    const hits = collapseAdjacentResults([
+      result(0, 0.9, 'a', 0, 1),
+      result(4, 0.8, 'e', 4, 1),
+      result(1, 0.85, 'b', 1, 1)
+    ], 2);
+
+    expect(hits.map(hit => hit.chunkIndex)).toEqual([0, 4]);
+  });
+});
+
+describe('hybrid results', () => {
+  const hybrid = (chunkIndex, score, fusedScore, text, wordStart) => ({
+    ...result(chunkIndex, score, text, wordStart, 2),
+    fusedScore
+  });
+
+  test('merge neighbours and pick the best member by fused score', () => {
+    const hits = collapseAdjacentResults([
+      hybrid(0, 0.2, 0.032, 'Ticket QX9.', 0),
+      hybrid(1, 0.8, 0.030, 'Lockout rules.', 2)
+    ]);
+
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ chunkIndex: 0, score: 0.2, fusedScore: 0.032 });
+  });
+
+  test('do not merge a neighbour with a much lower fused score', () => {
+    const hits = collapseAdjacentResults([
+      hybrid(0, 0.2, 0.032, 'Ticket QX9.', 0),
+      hybrid(1, 0.9, 0.016, 'Lockout rules.', 2)
+    ]);
+
+    expect(hits.map(hit => hit.chunkIndex)).toEqual([0, 1]);
+  });
+
+  test('group under the best-ranked hit of each document', () => {
+    const groups = groupResultsByFile([
+      hybrid(0, 0.2, 0.032, 'Ticket QX9.', 0),
+      { ...hybrid(0, 0.6, 0.031, 'Other.', 0), filePath: '/docs/other.md' },
+      hybrid(4, 0.9, 0.016, 'Lockout rules.', 8)
+    ]);
+
+    expect(groups).toHaveLength(2);
+    expect(groups[0]).toMatchObject({ chunkIndex: 0, documentScore: 0.2 });
+    expect(groups[0].hits.map(hit => hit.chunkIndex)).toEqual([0, 4]);
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+
+describe('search scores', () => {
+  let directory;
+  let engine;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-search-'));
+    const docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'auth.md'), [
+      '# Authentication',
+      '## Lockout',
+      'REQ-1 The account is locked after 5 failed login attempts.',
+      '## Sessions',
+      'REQ-2 Sessions expire after 30 minutes of inactivity.',
+      '## Passwords',
+      'REQ-3 Passwords must have at least 12 characters.'
+    ].join('\n'));
+    await fs.writeFile(path.join(docs, 'billing.md'), [
+      '# Billing',
+      '## Invoices',
+      'REQ-10 Invoices are generated on the first day of each month.',
+      '## Refunds',
+      'REQ-11 Refunds above 500 EUR need a second approval.'
+    ].join('\n'));
+
+    engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: { provider: 'local' },
+      documentRoot: docs
+    });
+    await engine.indexDocument(path.join(docs, 'auth.md'));
+    await engine.indexDocument(path.join(docs, 'billing.md'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('hybrid results report cosine similarity and are ordered by fused score', async () => {
+    const results = await engine.search('failed login attempts', 10, { mode: 'hybrid', collapse: false });
+
+    expect(results.length).toBeGreaterThan(1);
+    results.forEach(result => {
+      expect(result.score).toBe(result.vectorScore);
+      expect(result.relevancePercentage).toBe(Math.round(result.vectorScore * 100));
+    });
+    const fused = results.map(result => result.fusedScore);
+    expect(fused).toEqual([...fused].sort((a, b) => b - a));
+    expect(results[0].text).toContain('REQ-1');
+  });
+
+  test('minScore filters hybrid results on cosine similarity', async () => {
+    const all = await engine.search('failed login attempts', 10, { mode: 'hybrid', collapse: false });
+    const minScore = all[0].score - 0.01;
+
+    const filtered = await engine.search('failed login attempts', 10, { mode: 'hybrid', collapse: false, minScore });
+
+    expect(filtered.map(result => result.text)).toEqual(
+      all.filter(result => result.score >= minScore).map(result => result.text)
+    );
+  });
+
+  test('vector and keyword results are ordered by score', async () => {
+    const vector = await engine.search('refund approval', 10, { mode: 'vector', collapse: false });
+    const keyword = await engine.search('refund approval', 10, { mode: 'keyword', collapse: false });
+
+    [vector, keyword].forEach(results => {
+      const scores = results.map(result => result.score);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+      results.forEach(result => expect(result.fusedScore).toBeNull());
+    });
+    expect(keyword[0].score).toBe(1);
+  });
+});
+
+describe('hybrid search with MMR', () => {
+  let directory;
+  let engine;
+
+  // Vectors from topic words only, so the ticket number is invisible to the
+  // vector ranking and found by BM25 alone
+  const topicProvider = {
+    name: 'stub',
+    model: 'topics',
+    embed: async texts => texts.map(text => {
+      const lower = text.toLowerCase();
+      return [lower.includes('lockout') ? 1 : 0, lower.includes('duration') ? 0.2 : 0, lower.includes('ticket') ? 1 : 0.01];
+    })
+  };
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-mmr-'));
+    const docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'lockout.txt'), 'Accounts lockout after five failures.');
+    await fs.writeFile(path.join(docs, 'duration.txt'), 'Lockout duration is fifteen minutes.');
+    await fs.writeFile(path.join(docs, 'ticket.txt'), 'Ticket QX9 tracks the support escalation.');
+
+    engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: topicProvider,
+      documentRoot: docs
+    });
+    for (const file of ['lockout.txt', 'duration.txt', 'ticket.txt']) {
+      await engine.indexDocument(path.join(docs, file));
+    }
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('keeps a keyword-only match at its hybrid rank', async () => {
+    const options = { mode: 'hybrid', collapse: false };
+    const plain = await engine.search('lockout QX9', 3, options);
+    const diversified = await engine.search('lockout QX9', 3, { ...options, mmrLambda: 0.9 });
+
+    const rankOf = results => results.findIndex(result => result.fileName === 'ticket.txt');
+    expect(plain[rankOf(plain)].vectorScore).toBeLessThan(0.1);
+    expect(rankOf(plain)).toBeLessThan(2);
+    expect(rankOf(diversified)).toBe(rankOf(plain));
+  });
+});
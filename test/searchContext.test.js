@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RequirementsSearchEngine = require('../src/RequirementsSearchEngine');
+
+describe('search context', () => {
+  let directory;
+  let docs;
+  let engine;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'requirements-context-'));
+    docs = path.join(directory, 'docs');
+    await fs.mkdir(docs);
+    await fs.writeFile(path.join(docs, 'auth.md'), [
+      '# Authentication',
+      '## Passwords',
+      'REQ-1 Passwords must have at least 12 characters.',
+      '## Lockout',
+      'REQ-2 The account is locked after 5 failed login attempts.',
+      '## Sessions',
+      'REQ-3 Sessions expire after 30 minutes of inactivity.',
+      '## Audit',
+      'REQ-4 Every login is written to the audit log.'
+    ].join('\n'));
+    await fs.writeFile(path.join(docs, 'tests.csv'), [
+      'ID,Title',
+      'TC-1,Password length is enforced',
+      'TC-2,Account locks after failed logins',
+      'TC-3,Session times out'
+    ].join('\n'));
+
+    engine = new RequirementsSearchEngine(path.join(directory, 'index'), undefined, {
+      embeddingProvider: { provider: 'local' },
+      documentRoot: docs
+    });
+    await engine.indexDocument(path.join(docs, 'auth.md'));
+    await engine.indexDocument(path.join(docs, 'tests.csv'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('attaches the neighbouring sections of a hit', async () => {
+    const [hit] = await engine.search('account locked failed login attempts', 1, { filter: { type: 'text' }, collapse: false, context: 1 });
+
+    expect(hit.text).toContain('REQ-2');
+    expect(hit.context.before.map(passage => passage.text)).toEqual(['REQ-1 Passwords must have at least 12 characters.']);
+    expect(hit.context.after.map(passage => passage.text)).toEqual(['REQ-3 Sessions expire after 30 minutes of inactivity.']);
+  });
+
+  test('takes up to n passages on each side', async () => {
+    const [hit] = await engine.search('audit log', 1, { filter: { type: 'text' }, collapse: false, context: 2 });
+
+    expect(hit.text).toContain('REQ-4');
+    expect(hit.context.before.map(passage => passage.chunkIndex)).toEqual([1, 2]);
+    expect(hit.context.after).toEqual([]);
+  });
+
+  test('uses the neighbouring rows for spreadsheet records', async () => {
+    const [hit] = await engine.search('account locks after failed logins', 1, { filter: { path: 'tests.csv' }, collapse: false, context: 1 });
+
+    expect(hit.row).toBe(3);
+    expect(hit.context.before.map(passage => passage.row)).toEqual([2]);
+    expect(hit.context.after.map(passage => passage.row)).toEqual([4]);
+  });
+
+  test('leaves results without context by default', async () => {
+    const [hit] = await engine.search('audit log', 1);
+
+    expect(hit.context).toBeUndefined();
+  });
+});
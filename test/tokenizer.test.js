@@ -0,0 +1,51 @@
+const { countTokens, splitByTokens } = require('../src/tokenizer');
+
+describe('splitByTokens', () => {
+  const words = count => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+  test('keeps every piece within the budget and breaks between words', () => {
+    const text = words(40);
+    const pieces = splitByTokens(text, 12);
+
+    expect(pieces.length).toBeGreaterThan(1);
+    pieces.forEach(piece => {
+      expect(piece.tokenCount).toBeLessThanOrEqual(12);
+      expect(countTokens(piece.text)).toBeLessThanOrEqual(12);
+    });
+    expect(pieces.map(piece => piece.text).join(' ')).toBe(text);
+  });
+
+  test('records the word range of each piece', () => {
+    const pieces = splitByTokens(words(40), 12);
+
+    expect(pieces[0].startIndex).toBe(0);
+    pieces.slice(1).forEach((piece, i) => {
+      expect(piece.startIndex).toBe(pieces[i].startIndex + pieces[i].wordCount);
+      expect(piece.text.split(' ')[0]).toBe(`word${piece.startIndex}`);
+    });
+  });
+
+  test('repeats about `overlap` tokens at the start of the next piece', () => {
+    const pieces = splitByTokens(words(40), 12, 4);
+
+    pieces.slice(1).forEach((piece, i) => {
+      const previousEnd = pieces[i].startIndex + pieces[i].wordCount;
+      expect(piece.startIndex).toBeLessThan(previousEnd);
+      expect(piece.startIndex).toBeGreaterThan(pieces[i].startIndex);
+    });
+  });
+
+  test('cuts a word longer than the budget on token boundaries without adding spaces', () => {
+    const blob = 'aGVsbG8gd29ybGQgdGhpcyBpcyBhIGxvbmcgYmFzZTY0IGJsb2I'.repeat(2);
+    const pieces = splitByTokens(`see ${blob} now`, 8);
+    const fragments = pieces.filter(piece => piece.startIndex === 1 && piece.wordCount === 1);
+
+    expect(fragments.length).toBeGreaterThan(1);
+    fragments.forEach(piece => {
+      expect(piece.text).not.toContain(' ');
+      expect(piece.tokenCount).toBeLessThanOrEqual(8);
+    });
+    expect(pieces[0].text).toBe('see');
+    expect(pieces.slice(1).map(piece => piece.text).join('')).toBe(`${blob} now`);
+  });
+});
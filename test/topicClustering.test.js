@@ -0,0 +1,64 @@
+const { defaultTopicCount, kMeans, labelClusters, clusterTopics } = require('../src/topicClustering');
+
+const item = (id, fileName, text, vector) => ({ id, vector, metadata: { fileName, filePath: `/docs/${fileName}`, chunkIndex: 0, text } });
+
+const items = [
+  item('a1', 'auth.md', 'Accounts lock after repeated login failures.', [1, 0.1, 0]),
+  item('a2', 'auth.md', 'Login lockout lasts fifteen minutes.', [0.95, 0, 0.05]),
+  item('a3', 'security.md', 'Failed login attempts are audited.', [0.9, 0.1, 0.1]),
+  item('b1', 'billing.md', 'Invoices are generated monthly.', [0, 1, 0.1]),
+  item('b2', 'billing.md', 'Invoices above the limit need approval.', [0.1, 0.95, 0])
+];
+
+describe('kMeans', () => {
+  test('separates well-apart groups and is deterministic for a seed', () => {
+    const vectors = [[1, 0], [0.99, 0.1], [0, 1], [0.1, 0.99]];
+    const first = kMeans(vectors, 2, { seed: 7 });
+    const second = kMeans(vectors, 2, { seed: 7 });
+
+    expect(first.assignments[0]).toBe(first.assignments[1]);
+    expect(first.assignments[2]).toBe(first.assignments[3]);
+    expect(first.assignments[0]).not.toBe(first.assignments[2]);
+    expect(second.assignments).toEqual(first.assignments);
+  });
+
+  test('default topic count stays between 2 and 20', () => {
+    expect(defaultTopicCount(1)).toBe(2);
+    expect(defaultTopicCount(50)).toBe(5);
+    expect(defaultTopicCount(10000)).toBe(20);
+  });
+});
+
+describe('labelClusters', () => {
+  test('prefers terms that are frequent in one cluster and rare in the others', () => {
+    const [login, billing] = labelClusters([
+      ['Login lockout after failures.', 'Login attempts shall be audited.'],
+      ['Invoices shall be audited monthly.']
+    ], 2);
+
+    expect(login[0].term).toBe('login');
+    expect(billing.map(keyword => keyword.term)).not.toContain('shall');
+    expect(billing[0].term).not.toBe('audited');
+  });
+});
+
+describe('clusterTopics', () => {
+  test('groups chunks into topics, largest first, with keywords and documents', () => {
+    const report = clusterTopics(items, { k: 2, keywords: 3 });
+
+    expect(report).toMatchObject({ topicCount: 2, totalChunks: 5 });
+    const [auth, billing] = report.topics;
+    expect(auth).toMatchObject({ id: 1, size: 3, share: 0.6 });
+    expect(auth.keywords[0].term).toBe('login');
+    expect(auth.documents).toEqual([{ document: 'auth.md', chunks: 2 }, { document: 'security.md', chunks: 1 }]);
+    expect(auth.examples).toHaveLength(2);
+    expect(auth.cohesion).toBeGreaterThan(0.9);
+    expect(billing).toMatchObject({ id: 2, size: 2, documents: [{ document: 'billing.md', chunks: 2 }] });
+    expect(billing.keywords[0].term).toBe('invoices');
+  });
+
+  test('handles an empty index and caps k at the number of chunks', () => {
+    expect(clusterTopics([])).toEqual({ topicCount: 0, totalChunks: 0, topics: [] });
+    expect(clusterTopics(items.slice(0, 2), { k: 10 }).topicCount).toBeLessThanOrEqual(2);
+  });
+});